@@ -4,6 +4,8 @@ export default {
     testEnvironment: 'node',
     testMatch: ['**/tests/jest/**/*.test.ts'],  // テストファイルのパターンを追加
     extensionsToTreatAsEsm: ['.ts'],
+    // dbServiceは読み込み時にIndexedDBを開くため、すべてのテストでインメモリ実装を使う
+    setupFiles: ['fake-indexeddb/auto'],
     moduleNameMapper: {
         '^(\\.{1,2}/.*)\\.js$': '$1',
     },
@@ -12,6 +14,14 @@ export default {
             'ts-jest',
             {
                 useESM: true,
+                // 型チェックはせずESMのまま変換する（tsconfig.jsonがないため設定をここに書く）
+                isolatedModules: true,
+                tsconfig: {
+                    module: 'ESNext',
+                    target: 'ES2022',
+                    esModuleInterop: true,
+                    resolveJsonModule: true,
+                },
             },
         ],
     },
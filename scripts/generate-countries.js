@@ -0,0 +1,100 @@
+/**
+ * アプリに同梱する簡略化した国境データ（src/data/countries.json）を生成するスクリプト
+ *
+ * 元データ: world-atlas（Natural Earth 1:50m Admin 0 - Countries、パブリックドメイン）
+ * 国コード: i18n-iso-countries（ISO 3166-1の数値コードを2文字・3文字のコードに変換）
+ *
+ * 地図やmapServiceが参照するプロパティ（ISO_A2・ISO_A3・ADMIN）はリモートの国境データと同じ名前に揃える。
+ * ISOコードのない地域はsrc/data/unassigned-country-codes.jsonのコードを使い（割り当てがなければ地域名）、
+ * 同じ国コードの地域（オーストラリアとアシュモア・カルティエ諸島など）は1つの地物にまとめる。
+ * 座標は小数点以下2桁（約1km）に丸めてファイルサイズを抑える。
+ *
+ * 使い方: npm run generate:countries
+ */
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { feature } from 'topojson-client';
+import countries from 'i18n-iso-countries';
+
+const require = createRequire(import.meta.url);
+const OUTPUT = resolve(dirname(fileURLToPath(import.meta.url)), '../src/data/countries.json');
+const UNASSIGNED_CODES = resolve(dirname(fileURLToPath(import.meta.url)), '../src/data/unassigned-country-codes.json');
+const PRECISION = 100;
+
+const topology = JSON.parse(readFileSync(require.resolve('world-atlas/countries-50m.json'), 'utf8'));
+const { version } = JSON.parse(readFileSync(require.resolve('world-atlas/package.json'), 'utf8'));
+const unassignedCodes = new Map(
+  JSON.parse(readFileSync(UNASSIGNED_CODES, 'utf8')).countries
+    .flatMap(({ names, ...codes }) => names.map(name => [name, codes]))
+);
+
+/**
+ * リングの座標を丸め、連続する重複点を除く（点が足りなくなったリングはnull）
+ */
+const simplifyRing = (ring) => {
+  const points = [];
+  ring.forEach(([lng, lat]) => {
+    const point = [Math.round(lng * PRECISION) / PRECISION, Math.round(lat * PRECISION) / PRECISION];
+    const last = points[points.length - 1];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      points.push(point);
+    }
+  });
+  return points.length >= 4 ? points : null;
+};
+
+/**
+ * ポリゴンを簡略化（外周が消えた場合はnull）
+ */
+const simplifyPolygon = (polygon) => {
+  const [outer, ...holes] = polygon.map(simplifyRing);
+  return outer ? [outer, ...holes.filter(Boolean)] : null;
+};
+
+/**
+ * 地域の国コードを取得（ISOの数値コードがなければ地域名から割り当て、割り当てもなければ地域名をコードにする）
+ */
+const getCodes = (id, name) => {
+  if (id && countries.numericToAlpha2(id)) {
+    return { ISO_A2: countries.numericToAlpha2(id), ISO_A3: countries.numericToAlpha3(id) };
+  }
+  return unassignedCodes.get(name) || { ISO_A2: name, ISO_A3: name };
+};
+
+// 国コードごとのポリゴン（最初に現れた地域の名前を使う）
+const countriesByCode = new Map();
+
+feature(topology, topology.objects.countries).features.forEach(({ id, properties, geometry }) => {
+  if (!geometry) return;
+
+  const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+    .map(simplifyPolygon)
+    .filter(Boolean);
+  if (polygons.length === 0) return;
+
+  const codes = getCodes(id, properties.name);
+  if (countriesByCode.has(codes.ISO_A2)) {
+    countriesByCode.get(codes.ISO_A2).polygons.push(...polygons);
+  } else {
+    countriesByCode.set(codes.ISO_A2, { properties: { ADMIN: properties.name, ...codes }, polygons });
+  }
+});
+
+const features = [...countriesByCode.values()].map(({ properties, polygons }) => ({
+  type: 'Feature',
+  properties,
+  geometry: polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons }
+}));
+
+mkdirSync(dirname(OUTPUT), { recursive: true });
+writeFileSync(OUTPUT, JSON.stringify({
+  type: 'FeatureCollection',
+  source: `Natural Earth 1:50m (world-atlas ${version})`,
+  features
+}));
+
+console.log(`${features.length}件の国境データを書き出しました: ${OUTPUT}`);
@@ -0,0 +1,35 @@
+/**
+ * アプリに同梱する国名の対訳表（src/data/country-names.json）を生成するスクリプト
+ *
+ * 元データ: i18n-iso-countries（ISO 3166-1 alpha-2の国コードごとの各言語の国名）
+ * 言語を追加する場合はLOCALESに追加して再生成する（アプリの表示言語はsrc/constants/languages.jsにも追加する）。
+ * 「Moldova, Republic of」のような倒置形の名前は、倒置していない別名があればそちらを使う。
+ *
+ * 使い方: npm run generate:country-names
+ */
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import countries from 'i18n-iso-countries';
+
+const require = createRequire(import.meta.url);
+const OUTPUT = resolve(dirname(fileURLToPath(import.meta.url)), '../src/data/country-names.json');
+const LOCALES = ['ja', 'en'];
+
+const { version } = JSON.parse(readFileSync(require.resolve('i18n-iso-countries/package.json'), 'utf8'));
+
+const names = Object.fromEntries(LOCALES.map(locale => {
+  countries.registerLocale(require(`i18n-iso-countries/langs/${locale}.json`));
+  const localeNames = countries.getNames(locale, { select: 'all' });
+  const pickName = (candidates) => candidates.find(name => !name.includes(',')) || candidates[0];
+  return [locale, Object.fromEntries(Object.keys(localeNames).sort().map(code => [code, pickName(localeNames[code])]))];
+}));
+
+mkdirSync(dirname(OUTPUT), { recursive: true });
+writeFileSync(OUTPUT, JSON.stringify({
+  source: `i18n-iso-countries ${version}`,
+  names
+}, null, 2) + '\n');
+
+console.log(`${LOCALES.join('・')}の国名を書き出しました: ${OUTPUT}`);
@@ -0,0 +1,158 @@
+/**
+ * アプリに同梱する簡略化した州・都道府県の境界データ（src/data/states/）を生成するスクリプト
+ *
+ * 元データ: Natural Earth 1:10m Admin 1 - States, Provinces（パブリックドメイン）
+ *
+ * 元データは約40MBあるため、国コード（iso_a2）ごとのファイルに分け、地図が表示中の国の分だけ読み込めるようにする。
+ * 地図やmapServiceが参照するプロパティ（iso_3166_2・iso_a2・name）だけを残し、
+ * 同じ地域コードの地物（飛び地など）は1つの地物にまとめる。国コードのない地物（係争地など）は含めない。
+ * あわせて、統計の全体数に使う国ごとの州・都道府県の数（src/data/state-counts.json）を書き出す。
+ * 座標は約1kmより細かい凹凸を間引いたうえで小数点以下2桁（約1km）に丸め、ファイルサイズを抑える。
+ *
+ * 使い方: npm run generate:states [-- 元データのGeoJSONのパス]（省略時はNatural Earthのリポジトリから取得）
+ */
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE_URL = 'https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/ne_10m_admin_1_states_provinces.geojson';
+const DATA_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../src/data');
+const OUTPUT_DIR = resolve(DATA_DIR, 'states');
+const COUNTS_OUTPUT = resolve(DATA_DIR, 'state-counts.json');
+const PRECISION = 100;
+const TOLERANCE = 0.01;
+
+/**
+ * 元データを読み込む（パスの指定がなければダウンロードする）
+ */
+const loadSource = async (path) => {
+  if (path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  }
+
+  const response = await fetch(SOURCE_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${SOURCE_URL}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
+
+/**
+ * 点から線分までの距離（度単位の平面座標として扱う）
+ */
+const distanceToSegment = ([x, y], [x1, y1], [x2, y2]) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+};
+
+/**
+ * Douglas-Peucker法で、線分からの距離が許容値以下の点を間引く
+ */
+const reducePoints = (points) => {
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (maxDistance > TOLERANCE) {
+      keep[index] = true;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * リングの座標を丸め、連続する重複点を除く（点が足りなくなったリングはnull）
+ */
+const roundRing = (ring) => {
+  const points = [];
+  ring.forEach(([lng, lat]) => {
+    const point = [Math.round(lng * PRECISION) / PRECISION, Math.round(lat * PRECISION) / PRECISION];
+    const last = points[points.length - 1];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      points.push(point);
+    }
+  });
+  return points.length >= 4 ? points : null;
+};
+
+/**
+ * リングを間引いて丸める（小さな島などで点が足りなくなる場合は間引かずに丸める）
+ */
+const simplifyRing = (ring) => (
+  ring.length < 4 ? null : roundRing(reducePoints(ring)) || roundRing(ring)
+);
+
+/**
+ * ポリゴンを簡略化（外周が消えた場合はnull）
+ */
+const simplifyPolygon = (polygon) => {
+  const [outer, ...holes] = polygon.map(simplifyRing);
+  return outer ? [outer, ...holes.filter(Boolean)] : null;
+};
+
+const source = await loadSource(process.argv[2]);
+
+// 国コードごとに、地域コードごとのポリゴンを集める（最初に現れた地物の名前を使う）
+const statesByCountry = new Map();
+
+source.features.forEach(({ properties, geometry }) => {
+  const { iso_3166_2, iso_a2, name } = properties;
+  if (!geometry || !/^[A-Z]{2}$/.test(iso_a2) || !iso_3166_2) return;
+
+  const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+    .map(simplifyPolygon)
+    .filter(Boolean);
+  if (polygons.length === 0) return;
+
+  if (!statesByCountry.has(iso_a2)) statesByCountry.set(iso_a2, new Map());
+  const states = statesByCountry.get(iso_a2);
+  if (states.has(iso_3166_2)) {
+    states.get(iso_3166_2).polygons.push(...polygons);
+  } else {
+    states.set(iso_3166_2, { properties: { iso_3166_2, iso_a2, name }, polygons });
+  }
+});
+
+// 国がなくなった場合に古いファイルが残らないよう、出力先を作り直す
+rmSync(OUTPUT_DIR, { recursive: true, force: true });
+mkdirSync(OUTPUT_DIR, { recursive: true });
+
+const counts = {};
+[...statesByCountry.keys()].sort().forEach(countryCode => {
+  const features = [...statesByCountry.get(countryCode).values()].map(({ properties, polygons }) => ({
+    type: 'Feature',
+    properties,
+    geometry: polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons }
+  }));
+
+  writeFileSync(resolve(OUTPUT_DIR, `${countryCode}.json`), JSON.stringify({
+    type: 'FeatureCollection',
+    source: 'Natural Earth 1:10m',
+    features
+  }));
+  counts[countryCode] = features.length;
+});
+
+writeFileSync(COUNTS_OUTPUT, JSON.stringify(counts, null, 2) + '\n');
+
+const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+console.log(`${Object.keys(counts).length}か国・${total}件の州・都道府県の境界データを書き出しました: ${OUTPUT_DIR}`);
@@ -1,8 +1,14 @@
+import { useEffect } from 'react'
 import { Routes, Route, Navigate } from 'react-router-dom'
+import useAtlasStore from './store/useAtlasStore'
 import MapView from './pages/MapView'
 import ListView from './pages/ListView'
+import StatsView from './pages/StatsView'
+import SettingsView from './pages/SettingsView'
+import SharedAtlasView from './pages/SharedAtlasView'
 import Header from './components/Header'
 import ErrorBoundary from './components/ErrorBoundary'
+import UpdatePrompt from './components/UpdatePrompt'
 import './App.css'
 
 /**
@@ -12,6 +18,12 @@ import './App.css'
 function App() {
   // 開発環境ではエラー詳細を表示、本番環境では非表示に設定
   const showErrorDetails = process.env.NODE_ENV === 'development';
+  const { language } = useAtlasStore()
+  
+  // 表示言語をhtmlのlang属性に反映（読み上げやフォントの選択に使われる）
+  useEffect(() => {
+    document.documentElement.lang = language
+  }, [language])
   
   return (
     <div className="app">
@@ -21,10 +33,14 @@ function App() {
           <Routes>
             <Route path="/" element={<MapView />} />
             <Route path="/list" element={<ListView />} />
+            <Route path="/stats" element={<StatsView />} />
+            <Route path="/settings" element={<SettingsView />} />
+            <Route path="/view" element={<SharedAtlasView />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </ErrorBoundary>
       </main>
+      <UpdatePrompt />
     </div>
   )
 }
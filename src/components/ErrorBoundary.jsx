@@ -1,4 +1,6 @@
 import React from 'react';
+import useAtlasStore from '../store/useAtlasStore';
+import { translate } from '../utils/i18n';
 import './ErrorBoundary.css';
 
 /**
@@ -33,23 +35,27 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      // クラスコンポーネントではフックを使えないため、表示言語はストアから直接取得する
+      const { language } = useAtlasStore.getState();
+      const t = (key) => translate(key, language);
+      
       // カスタムのフォールバックUI
       return (
         <div className="error-boundary">
-          <h2>問題が発生しました</h2>
-          <p>申し訳ありませんが、何か問題が発生しています。</p>
-          <p>ページの再読み込みをお試しください。</p>
+          <h2>{t('errorBoundary.title')}</h2>
+          <p>{t('errorBoundary.message')}</p>
+          <p>{t('errorBoundary.hint')}</p>
           
           <button 
             className="btn btn-primary" 
             onClick={() => window.location.reload()}
           >
-            ページを再読み込み
+            {t('errorBoundary.reload')}
           </button>
           
           {this.props.showDetails && (
             <details className="error-details">
-              <summary>エラーの詳細</summary>
+              <summary>{t('errorBoundary.details')}</summary>
               <p>{this.state.error && this.state.error.toString()}</p>
               <pre>{this.state.errorInfo && this.state.errorInfo.componentStack}</pre>
             </details>
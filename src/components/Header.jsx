@@ -1,34 +1,60 @@
 import { NavLink } from 'react-router-dom'
+import useAtlasStore from '../store/useAtlasStore'
+import useOnlineStatus from '../hooks/useOnlineStatus'
+import useTranslation from '../hooks/useTranslation'
+import { LANGUAGES } from '../constants/languages'
 import './Header.css'
 
+// ナビゲーションのリンク（文言はメッセージカタログのキー）
+const NAV_ITEMS = [
+  { to: '/', labelKey: 'header.map', end: true },
+  { to: '/list', labelKey: 'header.list' },
+  { to: '/stats', labelKey: 'header.stats' },
+  { to: '/settings', labelKey: 'header.settings' }
+]
+
 function Header() {
+  const isOnline = useOnlineStatus()
+  const { setLanguage } = useAtlasStore()
+  const { t, language } = useTranslation()
+
   return (
     <header className="header">
       <div className="container header-container">
         <h1 className="logo">
           <NavLink to="/">My World Atlas</NavLink>
         </h1>
+        {!isOnline && (
+          <span className="offline-indicator" role="status" title={t('header.offlineHint')}>
+            <span className="material-icons" aria-hidden="true">cloud_off</span>
+            {t('header.offline')}
+          </span>
+        )}
         <nav className="nav">
           <ul className="nav-list">
-            <li className="nav-item">
-              <NavLink 
-                to="/" 
-                className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
-                end
-              >
-                地図表示
-              </NavLink>
-            </li>
-            <li className="nav-item">
-              <NavLink 
-                to="/list" 
-                className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
-              >
-                一覧表示
-              </NavLink>
-            </li>
+            {NAV_ITEMS.map(item => (
+              <li className="nav-item" key={item.to}>
+                <NavLink 
+                  to={item.to} 
+                  className={({ isActive }) => isActive ? 'nav-link active' : 'nav-link'}
+                  end={item.end}
+                >
+                  {t(item.labelKey)}
+                </NavLink>
+              </li>
+            ))}
           </ul>
         </nav>
+        <select
+          className="language-switcher"
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          aria-label={t('language.switcherLabel')}
+        >
+          {LANGUAGES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
       </div>
     </header>
   )
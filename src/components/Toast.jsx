@@ -1,7 +1,15 @@
 import { useEffect } from 'react';
+import useTranslation from '../hooks/useTranslation';
 import './Toast.css';
 
-function Toast({ show, message, type = 'info', onClose }) {
+/**
+ * トースト通知コンポーネント
+ * @param {Object|string} message - 表示するメッセージ（createMessageで作成したメッセージは表示言語で翻訳する）
+ * @param {Object|null} action - 通知内に表示するボタン（labelとonClick）
+ */
+function Toast({ show, message, type = 'info', action = null, onClose }) {
+  const { t } = useTranslation();
+
   useEffect(() => {
     if (show) {
       // 3秒後に自動で閉じる
@@ -16,8 +24,13 @@ function Toast({ show, message, type = 'info', onClose }) {
   if (!show) return null;
 
   return (
-    <div className={`toast ${type} ${show ? 'show' : ''}`}>
-      <p>{message}</p>
+    <div className={`toast ${type} ${show ? 'show' : ''} ${action ? 'has-action' : ''}`}>
+      <p>{t(message)}</p>
+      {action && (
+        <button className="toast-action" onClick={action.onClick}>
+          {t(action.label)}
+        </button>
+      )}
     </div>
   );
 }
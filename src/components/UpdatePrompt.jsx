@@ -0,0 +1,48 @@
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import useTranslation from '../hooks/useTranslation';
+import './UpdatePrompt.css';
+
+/**
+ * アプリの更新通知コンポーネント
+ * 新しいバージョンのService Workerが待機している場合に、再読み込みを促す
+ * （利用中に表示が切り替わらないよう、自動では更新しない）
+ */
+function UpdatePrompt() {
+  const { t } = useTranslation();
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisterError(error) {
+      console.error('Service Workerの登録に失敗しました:', error);
+    }
+  });
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const handleClose = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div className="update-prompt" role="alert">
+      <p>
+        {needRefresh ? t('updatePrompt.needRefresh') : t('updatePrompt.offlineReady')}
+      </p>
+      <div className="update-prompt-actions">
+        {needRefresh && (
+          <button className="btn btn-primary btn-sm" onClick={() => updateServiceWorker(true)}>
+            {t('updatePrompt.reload')}
+          </button>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={handleClose}>
+          {needRefresh ? t('updatePrompt.later') : t('common.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -1,26 +1,68 @@
 import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
 
 /**
  * アクションボタンコンポーネント
  * @param {Function} onExportClick - エクスポートボタンクリック時のコールバック
+ * @param {Function} onGeoJsonExportClick - GeoJSONエクスポートボタンクリック時のコールバック
  * @param {Function} onImportClick - インポートボタンクリック時のコールバック
+ * @param {Function} onTripsClick - 旅行管理ボタンクリック時のコールバック
+ * @param {Function} onBackupClick - バックアップボタンクリック時のコールバック
+ * @param {Function} onRestoreClick - 復元ボタンクリック時のコールバック
  */
-const ActionButtons = ({ onExportClick, onImportClick }) => {
+const ActionButtons = ({
+  onExportClick,
+  onGeoJsonExportClick,
+  onImportClick,
+  onTripsClick,
+  onBackupClick,
+  onRestoreClick
+}) => {
+  const { t } = useTranslation();
+  
   return (
     <div className="action-buttons">
+      <button 
+        className="btn btn-sm"
+        onClick={onTripsClick}
+        aria-label={t('actions.tripsLabel')}
+      >
+        {t('actions.trips')}
+      </button>
       <button 
         className="btn btn-sm"
         onClick={onExportClick}
-        aria-label="CSVエクスポート"
+        aria-label={t('actions.exportCsvLabel')}
+      >
+        {t('actions.exportCsv')}
+      </button>
+      <button 
+        className="btn btn-sm"
+        onClick={onGeoJsonExportClick}
+        aria-label={t('actions.exportGeoJsonLabel')}
       >
-        エクスポート
+        {t('actions.exportGeoJson')}
       </button>
       <button 
         className="btn btn-sm"
         onClick={onImportClick}
-        aria-label="CSVインポート"
+        aria-label={t('actions.importLabel')}
+      >
+        {t('actions.import')}
+      </button>
+      <button 
+        className="btn btn-sm"
+        onClick={onBackupClick}
+        aria-label={t('actions.backupLabel')}
+      >
+        {t('actions.backup')}
+      </button>
+      <button 
+        className="btn btn-sm"
+        onClick={onRestoreClick}
+        aria-label={t('actions.restoreLabel')}
       >
-        インポート
+        {t('actions.restore')}
       </button>
     </div>
   );
@@ -1,25 +1,28 @@
 import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
 import './ConfirmDialog.css';
 
 /**
  * 確認ダイアログコンポーネント
  * @param {boolean} isOpen - ダイアログを表示するかどうか
- * @param {string} title - ダイアログのタイトル
+ * @param {string} title - ダイアログのタイトル（省略時は「確認」）
  * @param {string} message - 確認メッセージの内容
- * @param {string} confirmText - 確認ボタンのテキスト
- * @param {string} cancelText - キャンセルボタンのテキスト
+ * @param {string} confirmText - 確認ボタンのテキスト（省略時は「確認」）
+ * @param {string} cancelText - キャンセルボタンのテキスト（省略時は「キャンセル」）
  * @param {Function} onConfirm - 確認時のコールバック
  * @param {Function} onCancel - キャンセル時のコールバック
  */
 const ConfirmDialog = ({ 
   isOpen, 
-  title = '確認', 
+  title, 
   message, 
-  confirmText = '確認', 
-  cancelText = 'キャンセル',
+  confirmText, 
+  cancelText,
   onConfirm, 
   onCancel 
 }) => {
+  const { t } = useTranslation();
+  
   if (!isOpen) return null;
   
   // 背景クリックでのキャンセルを防止
@@ -31,7 +34,7 @@ const ConfirmDialog = ({
     <div className="confirm-overlay" onClick={onCancel}>
       <div className="confirm-dialog" onClick={handleDialogClick}>
         <div className="confirm-header">
-          <h3>{title}</h3>
+          <h3>{title || t('common.confirm')}</h3>
         </div>
         
         <div className="confirm-body">
@@ -43,13 +46,13 @@ const ConfirmDialog = ({
             className="btn btn-secondary" 
             onClick={onCancel}
           >
-            {cancelText}
+            {cancelText || t('common.cancel')}
           </button>
           <button 
             className="btn btn-danger" 
             onClick={onConfirm}
           >
-            {confirmText}
+            {confirmText || t('common.confirm')}
           </button>
         </div>
       </div>
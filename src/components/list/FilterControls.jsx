@@ -1,4 +1,7 @@
 import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import { getRegionName } from '../../utils/placeNameUtils';
+import { PLACE_STATUSES } from '../../constants/placeStatus';
 
 /**
  * フィルターコントロールコンポーネント
@@ -6,29 +9,103 @@ import React from 'react';
  * @param {Function} onFilterChange - フィルター変更時のコールバック
  * @param {string} adminFilter - 行政レベルのフィルター値
  * @param {Function} onAdminFilterChange - 行政レベルフィルター変更時のコールバック
+ * @param {string} statusFilter - ステータスのフィルター値（'all'はすべて）
+ * @param {Function} onStatusFilterChange - ステータスフィルター変更時のコールバック
+ * @param {Array} trips - 絞り込みに使う旅行データの配列
+ * @param {string} tripFilter - 旅行のフィルター値（旅行ID、'all'はすべて）
+ * @param {Function} onTripFilterChange - 旅行フィルター変更時のコールバック
+ * @param {Array} regions - 絞り込みに使う地域区分（国連のM49の地域）の配列
+ * @param {string} regionFilter - 地域のフィルター値（M49の地域コード、'all'はすべて）
+ * @param {Function} onRegionFilterChange - 地域フィルター変更時のコールバック
+ * @param {boolean} groupByRegion - 地域ごとにまとめて表示するか
+ * @param {Function} onGroupByRegionChange - 地域ごとの表示の切り替え時のコールバック
  */
-const FilterControls = ({ filter, onFilterChange, adminFilter, onAdminFilterChange }) => {
+const FilterControls = ({
+  filter,
+  onFilterChange,
+  adminFilter,
+  onAdminFilterChange,
+  statusFilter = 'all',
+  onStatusFilterChange,
+  trips = [],
+  tripFilter = 'all',
+  onTripFilterChange,
+  regions = [],
+  regionFilter = 'all',
+  onRegionFilterChange,
+  groupByRegion = false,
+  onGroupByRegionChange
+}) => {
+  const { t, language } = useTranslation();
+  
   return (
     <div className="filter-controls">
       <input 
         type="text"
         className="search-input"
-        placeholder="検索..."
+        placeholder={t('filters.searchPlaceholder')}
         value={filter}
         onChange={(e) => onFilterChange(e.target.value)}
-        aria-label="検索フィルター"
+        aria-label={t('filters.searchLabel')}
       />
       
       <select 
         className="admin-filter"
         value={adminFilter}
         onChange={(e) => onAdminFilterChange(e.target.value)}
-        aria-label="行政レベル選択"
+        aria-label={t('filters.adminLevelLabel')}
       >
-        <option value="all">すべて</option>
-        <option value="Country">国</option>
-        <option value="State">州・都道府県</option>
+        <option value="all">{t('filters.allAdminLevels')}</option>
+        <option value="Country">{t('adminLevel.Country')}</option>
+        <option value="State">{t('adminLevel.State')}</option>
       </select>
+      
+      <select 
+        className="admin-filter status-filter"
+        value={statusFilter}
+        onChange={(e) => onStatusFilterChange(e.target.value)}
+        aria-label={t('filters.statusLabel')}
+      >
+        <option value="all">{t('filters.allStatuses')}</option>
+        {PLACE_STATUSES.map(status => (
+          <option key={status.value} value={status.value}>{t(`placeStatus.${status.value}`)}</option>
+        ))}
+      </select>
+      
+      <select 
+        className="admin-filter region-filter"
+        value={regionFilter}
+        onChange={(e) => onRegionFilterChange(e.target.value)}
+        aria-label={t('filters.regionLabel')}
+      >
+        <option value="all">{t('filters.allRegions')}</option>
+        {regions.map(region => (
+          <option key={region.code} value={region.code}>{getRegionName(region, language)}</option>
+        ))}
+      </select>
+      
+      <label className="group-toggle">
+        <input
+          type="checkbox"
+          checked={groupByRegion}
+          onChange={(e) => onGroupByRegionChange(e.target.checked)}
+        />
+        {t('filters.groupByRegion')}
+      </label>
+      
+      {trips.length > 0 && (
+        <select 
+          className="admin-filter trip-filter"
+          value={tripFilter}
+          onChange={(e) => onTripFilterChange(e.target.value)}
+          aria-label={t('filters.tripLabel')}
+        >
+          <option value="all">{t('filters.allTrips')}</option>
+          {trips.map(trip => (
+            <option key={trip.tripId} value={trip.tripId}>{trip.name}</option>
+          ))}
+        </select>
+      )}
     </div>
   );
 };
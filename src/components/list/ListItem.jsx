@@ -1,24 +1,27 @@
 import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import { getPlaceStatus } from '../../constants/placeStatus';
 
 /**
  * リストアイテムコンポーネント
  * @param {Object} place - 訪問場所のデータ
  * @param {Function} onRowClick - 行クリック時のコールバック
  * @param {Function} onDeleteClick - 削除ボタンクリック時のコールバック
+ * @param {boolean} isExpanded - 訪問履歴を展開表示するかどうか
+ * @param {Array|null} visits - 展開時に表示する訪問履歴（読み込み中はnull）
+ * @param {Function} onToggleHistory - 訪問履歴の展開・折りたたみ時のコールバック
  */
-const ListItem = ({ place, onRowClick, onDeleteClick }) => {
-  // 日付のフォーマット
-  const formatDate = (isoDate) => {
-    if (!isoDate) return '';
-    const date = new Date(isoDate);
-    return date.toLocaleDateString('ja-JP', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
+const ListItem = ({ place, onRowClick, onDeleteClick, isExpanded = false, visits = null, onToggleHistory }) => {
+  const { t, formatDate: formatLocalDate } = useTranslation();
+  
+  // 日付のフォーマット（表示言語の書式）
+  const formatDate = (isoDate) => formatLocalDate(isoDate, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
   
   // 削除ボタンクリック時のイベント伝播を防止
   const handleDeleteClick = (e) => {
@@ -26,22 +29,66 @@ const ListItem = ({ place, onRowClick, onDeleteClick }) => {
     onDeleteClick(place.uniqueId, place.placeName);
   };
   
+  // 履歴ボタンクリック時のイベント伝播を防止
+  const handleToggleHistory = (e) => {
+    e.stopPropagation();
+    onToggleHistory(place.uniqueId);
+  };
+  
+  const visitCount = place.visitCount || 0;
+  const status = getPlaceStatus(place);
+  
   return (
-    <tr className="list-row" onClick={() => onRowClick(place)}>
-      <td>{place.placeName}</td>
-      <td>{place.adminLevel === 'Country' ? '国' : '州・都道府県'}</td>
-      <td>{formatDate(place.dateMarked)}</td>
-      <td>
-        <button 
-          className="delete-btn"
-          onClick={handleDeleteClick}
-          title="削除"
-          aria-label={`${place.placeName}の訪問記録を削除`}
-        >
-          ✕
-        </button>
-      </td>
-    </tr>
+    <>
+      <tr className={`list-row ${isExpanded ? 'expanded' : ''}`} onClick={() => onRowClick(place)}>
+        <td>
+          {place.placeName}
+          <span className={`status-badge status-${status}`}>{t(`placeStatus.${status}`)}</span>
+        </td>
+        <td>{t(place.adminLevel === 'Country' ? 'adminLevel.Country' : 'adminLevel.State')}</td>
+        <td>{formatDate(place.dateMarked)}</td>
+        <td>
+          <button 
+            className="history-toggle-btn"
+            onClick={handleToggleHistory}
+            aria-expanded={isExpanded}
+            aria-label={t(isExpanded ? 'list.hideHistory' : 'list.showHistory', { name: place.placeName })}
+          >
+            {t('list.visitCount', { count: visitCount })} {isExpanded ? '▲' : '▼'}
+          </button>
+        </td>
+        <td>
+          <button 
+            className="delete-btn"
+            onClick={handleDeleteClick}
+            title={t('list.delete')}
+            aria-label={t('list.deleteLabel', { name: place.placeName })}
+          >
+            ✕
+          </button>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="history-row">
+          <td colSpan="5">
+            {visits === null ? (
+              <p className="history-message">{t('common.loading')}</p>
+            ) : visits.length === 0 ? (
+              <p className="history-message">{t('list.noHistory')}</p>
+            ) : (
+              <ol className="visit-history" aria-label={t('list.history', { name: place.placeName })}>
+                {visits.map((visit, index) => (
+                  <li key={visit.visitId}>
+                    <span className="visit-number">{t('list.visitNumber', { count: index + 1 })}</span>
+                    <span>{formatDate(visit.visitDate)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
   );
 };
 
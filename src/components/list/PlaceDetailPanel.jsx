@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import useAtlasStore, { MAX_PHOTOS_PER_PLACE } from '../../store/useAtlasStore';
+import useTranslation from '../../hooks/useTranslation';
+import './PlaceDetailPanel.css';
+
+/**
+ * 訪問地の詳細パネルコンポーネント
+ * メモの編集と写真ギャラリー（追加・削除）を行う
+ * @param {Object|null} place - 表示する訪問地（nullの場合は非表示）
+ * @param {Function} onShowOnMap - 「地図で表示」ボタンクリック時のコールバック
+ * @param {Function} onClose - パネルを閉じる時のコールバック
+ */
+const PlaceDetailPanel = ({ place, onShowOnMap, onClose }) => {
+  const { t } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [notes, setNotes] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const {
+    updatePlaceNotes,
+    getPlaceAttachments,
+    addPlacePhotos,
+    removePlacePhoto
+  } = useAtlasStore();
+
+  const uniqueId = place ? place.uniqueId : null;
+
+  // 表示する訪問地が変わったらメモと写真を読み込み直す
+  useEffect(() => {
+    if (!uniqueId) return;
+
+    let cancelled = false;
+    setNotes(place.notes || '');
+    setAttachments([]);
+
+    getPlaceAttachments(uniqueId).then(result => {
+      if (!cancelled) setAttachments(result || []);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uniqueId, getPlaceAttachments]);
+
+  // サムネイル表示用のオブジェクトURL（不要になったら解放）
+  const thumbnailUrls = useMemo(
+    () => attachments.map(attachment => URL.createObjectURL(attachment.thumbnail || attachment.blob)),
+    [attachments]
+  );
+
+  useEffect(() => () => {
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  }, [thumbnailUrls]);
+
+  if (!place) return null;
+
+  const handleNotesSave = async () => {
+    await updatePlaceNotes(place.uniqueId, notes);
+  };
+
+  const handlePhotosSelected = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setIsBusy(true);
+    const added = await addPlacePhotos(place.uniqueId, files);
+    if (added && added.length > 0) {
+      setAttachments(current => [...current, ...added]);
+    }
+    setIsBusy(false);
+
+    // 同じファイルを再選択できるようにリセット
+    e.target.value = '';
+  };
+
+  const handlePhotoDelete = async (attachmentId) => {
+    if (await removePlacePhoto(attachmentId)) {
+      setAttachments(current => current.filter(a => a.attachmentId !== attachmentId));
+    }
+  };
+
+  // 元画像を新しいタブで表示
+  const handlePhotoOpen = (attachment) => {
+    const url = URL.createObjectURL(attachment.blob);
+    window.open(url, '_blank', 'noopener');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  return (
+    <aside className="place-detail-panel" aria-labelledby="place-detail-title">
+      <div className="place-detail-header">
+        <h3 id="place-detail-title">{place.placeName}</h3>
+        <button className="place-detail-close" onClick={onClose} aria-label={t('placeDetail.close')}>
+          ✕
+        </button>
+      </div>
+
+      <div className="place-detail-body">
+        <div className="form-group">
+          <label htmlFor="placeNotes">{t('placeDetail.notes')}</label>
+          <textarea
+            id="placeNotes"
+            rows="4"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder={t('placeDetail.notesPlaceholder')}
+          />
+          <button
+            className="btn btn-sm"
+            onClick={handleNotesSave}
+            disabled={notes === (place.notes || '')}
+          >
+            {t('placeDetail.saveNotes')}
+          </button>
+        </div>
+
+        <div className="form-group">
+          <span className="place-detail-label">
+            {t('placeDetail.photos', { count: attachments.length, max: MAX_PHOTOS_PER_PLACE })}
+          </span>
+          {attachments.length > 0 && (
+            <ul className="photo-gallery">
+              {attachments.map((attachment, index) => (
+                <li key={attachment.attachmentId}>
+                  <button
+                    className="photo-thumb"
+                    onClick={() => handlePhotoOpen(attachment)}
+                    aria-label={t('placeDetail.openPhoto', { name: attachment.fileName })}
+                  >
+                    <img src={thumbnailUrls[index]} alt={attachment.fileName} />
+                  </button>
+                  <button
+                    className="delete-btn photo-delete"
+                    onClick={() => handlePhotoDelete(attachment.attachmentId)}
+                    aria-label={t('placeDetail.deletePhoto', { name: attachment.fileName })}
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <input
+            type="file"
+            ref={fileInputRef}
+            accept="image/*"
+            multiple
+            hidden
+            onChange={handlePhotosSelected}
+          />
+          <button
+            className="btn btn-sm"
+            onClick={() => fileInputRef.current.click()}
+            disabled={isBusy || attachments.length >= MAX_PHOTOS_PER_PLACE}
+          >
+            {isBusy ? t('placeDetail.addingPhotos') : t('placeDetail.addPhotos')}
+          </button>
+        </div>
+      </div>
+
+      <div className="place-detail-footer">
+        <button className="btn btn-primary btn-sm" onClick={() => onShowOnMap(place)}>
+          {t('placeDetail.showOnMap')}
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+export default PlaceDetailPanel;
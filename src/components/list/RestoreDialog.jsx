@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './RestoreDialog.css';
+
+// 概要に表示するストア名のメッセージキー
+const STORE_LABEL_KEYS = {
+  visitedPlaces: 'restore.stores.visitedPlaces',
+  visits: 'restore.stores.visits',
+  trips: 'restore.stores.trips',
+  attachments: 'restore.stores.attachments'
+};
+
+// 作成日時の書式
+const DATE_TIME_FORMAT = { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' };
+
+/**
+ * バックアップ復元ダイアログコンポーネント
+ * バックアップファイルを検証して内容を確認し、置き換えか統合かを選んで復元する
+ * @param {boolean} isOpen - ダイアログを表示するかどうか
+ * @param {Function} onRead - ファイル選択時のコールバック（検証済みのバックアップと概要を返す）
+ * @param {Function} onRestore - 復元確定時のコールバック（バックアップ・復元方法）
+ * @param {Function} onClose - ダイアログを閉じる時のコールバック
+ */
+const RestoreDialog = ({ isOpen, onRead, onRestore, onClose }) => {
+  const { t, formatDate } = useTranslation();
+  const [result, setResult] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (!isOpen) return null;
+
+  // 背景クリックでのキャンセルを防止
+  const handleDialogClick = (e) => {
+    e.stopPropagation();
+  };
+
+  const handleClose = () => {
+    setResult(null);
+    setMode('merge');
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setIsBusy(true);
+    setResult(await onRead(file));
+    setIsBusy(false);
+  };
+
+  const handleRestore = async () => {
+    setIsBusy(true);
+    const success = await onRestore(result.backup, mode);
+    setIsBusy(false);
+
+    if (success) {
+      handleClose();
+    }
+  };
+
+  const summary = result?.summary;
+
+  return (
+    <div className="confirm-overlay" onClick={handleClose}>
+      <div
+        className="confirm-dialog restore-dialog"
+        onClick={handleDialogClick}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="restore-title"
+      >
+        <div className="confirm-header">
+          <h3 id="restore-title">{t('restore.title')}</h3>
+        </div>
+
+        <div className="confirm-body">
+          <div className="form-group">
+            <label htmlFor="backupFile">{t('restore.file')}</label>
+            <input
+              type="file"
+              id="backupFile"
+              accept=".json,application/json"
+              onChange={handleFileChange}
+              disabled={isBusy}
+            />
+          </div>
+
+          {summary && (
+            <>
+              <dl className="restore-summary">
+                <dt>{t('restore.exportedAt')}</dt>
+                <dd>{formatDate(summary.exportedAt, DATE_TIME_FORMAT)}</dd>
+                <dt>{t('restore.appVersion')}</dt>
+                <dd>{t('restore.version', { version: summary.appVersion || t('restore.unknownVersion'), schemaVersion: summary.schemaVersion })}</dd>
+                {Object.entries(summary.counts).map(([name, count]) => (
+                  <React.Fragment key={name}>
+                    <dt>{STORE_LABEL_KEYS[name] ? t(STORE_LABEL_KEYS[name]) : name}</dt>
+                    <dd>{t('restore.count', { count })}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+
+              <fieldset className="restore-modes">
+                <legend>{t('restore.mode')}</legend>
+                <label>
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    value="merge"
+                    checked={mode === 'merge'}
+                    onChange={() => setMode('merge')}
+                  />
+                  {t('restore.merge')}
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    value="replace"
+                    checked={mode === 'replace'}
+                    onChange={() => setMode('replace')}
+                  />
+                  {t('restore.replace')}
+                </label>
+              </fieldset>
+
+              {mode === 'replace' && (
+                <p className="restore-warning" role="alert">
+                  {t('restore.replaceWarning')}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="confirm-footer">
+          <button className="btn btn-secondary" onClick={handleClose}>
+            {t('common.cancel')}
+          </button>
+          <button
+            className={`btn ${mode === 'replace' ? 'btn-danger' : 'btn-primary'}`}
+            onClick={handleRestore}
+            disabled={!result || isBusy}
+          >
+            {isBusy ? t('restore.processing') : t('restore.submit')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreDialog;
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './TripDialog.css';
+
+const emptyForm = {
+  tripId: null,
+  name: '',
+  startDate: '',
+  endDate: '',
+  notes: '',
+  places: []
+};
+
+/**
+ * 旅行管理ダイアログコンポーネント
+ * 旅行の一覧表示・作成・編集・削除と、旅行への訪問地の割り当てを行う
+ * @param {boolean} isOpen - ダイアログを表示するかどうか
+ * @param {Array} trips - 旅行データの配列
+ * @param {Array} visitedPlaces - 旅行に割り当て可能な訪問地の配列
+ * @param {Function} onCreate - 旅行作成時のコールバック
+ * @param {Function} onUpdate - 旅行更新時のコールバック
+ * @param {Function} onDelete - 旅行削除時のコールバック
+ * @param {Function} onClose - ダイアログを閉じる時のコールバック
+ */
+const TripDialog = ({ isOpen, trips, visitedPlaces, onCreate, onUpdate, onDelete, onClose }) => {
+  const { t } = useTranslation();
+  const [form, setForm] = useState(null);
+
+  if (!isOpen) return null;
+
+  const placeNames = new Map(visitedPlaces.map(place => [place.uniqueId, place.placeName]));
+
+  // 背景クリックでのキャンセルを防止
+  const handleDialogClick = (e) => {
+    e.stopPropagation();
+  };
+
+  const handleClose = () => {
+    setForm(null);
+    onClose();
+  };
+
+  // 旅行の期間（開始日・終了日のどちらかだけの場合はその日付）
+  const formatPeriod = ({ startDate, endDate }) => (
+    startDate && endDate ? t('trips.period', { from: startDate, to: endDate }) : startDate || endDate || ''
+  );
+
+  const handleFieldChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+  };
+
+  // 訪問地の割り当て切り替え（チェックした順に旅行内の順序に追加）
+  const handlePlaceToggle = (uniqueId) => {
+    const places = form.places.includes(uniqueId)
+      ? form.places.filter(id => id !== uniqueId)
+      : [...form.places, uniqueId];
+    setForm({ ...form, places });
+  };
+
+  // 旅行内の訪問地の順序を入れ替え
+  const handlePlaceMove = (index, offset) => {
+    const places = [...form.places];
+    const target = index + offset;
+    if (target < 0 || target >= places.length) return;
+    [places[index], places[target]] = [places[target], places[index]];
+    setForm({ ...form, places });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { tripId, ...tripData } = form;
+
+    const result = tripId
+      ? await onUpdate(tripId, tripData)
+      : await onCreate(tripData);
+
+    if (result) {
+      setForm(null);
+    }
+  };
+
+  return (
+    <div className="confirm-overlay" onClick={handleClose}>
+      <div
+        className="confirm-dialog trip-dialog"
+        onClick={handleDialogClick}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="trip-dialog-title"
+      >
+        <div className="confirm-header">
+          <h3 id="trip-dialog-title">{form ? (form.tripId ? t('trips.editTitle') : t('trips.createTitle')) : t('trips.title')}</h3>
+        </div>
+
+        {form ? (
+          <form onSubmit={handleSubmit}>
+            <div className="confirm-body trip-form">
+              <div className="form-group">
+                <label htmlFor="tripName">{t('trips.name')}</label>
+                <input
+                  id="tripName"
+                  type="text"
+                  value={form.name}
+                  onChange={handleFieldChange('name')}
+                  required
+                  aria-required="true"
+                />
+              </div>
+              <div className="trip-dates">
+                <div className="form-group">
+                  <label htmlFor="tripStartDate">{t('trips.startDate')}</label>
+                  <input
+                    id="tripStartDate"
+                    type="date"
+                    value={form.startDate}
+                    onChange={handleFieldChange('startDate')}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="tripEndDate">{t('trips.endDate')}</label>
+                  <input
+                    id="tripEndDate"
+                    type="date"
+                    value={form.endDate}
+                    min={form.startDate || undefined}
+                    onChange={handleFieldChange('endDate')}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label htmlFor="tripNotes">{t('trips.notes')}</label>
+                <textarea
+                  id="tripNotes"
+                  rows="2"
+                  value={form.notes}
+                  onChange={handleFieldChange('notes')}
+                />
+              </div>
+
+              <fieldset className="form-group trip-places">
+                <legend>{t('trips.places')}</legend>
+                {form.places.length > 0 && (
+                  <ol className="trip-place-order" aria-label={t('trips.placeOrder')}>
+                    {form.places.map((uniqueId, index) => (
+                      <li key={uniqueId}>
+                        <span>{placeNames.get(uniqueId) || uniqueId}</span>
+                        <button type="button" onClick={() => handlePlaceMove(index, -1)} aria-label={t('trips.moveUp')} disabled={index === 0}>↑</button>
+                        <button type="button" onClick={() => handlePlaceMove(index, 1)} aria-label={t('trips.moveDown')} disabled={index === form.places.length - 1}>↓</button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {visitedPlaces.length === 0 ? (
+                  <p className="trip-empty">{t('trips.noPlaces')}</p>
+                ) : (
+                  <ul className="trip-place-options">
+                    {visitedPlaces.map(place => (
+                      <li key={place.uniqueId}>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={form.places.includes(place.uniqueId)}
+                            onChange={() => handlePlaceToggle(place.uniqueId)}
+                          />
+                          {place.placeName}
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </fieldset>
+            </div>
+
+            <div className="confirm-footer">
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>
+                {t('common.back')}
+              </button>
+              <button type="submit" className="btn btn-primary">
+                {t('trips.save')}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="confirm-body">
+              {trips.length === 0 ? (
+                <p className="trip-empty">{t('trips.empty')}</p>
+              ) : (
+                <ul className="trip-list">
+                  {trips.map(trip => (
+                    <li key={trip.tripId} className="trip-list-item">
+                      <div>
+                        <strong>{trip.name}</strong>
+                        <small>
+                          {formatPeriod(trip)}
+                          {` ${t('trips.placeCount', { count: trip.places.length })}`}
+                        </small>
+                      </div>
+                      <div className="trip-list-actions">
+                        <button className="btn btn-sm" onClick={() => setForm({ ...emptyForm, ...trip })}>
+                          {t('trips.edit')}
+                        </button>
+                        <button
+                          className="btn btn-sm btn-danger"
+                          onClick={() => onDelete(trip.tripId)}
+                          aria-label={t('trips.deleteLabel', { name: trip.name })}
+                        >
+                          {t('list.delete')}
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="confirm-footer">
+              <button className="btn btn-secondary" onClick={handleClose}>
+                {t('common.close')}
+              </button>
+              <button className="btn btn-primary" onClick={() => setForm({ ...emptyForm })}>
+                {t('trips.create')}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TripDialog;
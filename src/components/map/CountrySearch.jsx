@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getCountryName } from '../../utils/placeNameUtils';
+import useTranslation from '../../hooks/useTranslation';
+import './CountrySearch.css';
+
+// 候補として表示する件数の上限
+const MAX_RESULTS = 8;
+
+/**
+ * 地図上の国検索ボックス
+ * 入力に応じて候補を表示し、上下キーで選択・Enterで決定、Escapeで候補を閉じる
+ * @param {Function} onSearch - 検索処理（文字列を受け取り、該当する国のフィーチャーの配列を返す）
+ * @param {Function} onSelect - 候補の決定時のコールバック（国のフィーチャーを渡す）
+ * @param {string} language - 国名の表示言語
+ */
+const CountrySearch = ({ onSearch, onSelect, language }) => {
+  const { t } = useTranslation();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestQuery = useRef('');
+
+  // 入力のたびに候補を更新（古い検索結果で上書きしないよう最新の入力だけを反映）
+  useEffect(() => {
+    latestQuery.current = query;
+    setActiveIndex(-1);
+
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    onSearch(query).then(features => {
+      if (latestQuery.current === query) {
+        setResults((features || []).slice(0, MAX_RESULTS));
+      }
+    });
+  }, [query, onSearch]);
+
+  const getDisplayName = ({ ISO_A2, ADMIN }) => getCountryName(ISO_A2, language) || ADMIN;
+
+  const selectResult = (feature) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    setQuery(getDisplayName(feature.properties));
+    onSelect(feature);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setIsOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((activeIndex + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((activeIndex - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && isOpen && activeIndex >= 0) {
+      e.preventDefault();
+      selectResult(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showResults = isOpen && query.trim() !== '';
+
+  return (
+    <form className="country-search" role="search" onSubmit={handleSubmit}>
+      <div className="country-search-box">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          placeholder={t('countrySearch.placeholder')}
+          aria-label={t('countrySearch.label')}
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showResults}
+          aria-controls="country-search-results"
+          aria-activedescendant={activeIndex >= 0 ? `country-search-result-${activeIndex}` : undefined}
+        />
+        <button type="submit" aria-label={t('countrySearch.submit')} title={t('countrySearch.submit')}>
+          <span className="material-icons" aria-hidden="true">search</span>
+        </button>
+      </div>
+
+      {showResults && (
+        <ul className="search-results" id="country-search-results" role="listbox" aria-label={t('countrySearch.results')}>
+          {results.length === 0 ? (
+            <li className="search-results-empty">{t('countrySearch.noResults')}</li>
+          ) : (
+            results.map((feature, index) => {
+              const { ADMIN, ISO_A2 } = feature.properties;
+              const name = getDisplayName(feature.properties);
+
+              return (
+                <li
+                  key={`${ISO_A2}-${ADMIN}`}
+                  id={`country-search-result-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={index === activeIndex ? 'active' : ''}
+                  // 入力欄のblurより先に選択するためmousedownで処理する
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    selectResult(feature);
+                  }}
+                >
+                  <span className="search-result-name">{name}</span>
+                  <span className="search-result-detail">
+                    {name !== ADMIN ? ADMIN : ''}{ISO_A2 !== '-99' ? ` (${ISO_A2})` : ''}
+                  </span>
+                </li>
+              );
+            })
+          )}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default CountrySearch;
@@ -1,28 +1,88 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState } from 'react';
+import ImportPreview from './ImportPreview';
+import { DEFAULT_IMPORT_POLICY } from '../../utils/importUtils';
+import useTranslation from '../../hooks/useTranslation';
 import './ImportForm.css';
 
-const ImportForm = ({ isOpen, onClose, onSubmit }) => {
+// 読み込むものの種類
+const IMPORT_SOURCES = [
+  { value: 'file', labelKey: 'importForm.sources.file' },
+  { value: 'photos', labelKey: 'importForm.sources.photos' },
+  { value: 'folder', labelKey: 'importForm.sources.folder' }
+];
+
+/**
+ * インポートフォームコンポーネント
+ * ファイルを選択してプレビューを表示し、重複の扱いを選んでから書き込む2段階の手順
+ * @param {boolean} isOpen - フォームを表示するかどうか
+ * @param {Function} onClose - フォームを閉じる時のコールバック
+ * @param {Function} onPreview - ファイル選択時のコールバック（解析結果を返す）
+ * @param {Function} onPreviewPhotos - 写真選択時のコールバック（解析結果を返す）
+ * @param {Function} onSubmit - インポート確定時のコールバック（解析結果・全体の扱い・行ごとの扱い）
+ * @param {Object} initialAnalysis - 解析済みの結果（共有された地図など、ファイルを選ばずにプレビューから始める場合）
+ */
+const ImportForm = ({ isOpen, onClose, onPreview, onPreviewPhotos, onSubmit, initialAnalysis = null }) => {
+  const { t } = useTranslation();
   const fileInputRef = useRef(null);
+  const [source, setSource] = useState('file');
+  const [analysis, setAnalysis] = useState(initialAnalysis);
+  const [policy, setPolicy] = useState(DEFAULT_IMPORT_POLICY);
+  const [rowPolicies, setRowPolicies] = useState({});
+  const [isBusy, setIsBusy] = useState(false);
   
   if (!isOpen) return null;
   
-  const handleSubmit = (e) => {
+  // 次回開いた時はファイル選択から始める
+  const handleClose = () => {
+    setSource('file');
+    setAnalysis(null);
+    setPolicy(DEFAULT_IMPORT_POLICY);
+    setRowPolicies({});
+    onClose();
+  };
+  
+  // 1段階目：ファイルを解析してプレビューを表示
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    const file = fileInputRef.current.files[0];
-    onSubmit(file);
+    const { files } = fileInputRef.current;
+    
+    setIsBusy(true);
+    const result = source === 'file'
+      ? await onPreview(files[0])
+      : await onPreviewPhotos(Array.from(files));
+    setIsBusy(false);
+    
+    if (result) {
+      setAnalysis(result);
+    }
+  };
+  
+  // 2段階目：選択した扱いでインポート
+  const handleConfirm = async () => {
+    setIsBusy(true);
+    const success = await onSubmit(analysis, policy, rowPolicies);
+    setIsBusy(false);
+    
+    if (success) {
+      handleClose();
+    }
+  };
+  
+  const handleRowPolicyChange = (uniqueId, value) => {
+    setRowPolicies(current => ({ ...current, [uniqueId]: value || undefined }));
   };
   
   // Escキーでモーダルを閉じる
   const handleKeyDown = (e) => {
     if (e.key === 'Escape') {
-      onClose();
+      handleClose();
     }
   };
   
   // モーダル外クリックで閉じる
   const handleOverlayClick = (e) => {
     if (e.target.className === 'import-overlay') {
-      onClose();
+      handleClose();
     }
   };
   
@@ -36,41 +96,102 @@ const ImportForm = ({ isOpen, onClose, onSubmit }) => {
       aria-modal="true"
       aria-labelledby="import-title"
     >
-      <div className="import-container">
-        <h3 id="import-title">CSVファイルをインポート</h3>
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label htmlFor="csvFile">CSVファイルを選択</label>
-            <input 
-              type="file" 
-              id="csvFile" 
-              name="csvFile"
-              ref={fileInputRef}
-              accept=".csv" 
-              required
-              aria-required="true"
-              aria-describedby="file-format-help"
+      <div className={`import-container ${analysis ? 'import-container-wide' : ''}`}>
+        <h3 id="import-title">{analysis ? t('importForm.previewTitle') : t('importForm.title')}</h3>
+        {analysis ? (
+          <>
+            <ImportPreview
+              analysis={analysis}
+              policy={policy}
+              onPolicyChange={setPolicy}
+              rowPolicies={rowPolicies}
+              onRowPolicyChange={handleRowPolicyChange}
             />
-            <small id="file-format-help" className="form-text text-muted">
-              My World Atlasのエクスポート形式に合わせたCSVファイルを選択してください
-            </small>
-          </div>
-          <div className="form-actions">
-            <button 
-              type="button" 
-              className="btn btn-secondary"
-              onClick={onClose}
-            >
-              キャンセル
-            </button>
-            <button 
-              type="submit" 
-              className="btn btn-primary"
-            >
-              インポート
-            </button>
-          </div>
-        </form>
+            <div className="form-actions">
+              {!initialAnalysis && (
+                <button 
+                  type="button" 
+                  className="btn btn-secondary"
+                  onClick={() => setAnalysis(null)}
+                  disabled={isBusy}
+                >
+                  {t('common.back')}
+                </button>
+              )}
+              <button 
+                type="button" 
+                className="btn btn-secondary"
+                onClick={handleClose}
+              >
+                {t('common.cancel')}
+              </button>
+              <button 
+                type="button" 
+                className="btn btn-primary"
+                onClick={handleConfirm}
+                disabled={isBusy || (analysis.newRows.length === 0 && analysis.conflicts.length === 0)}
+              >
+                {isBusy ? t('importForm.importing') : t('importForm.submit')}
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <fieldset className="import-sources">
+              <legend>{t('importForm.source')}</legend>
+              {IMPORT_SOURCES.map(option => (
+                <label key={option.value}>
+                  <input
+                    type="radio"
+                    name="importSource"
+                    value={option.value}
+                    checked={source === option.value}
+                    onChange={() => setSource(option.value)}
+                  />
+                  {t(option.labelKey)}
+                </label>
+              ))}
+            </fieldset>
+            <div className="form-group">
+              <label htmlFor="csvFile">
+                {source === 'file' ? t('importForm.selectFile') : t('importForm.selectPhotos')}
+              </label>
+              <input 
+                // 種類を切り替えた時に選択済みのファイルをリセット
+                key={source}
+                type="file" 
+                id="csvFile" 
+                name="csvFile"
+                ref={fileInputRef}
+                accept={source === 'file' ? '.csv,.gpx,.kml' : '.jpg,.jpeg,image/jpeg'}
+                multiple={source !== 'file'}
+                {...(source === 'folder' ? { webkitdirectory: '', directory: '' } : {})}
+                required
+                aria-required="true"
+                aria-describedby="file-format-help"
+              />
+              <small id="file-format-help" className="form-text text-muted">
+                {source === 'file' ? t('importForm.fileHelp') : t('importForm.photosHelp')}
+              </small>
+            </div>
+            <div className="form-actions">
+              <button 
+                type="button" 
+                className="btn btn-secondary"
+                onClick={handleClose}
+              >
+                {t('common.cancel')}
+              </button>
+              <button 
+                type="submit" 
+                className="btn btn-primary"
+                disabled={isBusy}
+              >
+                {isBusy ? t('common.loading') : t('importForm.next')}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,191 @@
+import React from 'react';
+import { IMPORT_POLICIES } from '../../utils/importUtils';
+import useTranslation from '../../hooks/useTranslation';
+import { getPlaceName } from '../../utils/placeNameUtils';
+import { getPlaceStatusLabelKey } from '../../constants/placeStatus';
+import './ImportPreview.css';
+
+// 差分表示に使う項目名のメッセージキー
+const FIELD_LABEL_KEYS = {
+  placeName: 'importPreview.fields.placeName',
+  adminLevel: 'importPreview.fields.adminLevel',
+  dateMarked: 'importPreview.fields.dateMarked',
+  countryCodeISO: 'importPreview.fields.countryCodeISO',
+  regionCodeISO: 'importPreview.fields.regionCodeISO',
+  status: 'importPreview.fields.status',
+  notes: 'importPreview.fields.notes'
+};
+
+/**
+ * 差分の値を表示用の文字列に変換
+ * @param {string} field - 項目名
+ * @param {*} value - 値
+ * @param {Object} i18n - useTranslationの結果（t、formatDate）
+ * @returns {string} - 表示用の文字列
+ */
+const formatFieldValue = (field, value, { t, formatDate }) => {
+  if (value === null || value === undefined || value === '') return t('importPreview.empty');
+  if (field === 'status') return t(getPlaceStatusLabelKey(value));
+  if (field === 'dateMarked') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : formatDate(date, { year: 'numeric', month: 'numeric', day: 'numeric' });
+  }
+  return String(value);
+};
+
+/**
+ * 新規に追加される行の訪問期間を表示用の文字列に変換
+ * トラックファイルの場合は最初と最後の時刻、CSVの場合は訪問日の範囲
+ * @param {Object} place - インポートする訪問地域データ
+ * @param {Array<Object>} visits - インポートする訪問履歴
+ * @param {Object} i18n - useTranslationの結果（t、formatDate）
+ * @returns {string} - 表示用の期間
+ */
+const formatPeriod = (place, visits, i18n) => {
+  const dates = visits.map(visit => visit.visitDate).filter(Boolean).sort();
+  const first = place.firstVisitDate || dates[0];
+  const last = place.lastVisitDate || dates[dates.length - 1];
+
+  if (!first) return '';
+
+  const from = formatFieldValue('dateMarked', first, i18n);
+  const to = formatFieldValue('dateMarked', last || first, i18n);
+  return from === to ? from : i18n.t('importPreview.period', { from, to });
+};
+
+/**
+ * インポート内容のプレビューコンポーネント
+ * 新規・既存の記録と競合・無効の行を一覧表示し、競合の解決方法を選択する
+ * @param {Object} analysis - analyzeImportの結果
+ * @param {string} policy - 競合した行全体に適用する解決方法
+ * @param {Function} onPolicyChange - 全体の解決方法変更時のコールバック
+ * @param {Object} rowPolicies - 行ごとの解決方法（uniqueIdをキーとする）
+ * @param {Function} onRowPolicyChange - 行ごとの解決方法変更時のコールバック
+ */
+const ImportPreview = ({ analysis, policy, onPolicyChange, rowPolicies, onRowPolicyChange }) => {
+  const { newRows, conflicts, invalidRows } = analysis;
+  const i18n = useTranslation();
+  const { t, language } = i18n;
+
+  return (
+    <div className="import-preview">
+      <p className="import-summary">
+        {t('importPreview.summary', { newCount: newRows.length, conflictCount: conflicts.length, invalidCount: invalidRows.length })}
+      </p>
+
+      {newRows.length > 0 && (
+        <section>
+          <h4>{t('importPreview.newRows')}</h4>
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th>{t('list.columns.placeName')}</th>
+                <th>{t('list.columns.adminLevel')}</th>
+                <th>{t('list.columns.visitCount')}</th>
+                <th>{t('importPreview.columns.period')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {newRows.map(({ place, visits }) => (
+                <tr key={place.uniqueId}>
+                  <td>{getPlaceName(place, language)}</td>
+                  <td>{t(place.adminLevel === 'Country' ? 'adminLevel.Country' : 'adminLevel.State')}</td>
+                  <td>{visits.length}</td>
+                  <td>{formatPeriod(place, visits, i18n)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {conflicts.length > 0 && (
+        <section>
+          <h4>{t('importPreview.conflicts')}</h4>
+          <div className="form-group">
+            <label htmlFor="importPolicy">{t('importPreview.policyLabel')}</label>
+            <select
+              id="importPolicy"
+              value={policy}
+              onChange={(e) => onPolicyChange(e.target.value)}
+            >
+              {IMPORT_POLICIES.map(option => (
+                <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+              ))}
+            </select>
+          </div>
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th>{t('list.columns.placeName')}</th>
+                <th>{t('importPreview.columns.diff')}</th>
+                <th>{t('importPreview.columns.policy')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {conflicts.map(({ place, diff, visits }) => (
+                <tr key={place.uniqueId}>
+                  <td>{getPlaceName(place, language)}</td>
+                  <td>
+                    {diff.length === 0 ? (
+                      <span className="import-no-diff">
+                        {visits.length > 0 ? t('importPreview.noDiffWithVisits', { count: visits.length }) : t('importPreview.noDiff')}
+                      </span>
+                    ) : (
+                      <ul className="import-diff">
+                        {diff.map(({ field, current, incoming }) => (
+                          <li key={field}>
+                            <span className="import-diff-field">{FIELD_LABEL_KEYS[field] ? t(FIELD_LABEL_KEYS[field]) : field}</span>
+                            <del>{formatFieldValue(field, current, i18n)}</del>
+                            {' → '}
+                            <ins>{formatFieldValue(field, incoming, i18n)}</ins>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td>
+                    <select
+                      value={rowPolicies[place.uniqueId] || ''}
+                      onChange={(e) => onRowPolicyChange(place.uniqueId, e.target.value)}
+                      aria-label={t('importPreview.rowPolicyLabel', { name: getPlaceName(place, language) })}
+                    >
+                      <option value="">{t('importPreview.followPolicy')}</option>
+                      {IMPORT_POLICIES.map(option => (
+                        <option key={option.value} value={option.value}>{t(option.labelKey)}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {invalidRows.length > 0 && (
+        <section>
+          <h4>{t('importPreview.invalidRows')}</h4>
+          <table className="import-table import-invalid">
+            <thead>
+              <tr>
+                <th>{t('importPreview.columns.line')}</th>
+                <th>{t('importPreview.columns.reason')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invalidRows.map(({ line, reason }, index) => (
+                <tr key={index}>
+                  <td>{t(line)}</td>
+                  <td>{t(reason)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportPreview;
@@ -1,33 +1,128 @@
-import React from 'react';
+import React, { useState } from 'react';
+import useTranslation from '../../hooks/useTranslation';
 import './MapControls.css';
 
-const MapControls = ({ onExportClick, onImportClick, userLocation, onLocationClick }) => {
+/**
+ * 地図操作ボタンのコンポーネント
+ * @param {Function} onExportClick - CSVエクスポートボタンクリック時のコールバック
+ * @param {Function} onGeoJsonExportClick - GeoJSONエクスポートボタンクリック時のコールバック
+ * @param {Function} onImportClick - インポートボタンクリック時のコールバック
+ * @param {Function} onShareClick - 共有ボタンクリック時のコールバック
+ * @param {Object|null} userLocation - 現在地（取得できた場合のみ現在地ボタンを表示）
+ * @param {Function} onLocationClick - 現在地ボタンクリック時のコールバック
+ * @param {boolean} showDetailedBordersButton - 詳細な国境データの読み込みボタンを表示するか
+ * @param {Function} onDetailedBordersClick - 詳細な国境データの読み込みボタンクリック時のコールバック
+ * @param {Array} choroplethModes - 選択できる塗り分け方法（value・labelKey）
+ * @param {string} choroplethMode - 選択中の塗り分け方法
+ * @param {Function} onChoroplethModeChange - 塗り分け方法の変更時のコールバック
+ */
+const MapControls = ({
+  onExportClick,
+  onGeoJsonExportClick,
+  onImportClick,
+  onShareClick,
+  userLocation,
+  onLocationClick,
+  showDetailedBordersButton,
+  onDetailedBordersClick,
+  choroplethModes = [],
+  choroplethMode,
+  onChoroplethModeChange
+}) => {
+  const { t } = useTranslation();
+  const [isModeMenuOpen, setIsModeMenuOpen] = useState(false);
+
+  const handleModeChange = (mode) => {
+    onChoroplethModeChange(mode);
+    setIsModeMenuOpen(false);
+  };
+
   return (
-    <div className="map-controls" role="toolbar" aria-label="地図操作ツール">
+    <div className="map-controls" role="toolbar" aria-label={t('mapControls.toolbar')}>
+      {choroplethModes.length > 0 && (
+        <div className="map-control-menu-container">
+          <button 
+            className="map-control-button"
+            onClick={() => setIsModeMenuOpen(!isModeMenuOpen)}
+            title={t('mapControls.choropleth')}
+            aria-label={t('mapControls.choroplethLabel')}
+            aria-haspopup="true"
+            aria-expanded={isModeMenuOpen}
+          >
+            <span className="material-icons" aria-hidden="true">palette</span>
+          </button>
+          {isModeMenuOpen && (
+            <div className="map-control-menu" role="radiogroup" aria-label={t('mapControls.choropleth')}>
+              {choroplethModes.map(mode => (
+                <label key={mode.value}>
+                  <input
+                    type="radio"
+                    name="choroplethMode"
+                    value={mode.value}
+                    checked={choroplethMode === mode.value}
+                    onChange={() => handleModeChange(mode.value)}
+                  />
+                  {t(mode.labelKey)}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      
       <button 
         className="map-control-button"
         onClick={onExportClick}
-        title="CSVエクスポート"
-        aria-label="訪問データをCSVファイルとしてエクスポート"
+        title={t('mapControls.exportCsv')}
+        aria-label={t('mapControls.exportCsvLabel')}
       >
         <span className="material-icons" aria-hidden="true">file_download</span>
       </button>
       
+      <button 
+        className="map-control-button"
+        onClick={onGeoJsonExportClick}
+        title={t('mapControls.exportGeoJson')}
+        aria-label={t('mapControls.exportGeoJsonLabel')}
+      >
+        <span className="material-icons" aria-hidden="true">public</span>
+      </button>
+      
       <button 
         className="map-control-button"
         onClick={onImportClick}
-        title="CSVインポート"
-        aria-label="CSVファイルから訪問データをインポート"
+        title={t('mapControls.import')}
+        aria-label={t('mapControls.importLabel')}
       >
         <span className="material-icons" aria-hidden="true">file_upload</span>
       </button>
       
+      <button 
+        className="map-control-button"
+        onClick={onShareClick}
+        title={t('mapControls.share')}
+        aria-label={t('mapControls.shareLabel')}
+      >
+        <span className="material-icons" aria-hidden="true">share</span>
+      </button>
+      
+      {showDetailedBordersButton && (
+        <button 
+          className="map-control-button"
+          onClick={onDetailedBordersClick}
+          title={t('mapControls.detailedBorders')}
+          aria-label={t('mapControls.detailedBordersLabel')}
+        >
+          <span className="material-icons" aria-hidden="true">hd</span>
+        </button>
+      )}
+      
       {userLocation && (
         <button 
           className="map-control-button"
           onClick={onLocationClick}
-          title="現在地へ移動"
-          aria-label="地図を現在地に移動"
+          title={t('mapControls.location')}
+          aria-label={t('mapControls.locationLabel')}
         >
           <span className="material-icons" aria-hidden="true">my_location</span>
         </button>
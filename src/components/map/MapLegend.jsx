@@ -0,0 +1,30 @@
+import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './MapLegend.css';
+
+/**
+ * 値で塗り分けた地図の凡例
+ * 階級ごとの色を段階的に並べて表示する
+ * @param {Object} mode - 塗り分け方法の定義（labelKey・classes）
+ */
+const MapLegend = ({ mode }) => {
+  const { t } = useTranslation();
+
+  if (!mode || !mode.classes) return null;
+
+  return (
+    <div className="map-legend" role="group" aria-label={t('mapLegend.label', { mode: t(mode.labelKey) })}>
+      <span className="map-legend-title">{t(mode.labelKey)}</span>
+      <ul>
+        {mode.classes.map(choroplethClass => (
+          <li key={choroplethClass.min}>
+            <span className="map-legend-swatch" style={{ backgroundColor: choroplethClass.color }} aria-hidden="true" />
+            {t(choroplethClass.labelKey)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default MapLegend;
@@ -1,9 +1,12 @@
 import React from 'react';
 import useAtlasStore from '../../store/useAtlasStore';
+import useTranslation from '../../hooks/useTranslation';
+import { getPlaceName } from '../../utils/placeNameUtils';
 import './MapPopup.css'; // ポップアップ用のCSSをインポート
 
 function MapPopup({ placeInfo, onClose }) {
   const { markPlaceAsVisited } = useAtlasStore();
+  const { t, language } = useTranslation();
 
   const handleVisitClick = () => {
     if (!placeInfo) return;
@@ -17,9 +20,9 @@ function MapPopup({ placeInfo, onClose }) {
 
   return (
     <div className="map-popup">
-      <h3>{placeInfo.placeName}</h3>
+      <h3>{getPlaceName(placeInfo, language)}</h3>
       <button className="mark-visited-btn" onClick={handleVisitClick}>
-        訪問済みにする
+        {t('popup.markVisited')}
       </button>
     </div>
   );
@@ -0,0 +1,32 @@
+import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './RegionSelector.css';
+
+/**
+ * 地図の表示範囲を地域（大陸）に移動するコンポーネント
+ * 選択するとすぐに移動し、選択欄は未選択の表示に戻る
+ * @param {Array} regions - 地域区分（国連のM49の地域）の配列
+ * @param {Function} onSelect - 地域選択時のコールバック（地域コードを渡す）
+ */
+const RegionSelector = ({ regions, onSelect }) => {
+  const { t } = useTranslation();
+
+  if (!regions || regions.length === 0) return null;
+
+  return (
+    <div className="region-selector">
+      <select
+        value=""
+        onChange={(e) => e.target.value && onSelect(e.target.value)}
+        aria-label={t('regionSelector.label')}
+      >
+        <option value="">{t('regionSelector.placeholder')}</option>
+        {regions.map(region => (
+          <option key={region.code} value={region.code}>{region.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default RegionSelector;
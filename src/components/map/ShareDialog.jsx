@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import '../list/ConfirmDialog.css';
+import './ShareDialog.css';
+
+/**
+ * 共有リンクのダイアログコンポーネント
+ * 訪問データを圧縮したリンクを作成し、コピーできるように表示する（リンクはブラウザ内で作成する）
+ * @param {boolean} isOpen - ダイアログを表示するかどうか
+ * @param {Function} onCreateLink - リンク作成時のコールバック（日付を含めるかを受け取り、URLを返す）
+ * @param {Function} onClose - ダイアログを閉じる時のコールバック
+ */
+const ShareDialog = ({ isOpen, onCreateLink, onClose }) => {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+  const [includeDates, setIncludeDates] = useState(false);
+  const [url, setUrl] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  
+  // 開いた時と日付の有無を切り替えた時にリンクを作り直す
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    let cancelled = false;
+    setIsBusy(true);
+    setCopied(false);
+    onCreateLink({ includeDates }).then(result => {
+      if (cancelled) return;
+      // 共有するデータがない場合などは閉じる（理由はトーストで表示される）
+      if (!result) {
+        onClose();
+        return;
+      }
+      setUrl(result);
+      setIsBusy(false);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, includeDates, onCreateLink, onClose]);
+  
+  if (!isOpen) return null;
+  
+  // 背景クリックでのキャンセルを防止
+  const handleDialogClick = (e) => {
+    e.stopPropagation();
+  };
+  
+  const handleClose = () => {
+    setUrl(null);
+    setIncludeDates(false);
+    onClose();
+  };
+  
+  // クリップボードに書き込めない環境では、リンクを選択して手動でコピーしてもらう
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      console.error('クリップボードへのコピーエラー:', error);
+      inputRef.current.select();
+    }
+  };
+  
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      handleClose();
+    }
+  };
+  
+  return (
+    <div className="confirm-overlay" onClick={handleClose} onKeyDown={handleKeyDown}>
+      <div
+        className="confirm-dialog share-dialog"
+        onClick={handleDialogClick}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-title"
+      >
+        <div className="confirm-header">
+          <h3 id="share-title">{t('share.title')}</h3>
+        </div>
+        
+        <div className="confirm-body">
+          <p>{t('share.description')}</p>
+          <label className="share-option">
+            <input
+              type="checkbox"
+              checked={includeDates}
+              onChange={(e) => setIncludeDates(e.target.checked)}
+            />
+            {t('share.includeDates')}
+          </label>
+          <label htmlFor="share-url" className="share-label">{t('share.link')}</label>
+          <div className="share-url">
+            <input
+              id="share-url"
+              ref={inputRef}
+              type="text"
+              value={isBusy ? t('share.creating') : url || ''}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleCopy}
+              disabled={isBusy || !url}
+            >
+              {copied ? t('share.copied') : t('share.copy')}
+            </button>
+          </div>
+        </div>
+        
+        <div className="confirm-footer">
+          <button type="button" className="btn btn-secondary" onClick={handleClose}>
+            {t('common.close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
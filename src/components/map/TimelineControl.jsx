@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './TimelineControl.css';
+
+// スライダーの1目盛り（1日）
+const DAY = 24 * 60 * 60 * 1000;
+
+// 全期間を再生するのにかける時間（ms）
+const PLAYBACK_DURATION = 10000;
+
+/**
+ * 地図を過去の任意の日付の状態で表示するタイムライン
+ * 再生ボタンで最初の訪問から現在までを順に塗りつぶしていく
+ * @param {Object|null} range - タイムラインの開始と終了の時刻（start、end）
+ * @param {number|null} date - 表示中の時刻（nullの場合は現在）
+ * @param {number} placeCount - 表示中の訪問地の数
+ * @param {Function} onChange - 時刻変更時のコールバック（現在に戻す場合はnull）
+ */
+const TimelineControl = ({ range, date, placeCount, onChange }) => {
+  const { t, formatDate } = useTranslation();
+  const [isPlaying, setIsPlaying] = useState(false);
+  const dateRef = useRef(date);
+  dateRef.current = date;
+
+  // 再生（表示中の時刻から終了まで。終了位置にいる場合は最初から）
+  useEffect(() => {
+    if (!isPlaying || !range) return;
+
+    const span = range.end - range.start;
+    const from = dateRef.current === null || dateRef.current >= range.end ? range.start : dateRef.current;
+    let startedAt = null;
+    let frameId = null;
+
+    const step = (timestamp) => {
+      if (startedAt === null) startedAt = timestamp;
+      const next = from + ((timestamp - startedAt) / PLAYBACK_DURATION) * span;
+
+      if (next >= range.end) {
+        onChange(null);
+        setIsPlaying(false);
+        return;
+      }
+
+      onChange(next);
+      frameId = requestAnimationFrame(step);
+    };
+
+    frameId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frameId);
+  }, [isPlaying, range, onChange]);
+
+  // 対象の訪問地がなくなったら停止
+  useEffect(() => {
+    if (!range) setIsPlaying(false);
+  }, [range]);
+
+  if (!range) return null;
+
+  const value = date === null ? range.end : date;
+  const dateLabel = date === null ? t('timeline.now') : formatDate(value, { year: 'numeric', month: 'numeric', day: 'numeric' });
+
+  const handleSliderChange = (e) => {
+    setIsPlaying(false);
+    const time = Number(e.target.value);
+    onChange(time >= range.end ? null : time);
+  };
+
+  const handleReset = () => {
+    setIsPlaying(false);
+    onChange(null);
+  };
+
+  return (
+    <div className="timeline-control">
+      <button
+        className="timeline-button"
+        onClick={() => setIsPlaying(!isPlaying)}
+        aria-label={isPlaying ? t('timeline.pauseLabel') : t('timeline.playLabel')}
+        title={isPlaying ? t('timeline.pause') : t('timeline.play')}
+      >
+        <span className="material-icons" aria-hidden="true">{isPlaying ? 'pause' : 'play_arrow'}</span>
+      </button>
+      <input
+        type="range"
+        className="timeline-slider"
+        min={range.start}
+        max={range.end}
+        step={DAY}
+        value={value}
+        onChange={handleSliderChange}
+        aria-label={t('timeline.sliderLabel')}
+        aria-valuetext={dateLabel}
+      />
+      <span className="timeline-label" aria-live="off">
+        {dateLabel}
+        <span className="timeline-count">{t('timeline.placeCount', { count: placeCount })}</span>
+      </span>
+      {date !== null && (
+        <button
+          className="timeline-button"
+          onClick={handleReset}
+          aria-label={t('timeline.resetLabel')}
+          title={t('timeline.reset')}
+        >
+          <span className="material-icons" aria-hidden="true">skip_next</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TimelineControl;
@@ -0,0 +1,32 @@
+import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+import './TripSelector.css';
+
+/**
+ * 地図上で強調表示する旅行を選択するコンポーネント
+ * @param {Array} trips - 旅行データの配列
+ * @param {string|null} selectedTripId - 選択中の旅行ID
+ * @param {Function} onChange - 選択変更時のコールバック
+ */
+const TripSelector = ({ trips, selectedTripId, onChange }) => {
+  const { t } = useTranslation();
+
+  if (!trips || trips.length === 0) return null;
+
+  return (
+    <div className="trip-selector">
+      <select
+        value={selectedTripId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        aria-label={t('tripSelector.label')}
+      >
+        <option value="">{t('tripSelector.all')}</option>
+        {trips.map(trip => (
+          <option key={trip.tripId} value={trip.tripId}>{trip.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TripSelector;
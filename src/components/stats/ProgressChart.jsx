@@ -0,0 +1,39 @@
+import React from 'react';
+
+/**
+ * 内訳ごとの訪問数を横棒で表示するグラフ（SVGで描画するため外部サービス不要）
+ * 全体数がわかる項目は全体に対する割合、わからない項目は最大の訪問数に対する比率で描画する
+ * @param {Array<Object>} items - 内訳（id、label、visited、total）
+ * @param {Function} formatCount - 件数（全体数がわかる場合は全体数も）を単位付きの文字列にする関数
+ */
+const ProgressChart = ({ items, formatCount }) => {
+  const maxVisited = Math.max(1, ...items.map(item => item.visited));
+
+  return (
+    <ul className="progress-chart">
+      {items.map(item => {
+        const ratio = item.total ? item.visited / item.total : item.visited / maxVisited;
+        const value = formatCount(item.visited, item.total);
+
+        return (
+          <li key={item.id} className="progress-chart-row">
+            <span className="progress-chart-label">{item.label}</span>
+            <svg
+              className="progress-chart-bar"
+              width="100%"
+              height="12"
+              role="img"
+              aria-label={`${item.label}: ${value}`}
+            >
+              <rect width="100%" height="12" rx="3" className="progress-chart-track" />
+              <rect width={`${Math.min(1, ratio) * 100}%`} height="12" rx="3" className="progress-chart-fill" />
+            </svg>
+            <span className="progress-chart-value">{value}</span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ProgressChart;
@@ -0,0 +1,70 @@
+import React from 'react';
+import ProgressChart from './ProgressChart';
+import YearChart from './YearChart';
+import useTranslation from '../../hooks/useTranslation';
+
+/**
+ * 国・州などの種類ごとの統計を表示するセクション
+ * @param {string} id - セクションのID（見出しの要素IDに使用）
+ * @param {string} title - セクションの見出し
+ * @param {Object} stats - 集計結果（calculateStatisticsの戻り値のcountriesまたはregions）
+ * @param {string} groupTitle - 内訳の見出し
+ * @param {Function} formatCount - 件数（全体数がわかる場合は全体数も）を単位付きの文字列にする関数
+ * @param {string} emptyMessage - 記録がない場合のメッセージ
+ */
+const StatsSection = ({ id, title, stats, groupTitle, formatCount, emptyMessage }) => {
+  const { t, formatDate } = useTranslation();
+  const headingId = `${id}-title`;
+
+  return (
+    <section className="stats-section" aria-labelledby={headingId}>
+      <h3 id={headingId}>{title}</h3>
+
+      {stats.visited === 0 ? (
+        <p className="stats-empty">{emptyMessage}</p>
+      ) : (
+        <>
+          <div className="stats-summary">
+            <div className="stats-card">
+              <span className="stats-card-label">{t('stats.visited')}</span>
+              <span className="stats-card-value">{formatCount(stats.visited, stats.total)}</span>
+              {stats.percentage !== null && (
+                <span className="stats-card-note">{stats.percentage}%</span>
+              )}
+            </div>
+            {stats.firstVisit && (
+              <div className="stats-card">
+                <span className="stats-card-label">{t('stats.firstVisit')}</span>
+                <span className="stats-card-value">{stats.firstVisit.placeName}</span>
+                <span className="stats-card-note">{formatDate(stats.firstVisit.date)}</span>
+              </div>
+            )}
+            {stats.lastVisit && (
+              <div className="stats-card">
+                <span className="stats-card-label">{t('stats.lastVisit')}</span>
+                <span className="stats-card-value">{stats.lastVisit.placeName}</span>
+                <span className="stats-card-note">{formatDate(stats.lastVisit.date)}</span>
+              </div>
+            )}
+          </div>
+
+          {stats.groups.length > 0 && (
+            <>
+              <h4>{groupTitle}</h4>
+              <ProgressChart items={stats.groups} formatCount={formatCount} />
+            </>
+          )}
+
+          {stats.byYear.length > 0 && (
+            <>
+              <h4>{t('stats.byYear')}</h4>
+              <YearChart data={stats.byYear} />
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default StatsSection;
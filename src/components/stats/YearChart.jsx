@@ -0,0 +1,53 @@
+import React from 'react';
+import useTranslation from '../../hooks/useTranslation';
+
+// 棒の幅と描画領域の高さ（px）
+const COLUMN_WIDTH = 36;
+const CHART_HEIGHT = 140;
+const LABEL_HEIGHT = 18;
+
+/**
+ * 年ごとの訪問回数を縦棒で表示するグラフ（SVGで描画するため外部サービス不要）
+ * 年が多い場合は横にスクロールして表示する
+ * @param {Array<Object>} data - 年と訪問回数（year、count）の配列
+ */
+const YearChart = ({ data }) => {
+  const { t } = useTranslation();
+  const maxCount = Math.max(1, ...data.map(item => item.count));
+  const barAreaHeight = CHART_HEIGHT - LABEL_HEIGHT * 2;
+  const width = data.length * COLUMN_WIDTH;
+
+  return (
+    <div className="year-chart">
+      <svg
+        width={width}
+        height={CHART_HEIGHT}
+        viewBox={`0 0 ${width} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={data.map(item => t('stats.yearCount', { year: item.year, count: item.count })).join(t('stats.listSeparator'))}
+      >
+        {data.map((item, index) => {
+          const barHeight = (item.count / maxCount) * barAreaHeight;
+          const x = index * COLUMN_WIDTH;
+          const y = LABEL_HEIGHT + barAreaHeight - barHeight;
+
+          return (
+            <g key={item.year}>
+              <rect x={x + 6} y={y} width={COLUMN_WIDTH - 12} height={barHeight} rx="2" className="year-chart-bar" />
+              {item.count > 0 && (
+                <text x={x + COLUMN_WIDTH / 2} y={y - 4} textAnchor="middle" className="year-chart-count">
+                  {item.count}
+                </text>
+              )}
+              <text x={x + COLUMN_WIDTH / 2} y={CHART_HEIGHT - 4} textAnchor="middle" className="year-chart-year">
+                {item.year}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+export default YearChart;
@@ -0,0 +1,18 @@
+/**
+ * 背景地図の表示方法の定義
+ * 設定画面の選択肢と地図の表示切り替えで共通して使用する（表示名はメッセージカタログのキー）
+ */
+export const BASE_MAP_OPTIONS = [
+  { value: 'auto', labelKey: 'settings.baseMap.auto' },
+  { value: 'raster', labelKey: 'settings.baseMap.raster' },
+  { value: 'vector', labelKey: 'settings.baseMap.vector' }
+];
+
+export const DEFAULT_BASE_MAP = 'auto';
+
+/**
+ * 有効な表示方法かどうかを判定
+ * @param {string} value - 判定する表示方法
+ * @returns {boolean} - 定義済みの表示方法であればtrue
+ */
+export const isValidBaseMap = (value) => BASE_MAP_OPTIONS.some(option => option.value === value);
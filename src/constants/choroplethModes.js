@@ -0,0 +1,61 @@
+/**
+ * 地図の塗り分け方法の定義
+ * ステータス以外の方法は、訪問地ごとの値を階級に分けて段階的な色で塗り分ける
+ * 階級（classes）はminの昇順で、値がmin以上となる最後の階級の色を使う
+ * 表示名はメッセージカタログのキー（labelKey）で持つ
+ */
+export const CHOROPLETH_MODES = [
+  { value: 'status', labelKey: 'choropleth.modes.status' },
+  {
+    value: 'visitCount',
+    labelKey: 'choropleth.modes.visitCount',
+    classes: [
+      { min: 1, labelKey: 'choropleth.visitCount.one', color: '#c6dbef' },
+      { min: 2, labelKey: 'choropleth.visitCount.two', color: '#9ecae1' },
+      { min: 3, labelKey: 'choropleth.visitCount.threeToFour', color: '#6baed6' },
+      { min: 5, labelKey: 'choropleth.visitCount.fiveToNine', color: '#3182bd' },
+      { min: 10, labelKey: 'choropleth.visitCount.tenOrMore', color: '#08519c' }
+    ]
+  },
+  {
+    value: 'daysSpent',
+    labelKey: 'choropleth.modes.daysSpent',
+    classes: [
+      { min: 1, labelKey: 'choropleth.daysSpent.oneToTwo', color: '#c7e9c0' },
+      { min: 3, labelKey: 'choropleth.daysSpent.threeToSix', color: '#a1d99b' },
+      { min: 7, labelKey: 'choropleth.daysSpent.sevenToTwentyNine', color: '#74c476' },
+      { min: 30, labelKey: 'choropleth.daysSpent.thirtyToEightyNine', color: '#31a354' },
+      { min: 90, labelKey: 'choropleth.daysSpent.ninetyOrMore', color: '#006d2c' }
+    ]
+  },
+  {
+    // 値は最後の訪問からの経過日数（最近の訪問ほど濃い色）
+    value: 'recency',
+    labelKey: 'choropleth.modes.recency',
+    classes: [
+      { min: 0, labelKey: 'choropleth.recency.withinYear', color: '#54278f' },
+      { min: 365, labelKey: 'choropleth.recency.oneToThreeYears', color: '#756bb1' },
+      { min: 1096, labelKey: 'choropleth.recency.threeToFiveYears', color: '#9e9ac8' },
+      { min: 1826, labelKey: 'choropleth.recency.fiveToTenYears', color: '#cbc9e2' },
+      { min: 3653, labelKey: 'choropleth.recency.overTenYears', color: '#f2f0f7' }
+    ]
+  }
+];
+
+export const DEFAULT_CHOROPLETH_MODE = 'status';
+
+/**
+ * 有効な塗り分け方法かどうかを判定
+ * @param {string} value - 判定する塗り分け方法
+ * @returns {boolean} - 定義済みの塗り分け方法であればtrue
+ */
+export const isValidChoroplethMode = (value) => CHOROPLETH_MODES.some(mode => mode.value === value);
+
+/**
+ * 塗り分け方法の定義を取得
+ * @param {string} value - 塗り分け方法
+ * @returns {Object} - 定義（不明な場合はステータス）
+ */
+export const getChoroplethMode = (value) => (
+  CHOROPLETH_MODES.find(mode => mode.value === value) || CHOROPLETH_MODES[0]
+);
@@ -0,0 +1,28 @@
+/**
+ * 表示言語の定義
+ * 画面の文言・国名の表示と言語の切り替えで共通して使用する
+ * （src/locales のメッセージカタログ、src/data/country-names.json の言語と揃える）
+ */
+export const LANGUAGES = [
+  { value: 'ja', label: '日本語', locale: 'ja-JP' },
+  { value: 'en', label: 'English', locale: 'en-US' }
+];
+
+export const DEFAULT_LANGUAGE = 'ja';
+
+/**
+ * 有効な表示言語かどうかを判定
+ * @param {string} value - 判定する言語コード
+ * @returns {boolean} - 定義済みの言語であればtrue
+ */
+export const isValidLanguage = (value) => LANGUAGES.some(language => language.value === value);
+
+/**
+ * 表示言語の日付・数値の書式に使うロケールを取得
+ * @param {string} value - 言語コード
+ * @returns {string} - ロケール（BCP 47の言語タグ）
+ */
+export const getLocale = (value) => {
+  const definition = LANGUAGES.find(language => language.value === value);
+  return definition ? definition.locale : LANGUAGES[0].locale;
+};
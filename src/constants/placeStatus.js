@@ -0,0 +1,48 @@
+/**
+ * 訪問地のステータス（訪問の種類）の定義
+ * 地図の塗り分け色・ポップアップの選択肢・一覧のフィルターで共通して使用する
+ * 表示名はメッセージカタログのキー（labelKey）で持ち、表示するときに翻訳する
+ */
+export const PLACE_STATUSES = [
+  { value: 'lived', labelKey: 'placeStatus.lived', color: '#1F78B4' },
+  { value: 'stayed', labelKey: 'placeStatus.stayed', color: '#4FA3D9' },
+  { value: 'visited', labelKey: 'placeStatus.visited', color: '#ADD8E6' },
+  { value: 'transited', labelKey: 'placeStatus.transited', color: '#C9B8E6' },
+  { value: 'wishlist', labelKey: 'placeStatus.wishlist', color: '#F6C26B' }
+];
+
+// ステータスのない記録（旧バージョンのデータやCSV）に適用するステータス
+export const DEFAULT_PLACE_STATUS = 'visited';
+
+/**
+ * 有効なステータスかどうかを判定
+ * @param {string} status - 判定するステータス
+ * @returns {boolean} - 定義済みのステータスであればtrue
+ */
+export const isValidPlaceStatus = (status) => PLACE_STATUSES.some(s => s.value === status);
+
+/**
+ * 訪問地のステータスを取得（未設定・不正な値の場合はデフォルト）
+ * @param {Object} place - 訪問地データ
+ * @returns {string} - ステータス
+ */
+export const getPlaceStatus = (place) => (
+  place && isValidPlaceStatus(place.status) ? place.status : DEFAULT_PLACE_STATUS
+);
+
+/**
+ * ステータスの表示名のメッセージキーを取得
+ * @param {string} status - ステータス
+ * @returns {string} - メッセージキー（未定義のステータスはそのまま返す）
+ */
+export const getPlaceStatusLabelKey = (status) => {
+  const definition = PLACE_STATUSES.find(s => s.value === status);
+  return definition ? definition.labelKey : status;
+};
+
+/**
+ * 実際に訪れた記録かどうかを判定（「行きたい」は訪問数に含めない）
+ * @param {Object} place - 訪問地データ
+ * @returns {boolean} - 訪れた記録であればtrue
+ */
+export const isVisitedPlace = (place) => getPlaceStatus(place) !== 'wishlist';
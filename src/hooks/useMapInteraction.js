@@ -1,27 +1,196 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import maplibregl from 'maplibre-gl';
-import useAtlasStore from '../store/useAtlasStore';
+import useAtlasStore, { filterPlacesByTrip } from '../store/useAtlasStore';
+import mapService from '../services/mapService';
+import { createGraticule, getDisplayBounds } from '../utils/geoUtils';
+import { countPlacesUntil, getTimelineRange, sortPlacesByStartTime } from '../utils/timelineUtils';
+import { calculatePlaceValues } from '../utils/choroplethUtils';
+import { getPlaceName } from '../utils/placeNameUtils';
+import { createMessage, formatDate, translate } from '../utils/i18n';
+import { AppError } from '../utils/errorHandling';
+import { PLACE_STATUSES, getPlaceStatus, getPlaceStatusLabelKey } from '../constants/placeStatus';
+import { getChoroplethMode } from '../constants/choroplethModes';
+
+// 州・都道府県レイヤーを表示するズームレベルの閾値
+export const STATE_LAYER_MIN_ZOOM = 4;
+
+// 地図タイルの取得がこの回数続けて失敗したら、自動でオフライン地図に切り替える
+const RASTER_FAILURE_LIMIT = 5;
+
+// オフライン地図（同梱データのみで描画する背景）の色
+const VECTOR_BASE_COLORS = {
+  ocean: '#aad3df',
+  land: '#f2efe9',
+  outline: '#9e9e9e',
+  graticule: 'rgba(0, 0, 0, 0.08)'
+};
+
+/**
+ * HTML文字列に埋め込むためのエスケープ処理
+ * @param {string} value - エスケープする文字列
+ * @returns {string} - エスケープ済みの文字列
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * 訪問済みの国の一覧を取得（州・都道府県の記録は含めない）
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @returns {Array<Object>} - ISO 3166-1の国コードとステータスの配列
+ */
+const getVisitedCountries = (visitedPlaces) => visitedPlaces
+  .filter(place => place.adminLevel === 'Country' && place.countryCodeISO)
+  .map(place => ({ code: place.countryCodeISO, status: getPlaceStatus(place) }));
+
+/**
+ * 訪問済みの州・都道府県の一覧を取得
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @returns {Array<Object>} - ISO 3166-2の地域コードとステータスの配列
+ */
+const getVisitedRegions = (visitedPlaces) => visitedPlaces
+  .filter(place => place.adminLevel === 'State' && place.regionCodeISO)
+  .map(place => ({ code: place.regionCodeISO, status: getPlaceStatus(place) }));
+
+/**
+ * 値で塗り分ける訪問地の一覧を取得
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @param {string} adminLevel - 行政レベル（CountryまたはState）
+ * @param {string} codeProperty - 地図のフィーチャーと照合するコードの項目名
+ * @param {Map<string, number>} values - ユニークIDごとの値
+ * @returns {Array<Object>} - コードと値の配列
+ */
+const getChoroplethEntries = (visitedPlaces, adminLevel, codeProperty, values) => visitedPlaces
+  .filter(place => place.adminLevel === adminLevel && place[codeProperty] && values.has(place.uniqueId))
+  .map(place => ({ code: place[codeProperty], value: values.get(place.uniqueId) }));
+
+/**
+ * 国レイヤーの塗りつぶし色の式を生成
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @param {Object|null} choropleth - 値で塗り分ける場合の階級（classes）と値（values）。nullの場合はステータスで塗り分ける
+ * @returns {Array} - MapLibreのスタイル式
+ */
+const buildCountryFillColor = (visitedPlaces, choropleth = null) => [
+  'case',
+  ['boolean', ['feature-state', 'hover'], false],
+  'rgba(105,179,221, 0.6)', // ホバー時
+  // ステータスまたは値ごとに塗り分け（未訪問はほぼ透明にしてイベント検出を可能にする）
+  choropleth
+    ? mapService.generateCountriesChoroplethStyle(
+      getChoroplethEntries(visitedPlaces, 'Country', 'countryCodeISO', choropleth.values),
+      choropleth.classes,
+      'rgba(0, 0, 0, 0.01)'
+    )
+    : mapService.generateVisitedCountriesStyle(getVisitedCountries(visitedPlaces), 'rgba(0, 0, 0, 0.01)')
+];
+
+/**
+ * 州・都道府県レイヤーの塗りつぶし色の式を生成
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @param {Object|null} choropleth - 値で塗り分ける場合の階級（classes）と値（values）
+ * @returns {Array} - MapLibreのスタイル式
+ */
+const buildStateFillColor = (visitedPlaces, choropleth = null) => [
+  'case',
+  ['boolean', ['feature-state', 'hover'], false],
+  'rgba(46,160,90, 0.5)', // ホバー時
+  choropleth
+    ? mapService.generateStatesChoroplethStyle(
+      getChoroplethEntries(visitedPlaces, 'State', 'regionCodeISO', choropleth.values),
+      choropleth.classes
+    )
+    : mapService.generateVisitedStatesStyle(getVisitedRegions(visitedPlaces))
+];
 
 /**
  * 地図操作と地図データのインタラクションを管理するカスタムフック
  * @param {Object} containerRef - 地図を表示するDOM要素のref
+ * @param {Object} options - オプション
+ * @param {Function} options.onViewChange - 地図の移動やポップアップの開閉時に、表示中の地域コード（place）・中心（center）・ズームレベル（zoom）を受け取る関数
+ * @param {Array<Object>} options.readOnlyPlaces - 指定した場合は記録の代わりにこの訪問地をステータスで塗り分け、記録・編集はできない（共有された地図の表示用）
  * @returns {Object} - 地図関連の状態と関数
  */
-const useMapInteraction = (containerRef) => {
+const useMapInteraction = (containerRef, { onViewChange, readOnlyPlaces } = {}) => {
+  const readOnly = Array.isArray(readOnlyPlaces);
   const map = useRef(null);
   const popup = useRef(null);
+  const hoveredFeature = useRef(null); // ホバー/タッチ中のフィーチャー（ソース名とID）
+  const stateCountries = useRef(new Set()); // 州・都道府県の境界データを読み込んだ（読み込み中を含む）国コード
+  const stateFeatures = useRef([]); // 州・都道府県レイヤーに設定済みのフィーチャー
+  const handlers = useRef({}); // 地図イベントから常に最新のハンドラーを呼ぶための参照
+  const displayedPlacesRef = useRef([]); // レイヤー追加時に参照する最新の表示対象
+  const choroplethRef = useRef(null); // レイヤー追加時に参照する最新の塗り分け方法
+  const popupPhotoUrls = useRef([]); // ポップアップのサムネイル用オブジェクトURL（閉じる時に解放）
+  const rasterFailures = useRef(0); // 地図タイルの取得に続けて失敗した回数
+  const showRasterRef = useRef(true); // 地図初期化時に参照する地図タイルの表示有無
+  const popupPlaceCode = useRef(null); // ポップアップを表示中の地域コード（リンクに含める）
+  const readOnlyPlacesRef = useRef(null); // ポップアップで参照する閲覧のみの訪問地
   const [selectedFeature, setSelectedFeature] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
-  const [hoveredCountryId, setHoveredCountryId] = useState(null); // ホバー/タッチ中の国のID
   const [isMapReady, setIsMapReady] = useState(false); // 地図のロード状態を追跡
+  const [isStatesLayerReady, setIsStatesLayerReady] = useState(false); // 州・都道府県レイヤーのロード状態
   const [isTouchDevice, setIsTouchDevice] = useState(false); // タッチデバイス検出
+  const [allVisits, setAllVisits] = useState([]); // 滞在日数での塗り分けに使う訪問履歴
+  const [isRasterUnavailable, setIsRasterUnavailable] = useState(() => !navigator.onLine); // 地図タイルを取得できない状態か
 
   const {
     visitedPlaces,
+    trips,
+    highlightedTripId,
+    timelineDate,
+    hasDetailedBorders,
+    baseMap,
+    choroplethMode,
     markPlaceAsVisited,
-    initializeStore
+    updatePlaceStatus,
+    initializeStore,
+    getPlaceAttachments,
+    getAllVisits,
+    showToast
   } = useAtlasStore();
 
+  readOnlyPlacesRef.current = readOnly ? readOnlyPlaces : null;
+
+  // 旅行が選択されていればその旅行の訪問地のみ（閲覧のみの場合は指定された訪問地すべて）
+  const tripPlaces = useMemo(
+    () => (readOnly ? readOnlyPlaces : filterPlacesByTrip(visitedPlaces, trips, highlightedTripId)),
+    [readOnly, readOnlyPlaces, visitedPlaces, trips, highlightedTripId]
+  );
+
+  // タイムライン用に最初の訪問日時の順に並べた訪問地と、その期間
+  const timelineEntries = useMemo(() => sortPlacesByStartTime(tripPlaces), [tripPlaces]);
+  const timelineRange = useMemo(() => getTimelineRange(timelineEntries), [timelineEntries]);
+
+  // 地図に塗り分けて表示する訪問地（タイムラインの時刻以前に訪れた訪問地のみ）
+  // 再生中も表示する訪問地の数が変わった時だけ塗りつぶし色を更新する
+  const timelineCount = timelineDate === null || readOnly ? null : countPlacesUntil(timelineEntries, timelineDate);
+  const displayedPlaces = useMemo(
+    () => (timelineCount === null ? tripPlaces : timelineEntries.slice(0, timelineCount).map(entry => entry.place)),
+    [tripPlaces, timelineEntries, timelineCount]
+  );
+
+  displayedPlacesRef.current = displayedPlaces;
+
+  // 値で塗り分ける場合の階級と訪問地ごとの値（ステータスで塗り分ける場合と閲覧のみの場合はnull）
+  const choropleth = useMemo(() => {
+    const mode = getChoroplethMode(choroplethMode);
+    if (!mode.classes || readOnly) return null;
+
+    return {
+      classes: mode.classes,
+      values: calculatePlaceValues(mode.value, visitedPlaces, { visits: allVisits, trips })
+    };
+  }, [choroplethMode, readOnly, visitedPlaces, allVisits, trips]);
+
+  choroplethRef.current = choropleth;
+
+  // 地図タイルを表示するか（自動の場合は取得できている間だけ）
+  const showRaster = baseMap === 'raster' || (baseMap !== 'vector' && !isRasterUnavailable);
+  showRasterRef.current = showRaster;
+
   // ポップアップからの訪問登録処理
   const handleVisitButtonClick = useCallback((placeInfo) => {
     console.log('訪問登録ボタンがクリックされました', placeInfo);
@@ -58,22 +227,20 @@ const useMapInteraction = (containerRef) => {
     }
   }, [initializeStore]);
 
-  // ハイライト表示のハンドラー
-  const handleCountryHighlight = useCallback((e) => {
+  // フィーチャーをハイライト（以前ハイライトしたフィーチャーは解除）
+  const highlightFeature = useCallback((source, featureId) => {
     if (!map.current || !isMapReady) return;
-    if (!e.features || e.features.length === 0) return;
 
-    const feature = e.features[0];
-    const countryId = feature.properties.ISO_A2;
+    const previous = hoveredFeature.current;
 
-    // 以前と同じ国なら何もしない
-    if (hoveredCountryId === countryId) return;
+    // 以前と同じフィーチャーなら何もしない
+    if (previous && previous.source === source && previous.id === featureId) return;
 
-    // 以前ハイライトされた国があれば、そのハイライトを削除
-    if (hoveredCountryId) {
+    // 以前ハイライトされたフィーチャーがあれば、そのハイライトを削除
+    if (previous) {
       try {
         map.current.setFeatureState(
-          { source: 'countries', sourceLayer: '', id: hoveredCountryId },
+          { source: previous.source, id: previous.id },
           { hover: false }
         );
       } catch (err) {
@@ -81,83 +248,304 @@ const useMapInteraction = (containerRef) => {
       }
     }
 
-    // 新しい国をハイライト
+    // 新しいフィーチャーをハイライト
     try {
       map.current.setFeatureState(
-        { source: 'countries', sourceLayer: '', id: countryId },
+        { source, id: featureId },
         { hover: true }
       );
-      console.log(`国 ${countryId} をハイライトしました`);
     } catch (err) {
       console.error('ハイライト設定エラー:', err);
     }
 
-    setHoveredCountryId(countryId);
-  }, [hoveredCountryId, isMapReady]);
+    hoveredFeature.current = { source, id: featureId };
+  }, [isMapReady]);
+
+  // ハイライト表示のハンドラー
+  const handleFeatureHighlight = useCallback((source, idProperty, e) => {
+    if (!e.features || e.features.length === 0) return;
+
+    highlightFeature(source, e.features[0].properties[idProperty]);
+  }, [highlightFeature]);
 
   // ハイライト解除のハンドラー
-  const handleCountryUnhighlight = useCallback(() => {
-    if (!map.current || !isMapReady || !hoveredCountryId) return;
+  const handleFeatureUnhighlight = useCallback(() => {
+    const previous = hoveredFeature.current;
+    if (!map.current || !isMapReady || !previous) return;
 
     try {
       map.current.setFeatureState(
-        { source: 'countries', sourceLayer: '', id: hoveredCountryId },
+        { source: previous.source, id: previous.id },
         { hover: false }
       );
-      console.log(`国 ${hoveredCountryId} のハイライトを除去しました`);
     } catch (err) {
       console.error('ハイライト解除エラー:', err);
     }
 
-    setHoveredCountryId(null);
-  }, [hoveredCountryId, isMapReady]);
+    hoveredFeature.current = null;
+  }, [isMapReady]);
 
-  // 地図クリック・タッチイベントハンドラー
-  const handleCountryClick = useCallback((e) => {
-    if (!map.current || !isMapReady || !e.features || e.features.length === 0) return;
+  // ポップアップのサムネイル用オブジェクトURLを解放
+  const releasePopupPhotos = useCallback(() => {
+    popupPhotoUrls.current.forEach(url => URL.revokeObjectURL(url));
+    popupPhotoUrls.current = [];
+  }, []);
 
-    const feature = e.features[0];
-    const properties = feature.properties;
-    console.log('国がクリックされました:', properties.ADMIN);
+  // 表示中の地域と地図の位置を通知（URLへの反映に使う）
+  const notifyViewChange = useCallback(() => {
+    if (!map.current || !isMapReady || !onViewChange) return;
 
-    // 選択地域の情報
-    const placeInfo = {
-      uniqueId: properties.ISO_A2,
-      placeName: properties.ADMIN,
-      adminLevel: 'Country',
-      countryCodeISO: properties.ISO_A2
-    };
+    const { lng, lat } = map.current.getCenter().wrap();
+    onViewChange({
+      place: popupPlaceCode.current,
+      center: [lng, lat],
+      zoom: map.current.getZoom()
+    });
+  }, [isMapReady, onViewChange]);
+
+  // ポップアップを閉じた時の処理
+  const handlePopupClose = useCallback(() => {
+    releasePopupPhotos();
+    popupPlaceCode.current = null;
+    notifyViewChange();
+  }, [releasePopupPhotos, notifyViewChange]);
+
+  // 訪問済みの地域であれば、ポップアップに写真のサムネイルを表示
+  const loadPopupPhotos = useCallback(async (uniqueId) => {
+    const attachments = await getPlaceAttachments(uniqueId);
+    if (!attachments || attachments.length === 0 || !popup.current) return;
+
+    const popupEl = popup.current.getElement();
+    const gallery = popupEl && popupEl.querySelector(`.popup-gallery[data-place-id="${CSS.escape(uniqueId)}"]`);
+    if (!gallery) return;
+
+    releasePopupPhotos();
+    attachments.forEach(attachment => {
+      const url = URL.createObjectURL(attachment.thumbnail || attachment.blob);
+      popupPhotoUrls.current.push(url);
+
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = attachment.fileName || '';
+      gallery.appendChild(img);
+    });
+  }, [getPlaceAttachments, releasePopupPhotos]);
+
+  // 閲覧のみの地図では、地域名とステータス・最初の訪問日だけのポップアップを表示
+  const showReadOnlyPopup = useCallback((lngLat, placeInfo) => {
+    const { language } = useAtlasStore.getState();
+    const sharedPlace = readOnlyPlacesRef.current.find(place => place.uniqueId === placeInfo.uniqueId);
+    const placeName = escapeHtml(getPlaceName(placeInfo, language));
+
+    popup.current
+      .setLngLat(lngLat)
+      .setHTML(`
+        <div class="map-popup">
+          <h3>${placeName}</h3>
+          ${sharedPlace ? `<p class="popup-status">${escapeHtml(translate(getPlaceStatusLabelKey(getPlaceStatus(sharedPlace)), language))}</p>` : ''}
+          ${sharedPlace && sharedPlace.firstVisitDate ? `<p class="popup-date">${escapeHtml(translate({
+            key: 'share.firstVisit',
+            params: { date: formatDate(sharedPlace.firstVisitDate, language, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }) }
+          }, language))}</p>` : ''}
+        </div>
+      `)
+      .addTo(map.current);
+  }, []);
+
+  // 選択地域のポップアップを表示
+  const showPlacePopup = useCallback((lngLat, placeInfo) => {
     setSelectedFeature(placeInfo);
+    releasePopupPhotos();
+
+    if (readOnlyPlacesRef.current) {
+      showReadOnlyPopup(lngLat, placeInfo);
+      return;
+    }
+
+    const { visitedPlaces, language } = useAtlasStore.getState();
+    const visitedPlace = visitedPlaces.find(place => place.uniqueId === placeInfo.uniqueId);
+    const name = getPlaceName(placeInfo, language);
+    const placeName = escapeHtml(name);
+    // 表示言語に翻訳してHTMLに埋め込める形にする
+    const text = (key, params) => escapeHtml(translate(createMessage(key, params), language));
+    const currentStatus = getPlaceStatus(visitedPlace);
+    const statusOptions = PLACE_STATUSES
+      .map(s => `<option value="${s.value}"${s.value === currentStatus ? ' selected' : ''}>${text(s.labelKey)}</option>`)
+      .join('');
 
     // ポップアップ表示用HTML（アクセシビリティも考慮）
     const popupHTML = `
       <div class="map-popup">
-        <h3>${properties.ADMIN}</h3>
-        <button class="mark-visited-btn" id="mark-visited-${properties.ISO_A2}" aria-label="${properties.ADMIN}を訪問済みにする">
-          訪問済みにする
+        <h3>${placeName}</h3>
+        ${visitedPlace && visitedPlace.notes ? `<p class="popup-notes">${escapeHtml(visitedPlace.notes)}</p>` : ''}
+        ${visitedPlace ? `<div class="popup-gallery" data-place-id="${escapeHtml(placeInfo.uniqueId)}"></div>` : ''}
+        <select class="status-select" aria-label="${text('popup.statusLabel', { name })}">
+          ${statusOptions}
+        </select>
+        <button class="mark-visited-btn" aria-label="${text(visitedPlace ? 'popup.addVisitLabel' : 'popup.markLabel', { name })}">
+          ${text(visitedPlace ? 'popup.addVisit' : 'popup.mark')}
         </button>
       </div>
     `;
 
     popup.current
-      .setLngLat(e.lngLat)
+      .setLngLat(lngLat)
       .setHTML(popupHTML)
       .addTo(map.current);
 
+    popupPlaceCode.current = placeInfo.uniqueId;
+    notifyViewChange();
+
     // DOM更新後にイベント登録（requestAnimationFrameで遅延）
     requestAnimationFrame(() => {
       const popupEl = popup.current.getElement();
-      const markBtn = popupEl.querySelector(`#mark-visited-${properties.ISO_A2}`);
-      if (markBtn) {
+      const markBtn = popupEl && popupEl.querySelector('.mark-visited-btn');
+      const statusSelect = popupEl && popupEl.querySelector('.status-select');
+      if (markBtn && statusSelect) {
         markBtn.addEventListener('click', () => {
           console.log('訪問済みボタンがクリックされました:', placeInfo);
-          handleVisitButtonClick(placeInfo);
+          handleVisitButtonClick({ ...placeInfo, status: statusSelect.value });
         });
+
+        // 記録済みの地域はステータスの変更をすぐに反映
+        if (visitedPlace) {
+          statusSelect.addEventListener('change', () => {
+            updatePlaceStatus(placeInfo.uniqueId, statusSelect.value);
+          });
+        }
       } else {
         console.error('訪問済みボタンが見つかりません');
       }
+
+      if (visitedPlace) {
+        loadPopupPhotos(placeInfo.uniqueId);
+      }
     });
-  }, [handleVisitButtonClick, isMapReady]);
+  }, [handleVisitButtonClick, loadPopupPhotos, releasePopupPhotos, updatePlaceStatus, notifyViewChange, showReadOnlyPopup]);
+
+  // 国のクリック・タッチイベントハンドラー
+  const handleCountryClick = useCallback((e) => {
+    if (!map.current || !isMapReady || !e.features || e.features.length === 0) return;
+
+    // 州・都道府県レイヤーが表示されている地点では、そちらのクリックを優先
+    if (map.current.getLayer('states-fill') && map.current.getZoom() >= STATE_LAYER_MIN_ZOOM) {
+      const stateFeatures = map.current.queryRenderedFeatures(e.point, { layers: ['states-fill'] });
+      if (stateFeatures.length > 0) return;
+    }
+
+    const properties = e.features[0].properties;
+    console.log('国がクリックされました:', properties.ADMIN);
+
+    showPlacePopup(e.lngLat, {
+      uniqueId: properties.ISO_A2,
+      placeName: properties.ADMIN,
+      adminLevel: 'Country',
+      countryCodeISO: properties.ISO_A2
+    });
+  }, [isMapReady, showPlacePopup]);
+
+  // 州・都道府県のクリック・タッチイベントハンドラー
+  const handleStateClick = useCallback((e) => {
+    if (!map.current || !isMapReady || !e.features || e.features.length === 0) return;
+
+    const properties = e.features[0].properties;
+    if (!properties.iso_3166_2) return;
+
+    showPlacePopup(e.lngLat, {
+      uniqueId: properties.iso_3166_2,
+      placeName: properties.name,
+      adminLevel: 'State',
+      countryCodeISO: properties.iso_a2,
+      regionCodeISO: properties.iso_3166_2
+    });
+  }, [isMapReady, showPlacePopup]);
+
+  // 州・都道府県レイヤーの追加（境界データは国ごとに後から読み込む）
+  const addStatesLayer = useCallback(() => {
+    if (!map.current || map.current.getSource('states')) return;
+
+    // ISO 3166-2コードをフィーチャーIDとして利用（feature-stateによるホバー表示用）
+    map.current.addSource('states', {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: stateFeatures.current },
+      promoteId: 'iso_3166_2'
+    });
+
+    mapService.buildStatesLayers(
+      buildStateFillColor(displayedPlacesRef.current, choroplethRef.current),
+      STATE_LAYER_MIN_ZOOM
+    ).forEach(layer => map.current.addLayer(layer));
+
+    if (navigator.maxTouchPoints > 0) {
+      map.current.on('touchstart', 'states-fill', (e) => handlers.current.stateHighlight(e));
+      map.current.on('touchend', 'states-fill', () => {
+        setTimeout(() => handlers.current.unhighlight(), 1000);
+      });
+    } else {
+      map.current.on('mousemove', 'states-fill', (e) => handlers.current.stateHighlight(e));
+      map.current.on('mouseleave', 'states-fill', () => handlers.current.unhighlight());
+    }
+    map.current.on('click', 'states-fill', (e) => handlers.current.stateClick(e));
+
+    setIsStatesLayerReady(true);
+  }, []);
+
+  // 指定した国の州・都道府県の境界データを読み込み、レイヤーに加える（読み込み済みの国は除く）
+  const loadStates = useCallback(async (countryCodes) => {
+    if (!map.current) return;
+
+    addStatesLayer();
+
+    const codes = [...new Set(countryCodes)]
+      .filter(code => mapService.getStateCount(code) > 0 && !stateCountries.current.has(code));
+    if (codes.length === 0) return;
+    codes.forEach(code => stateCountries.current.add(code));
+
+    try {
+      const data = await mapService.getStatesGeoJsonForCountries(codes);
+      const source = map.current && map.current.getSource('states');
+      if (!source) return;
+
+      stateFeatures.current = [...stateFeatures.current, ...data.features];
+      source.setData({ type: 'FeatureCollection', features: stateFeatures.current });
+    } catch (error) {
+      codes.forEach(code => stateCountries.current.delete(code));
+      console.error('州・都道府県データの読み込みエラー:', error);
+      showToast(createMessage('errors.loadStates'), 'error');
+    }
+  }, [addStatesLayer, showToast]);
+
+  // 表示中の国の州・都道府県を読み込む（州・都道府県レイヤーを表示するズームレベルのみ）
+  const loadVisibleStates = useCallback(() => {
+    if (!map.current || !map.current.getLayer('countries-fill') || map.current.getZoom() < STATE_LAYER_MIN_ZOOM) return;
+
+    const countries = map.current.queryRenderedFeatures({ layers: ['countries-fill'] });
+    loadStates(countries.map(feature => feature.properties.ISO_A2));
+  }, [loadStates]);
+
+  // 地図タイルの取得エラー（続けて失敗した場合は、自動設定ならオフライン地図に切り替える）
+  const handleRasterError = useCallback(() => {
+    rasterFailures.current++;
+    if (rasterFailures.current < RASTER_FAILURE_LIMIT || isRasterUnavailable) return;
+
+    setIsRasterUnavailable(true);
+    if (baseMap === 'auto') {
+      showToast(createMessage('toast.rasterUnavailable'), 'info');
+    }
+  }, [isRasterUnavailable, baseMap, showToast]);
+
+  // 地図イベントからは常に最新のハンドラーを呼び出す
+  handlers.current = {
+    countryHighlight: (e) => handleFeatureHighlight('countries', 'ISO_A2', e),
+    stateHighlight: (e) => handleFeatureHighlight('states', 'iso_3166_2', e),
+    unhighlight: handleFeatureUnhighlight,
+    countryClick: handleCountryClick,
+    stateClick: handleStateClick,
+    popupClose: handlePopupClose,
+    viewChange: notifyViewChange,
+    loadStates: loadVisibleStates,
+    rasterError: handleRasterError
+  };
 
   // 地図初期化・イベント登録（依存値なしで1度のみ実行）
   useEffect(() => {
@@ -182,15 +570,33 @@ const useMapInteraction = (containerRef) => {
             ],
             tileSize: 256,
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          },
+          'graticule': {
+            type: 'geojson',
+            data: createGraticule()
           }
         },
         layers: [
+          // オフライン地図（海・経緯線。陸地と国境線は国境データの読み込み後に追加）
+          {
+            id: 'ocean',
+            type: 'background',
+            paint: { 'background-color': VECTOR_BASE_COLORS.ocean }
+          },
+          {
+            id: 'graticule',
+            type: 'line',
+            source: 'graticule',
+            paint: { 'line-color': VECTOR_BASE_COLORS.graticule, 'line-width': 1 }
+          },
+          // 地図タイル（表示中はオフライン地図を覆う）
           {
             id: 'osm-tiles',
             type: 'raster',
             source: 'osm',
             minzoom: 0,
-            maxzoom: 19
+            maxzoom: 19,
+            layout: { visibility: showRasterRef.current ? 'visible' : 'none' }
           }
         ]
       },
@@ -221,58 +627,70 @@ const useMapInteraction = (containerRef) => {
       anchor: 'bottom',
       offset: [0, -10] // モバイル用にオフセット調整
     });
+    const handlePopupCloseEvent = () => handlers.current.popupClose();
+    popup.current.on('close', handlePopupCloseEvent);
+
+    // 移動し終えたら表示位置を通知
+    map.current.on('moveend', () => handlers.current.viewChange());
+
+    // 地図タイルの取得結果を監視（成功したら失敗回数をリセット）
+    map.current.on('error', (e) => {
+      if (e.sourceId === 'osm') handlers.current.rasterError();
+    });
+    map.current.on('sourcedata', (e) => {
+      if (e.sourceId === 'osm' && e.tile) rasterFailures.current = 0;
+    });
 
     // 地図読み込み完了
     map.current.on('load', () => {
       console.log('地図が読み込まれました');
 
-      // 国境データの取得と各フィーチャーにid（ISO_A2）を付与
-      fetch('https://raw.githubusercontent.com/datasets/geo-countries/master/data/countries.geojson')
-        .then(response => response.json())
+      // 国境データの取得（同梱データのため通信できなくても表示できる）
+      mapService.getCountriesGeoJson()
         .then(data => {
-          // 各フィーチャーにidプロパティをISO_A2に設定
-          data.features = data.features.map(feature => ({
-            ...feature,
-            id: feature.properties.ISO_A2
-          }));
-          // ソース追加（generateIdは不要）
+          // ISO_A2をフィーチャーIDとして利用（feature-stateによるホバー・検索結果のハイライト用）
           map.current.addSource('countries', {
             type: 'geojson',
-            data: data
+            data,
+            promoteId: 'ISO_A2'
           });
 
+          // オフライン地図の陸地と国境線（地図タイルの下に描画）
+          map.current.addLayer({
+            id: 'countries-land',
+            type: 'fill',
+            source: 'countries',
+            paint: { 'fill-color': VECTOR_BASE_COLORS.land }
+          }, 'graticule');
+          map.current.addLayer({
+            id: 'countries-outline',
+            type: 'line',
+            source: 'countries',
+            paint: { 'line-color': VECTOR_BASE_COLORS.outline, 'line-width': 0.6 }
+          }, 'osm-tiles');
+
           // 国フィルレイヤーの追加
           map.current.addLayer({
             id: 'countries-fill',
             type: 'fill',
             source: 'countries',
             paint: {
-              'fill-color': [
-                'case',
-                ['boolean', ['feature-state', 'hover'], false],
-                'rgba(105,179,221, 0.6)', // ホバー時
-                [
-                  'case',
-                  ['in', ['get', 'ISO_A2'], ['literal', visitedPlaces.map(p => p.countryCodeISO)]],
-                  '#ADD8E6', // 訪問済み
-                  'rgba(0, 0, 0, 0.01)' // ほぼ透明にしてイベント検出を可能にする
-                ]
-              ],
+              'fill-color': buildCountryFillColor(displayedPlacesRef.current, choroplethRef.current),
               'fill-opacity': 1  // 明示的に設定
             }
           });
 
           // イベントハンドラー登録（タッチ/マウス別々に登録）
           if (navigator.maxTouchPoints > 0) {
-            map.current.on('touchstart', 'countries-fill', handleCountryHighlight);
+            map.current.on('touchstart', 'countries-fill', (e) => handlers.current.countryHighlight(e));
             map.current.on('touchend', 'countries-fill', () => {
-              setTimeout(handleCountryUnhighlight, 1000);
+              setTimeout(() => handlers.current.unhighlight(), 1000);
             });
           } else {
-            map.current.on('mousemove', 'countries-fill', handleCountryHighlight);
-            map.current.on('mouseleave', 'countries-fill', handleCountryUnhighlight);
+            map.current.on('mousemove', 'countries-fill', (e) => handlers.current.countryHighlight(e));
+            map.current.on('mouseleave', 'countries-fill', () => handlers.current.unhighlight());
           }
-          map.current.on('click', 'countries-fill', handleCountryClick);
+          map.current.on('click', 'countries-fill', (e) => handlers.current.countryClick(e));
 
           // カーソル変更（マウスのみ）
           if (navigator.maxTouchPoints === 0) {
@@ -284,6 +702,9 @@ const useMapInteraction = (containerRef) => {
             });
           }
 
+          // 一定以上ズームしたら、表示中の国の州・都道府県を読み込む
+          map.current.on('moveend', () => handlers.current.loadStates());
+
           // 現在地に移動およびマーカー設置
           if (userLocation) {
             map.current.flyTo({
@@ -304,18 +725,18 @@ const useMapInteraction = (containerRef) => {
         });
     });
 
-    // クリーンアップ関数
+    // クリーンアップ関数（イベントリスナーは地図の破棄とともに解除される）
     return () => {
+      // 地図の破棄で閉じるポップアップは、画面を離れた後のURLに反映しない
+      popup.current.off('close', handlePopupCloseEvent);
+
       if (map.current) {
-        // イベントリスナーをクリーンアップ
-        if (map.current.getLayer('countries-fill')) {
-          map.current.off('mousemove', 'countries-fill', handleCountryHighlight);
-          map.current.off('mouseleave', 'countries-fill', handleCountryUnhighlight);
-          map.current.off('click', 'countries-fill', handleCountryClick);
-        }
         map.current.remove();
         map.current = null;
         setIsMapReady(false);
+        setIsStatesLayerReady(false);
+        stateCountries.current = new Set();
+        stateFeatures.current = [];
       }
     };
 
@@ -326,32 +747,68 @@ const useMapInteraction = (containerRef) => {
     if (!map.current || !isMapReady || !map.current.getLayer('countries-fill')) return;
 
     try {
-      // 訪問済みの国リストを生成
-      const visitedCountryCodes = visitedPlaces
-        .filter(place => place.countryCodeISO)
-        .map(place => place.countryCodeISO);
-
-      console.log('訪問済み国リストを更新しました:', visitedCountryCodes);
-
-      // 塗りつぶしの色設定を更新
-      const defaultColorExpression = [
-        'case',
-        ['in', ['get', 'ISO_A2'], ['literal', visitedCountryCodes]],
-        '#ADD8E6', // 訪問済み
-        'rgba(0, 0, 0, 0)' // デフォルト（透明）
-      ];
-
-      map.current.setPaintProperty('countries-fill', 'fill-color', [
-        'case',
-        ['boolean', ['feature-state', 'hover'], false],
-        'rgba(105,179,221, 0.6)', // ホバー時のオーバーレイ色
-        defaultColorExpression // それ以外の場合の既存スタイル
-      ]);
+      map.current.setPaintProperty('countries-fill', 'fill-color', buildCountryFillColor(displayedPlaces, choropleth));
+
+      if (map.current.getLayer('states-fill')) {
+        map.current.setPaintProperty('states-fill', 'fill-color', buildStateFillColor(displayedPlaces, choropleth));
+      }
     } catch (error) {
-      console.error('ホバー用スタイル更新エラー:', error);
+      console.error('訪問済みスタイル更新エラー:', error);
     }
 
-  }, [visitedPlaces, isMapReady]);
+  }, [displayedPlaces, choropleth, isMapReady, isStatesLayerReady]);
+
+  // 滞在日数で塗り分ける場合は訪問履歴を読み込む（訪問データの変更時も再取得）
+  useEffect(() => {
+    if (choroplethMode !== 'daysSpent' || readOnly) return;
+
+    let cancelled = false;
+    getAllVisits().then(visits => {
+      if (!cancelled) setAllVisits(visits || []);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [choroplethMode, readOnly, visitedPlaces, getAllVisits]);
+
+  // 通信状態が変わったら地図タイルを再び試す（オフラインの間はオフライン地図）
+  useEffect(() => {
+    const handleOnline = () => {
+      rasterFailures.current = 0;
+      setIsRasterUnavailable(false);
+    };
+    const handleOffline = () => setIsRasterUnavailable(true);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // 背景地図の切り替え（地図タイルを非表示にするとオフライン地図が見える）
+  useEffect(() => {
+    if (!map.current || !isMapReady || !map.current.getLayer('osm-tiles')) return;
+
+    map.current.setLayoutProperty('osm-tiles', 'visibility', showRaster ? 'visible' : 'none');
+  }, [showRaster, isMapReady]);
+
+  // 詳細な国境データを取得したら国レイヤーのデータを差し替える
+  useEffect(() => {
+    if (!hasDetailedBorders || !map.current || !isMapReady) return;
+
+    const source = map.current.getSource('countries');
+    if (!source) return;
+
+    mapService.getCountriesGeoJson()
+      .then(data => source.setData(data))
+      .catch(error => {
+        console.error('国境データの差し替えエラー:', error);
+      });
+  }, [hasDetailedBorders, isMapReady]);
 
   // 現在地に移動する関数
   const flyToUserLocation = useCallback(() => {
@@ -364,13 +821,114 @@ const useMapInteraction = (containerRef) => {
     });
   }, [userLocation]);
 
+  // 地域（大陸）全体が見える範囲に移動
+  const flyToRegion = useCallback((regionCode) => {
+    const bounds = mapService.getRegionBounds(regionCode);
+    if (!map.current || !bounds) return;
+
+    map.current.fitBounds([[bounds[0], bounds[1]], [bounds[2], bounds[3]]], {
+      padding: 40,
+      essential: true
+    });
+  }, []);
+
+  // 国・州・都道府県に移動し、ハイライトしてポップアップを表示（そのまま記録できる）
+  const focusFeature = useCallback((source, feature, placeInfo, { move = true } = {}) => {
+    if (!map.current || !isMapReady || !feature) return;
+
+    const bounds = getDisplayBounds(feature.geometry);
+    if (!bounds) return;
+
+    if (move) {
+      map.current.fitBounds([[bounds[0], bounds[1]], [bounds[2], bounds[3]]], {
+        padding: 60,
+        maxZoom: source === 'states' ? 8 : 6,
+        essential: true
+      });
+    }
+
+    if (placeInfo.uniqueId) {
+      highlightFeature(source, placeInfo.uniqueId);
+    }
+
+    // 日付変更線をまたぐ国は東端が180度を超えるため、中心の経度を-180〜180度に戻す
+    const centerLng = (bounds[0] + bounds[2]) / 2;
+    showPlacePopup([centerLng > 180 ? centerLng - 360 : centerLng, (bounds[1] + bounds[3]) / 2], placeInfo);
+  }, [isMapReady, highlightFeature, showPlacePopup]);
+
+  // 検索で選択した国に移動
+  const focusCountry = useCallback((feature, options) => {
+    if (!feature) return;
+
+    const { ISO_A2, ADMIN } = feature.properties;
+    focusFeature('countries', feature, {
+      uniqueId: ISO_A2,
+      placeName: ADMIN,
+      adminLevel: 'Country',
+      countryCodeISO: ISO_A2
+    }, options);
+  }, [focusFeature]);
+
+  // 地域コード（国はISO 3166-1、州・都道府県はISO 3166-2）で指定した地域に移動
+  const focusPlace = useCallback(async (code, options) => {
+    try {
+      if (!code.includes('-')) {
+        focusCountry(await mapService.getCountryByIsoCode(code), options);
+        return;
+      }
+
+      const countryCode = code.split('-')[0];
+      const data = await mapService.getStatesGeoJson(countryCode);
+      const feature = data.features.find(f => f.properties && f.properties.iso_3166_2 === code);
+      if (!feature) {
+        throw new AppError('errors.map.regionNotFound', { code });
+      }
+
+      // ハイライトできるよう州・都道府県レイヤーにその国のデータを先に加える
+      await loadStates([countryCode]);
+      const { properties } = feature;
+      focusFeature('states', feature, {
+        uniqueId: properties.iso_3166_2,
+        placeName: properties.name,
+        adminLevel: 'State',
+        countryCodeISO: properties.iso_a2,
+        regionCodeISO: properties.iso_3166_2
+      }, options);
+    } catch (error) {
+      console.error('リンクの地域の表示エラー:', error);
+      showToast(createMessage('errors.linkedPlaceNotFound', { code }), 'error');
+    }
+  }, [focusCountry, focusFeature, loadStates, showToast]);
+
+  // リンクで指定された表示状態を反映（位置の指定があれば地域へは移動せずにポップアップだけ表示）
+  const showMapLink = useCallback(({ place, center, zoom }) => {
+    if (!map.current || !isMapReady) return;
+
+    if (center || zoom !== null) {
+      map.current.jumpTo({
+        ...(center ? { center } : {}),
+        ...(zoom !== null ? { zoom } : {})
+      });
+    }
+
+    if (place) {
+      focusPlace(place, { move: !center });
+    }
+  }, [isMapReady, focusPlace]);
+
   return {
     map,
     selectedFeature,
     userLocation,
     flyToUserLocation,
+    flyToRegion,
+    focusCountry,
+    showMapLink,
+    isMapReady,
+    timelineRange,
+    displayedPlaceCount: displayedPlaces.length,
     isTouchDevice
   };
 };
 
-export default useMapInteraction;
\ No newline at end of file
+export default useMapInteraction;
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * ネットワークへの接続状態を返すカスタムフック
+ * ブラウザのonline・offlineイベントで更新する
+ * @returns {boolean} - オンラインの場合はtrue
+ */
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,25 @@
+import { useCallback } from 'react';
+import useAtlasStore from '../store/useAtlasStore';
+import { formatDate, translate } from '../utils/i18n';
+
+/**
+ * 表示言語に合わせて文言を翻訳するカスタムフック
+ * 言語を切り替えると、このフックを使うコンポーネントは再描画される
+ * @returns {Object} - 翻訳関数（t）、日時の書式関数（formatDate）、表示言語（language）
+ */
+const useTranslation = () => {
+  const { language } = useAtlasStore();
+
+  // キーとパラメータ、またはストアが作成したメッセージを翻訳
+  const t = useCallback((message, params) => (
+    translate(params ? { key: message, params } : message, language)
+  ), [language]);
+
+  const formatLocalDate = useCallback((value, options) => (
+    formatDate(value, language, options)
+  ), [language]);
+
+  return { t, formatDate: formatLocalDate, language };
+};
+
+export default useTranslation;
@@ -0,0 +1,44 @@
+import { useEffect } from 'react';
+import useAtlasStore from '../store/useAtlasStore';
+
+/**
+ * キーボード操作の対象が文字入力欄かどうか
+ * 入力欄ではブラウザ標準の文字の取り消しを優先する
+ * @param {EventTarget} target - キーイベントの対象
+ * @returns {boolean} - 文字入力欄の場合はtrue
+ */
+const isTextInput = (target) => {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+};
+
+/**
+ * 元に戻す／やり直しのキーボードショートカットを登録するカスタムフック
+ * Ctrl+Z（macOSは⌘+Z）で元に戻す、Ctrl+Shift+Z（またはCtrl+Y）でやり直す
+ */
+const useUndoShortcuts = () => {
+  const { undo, redo } = useAtlasStore();
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextInput(e.target)) return;
+
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [undo, redo]);
+};
+
+export default useUndoShortcuts;
@@ -3,6 +3,13 @@ import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 import { HashRouter } from 'react-router-dom'
+import { resolveRedirectUrl } from './utils/linkUtils'
+
+// GitHub Pagesの404.htmlからのリダイレクトやクエリ付きのURLを、ハッシュルーティングのURLに直す
+const redirectUrl = resolveRedirectUrl(window.location)
+if (redirectUrl) {
+  window.history.replaceState(null, '', redirectUrl)
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -1,15 +1,39 @@
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Fragment, useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import useAtlasStore from '../store/useAtlasStore';
+import useAtlasStore, { filterPlacesByTrip } from '../store/useAtlasStore';
+import mapService from '../services/mapService';
+import useUndoShortcuts from '../hooks/useUndoShortcuts';
+import useTranslation from '../hooks/useTranslation';
 import Toast from '../components/Toast';
 import FilterControls from '../components/list/FilterControls';
 import ActionButtons from '../components/list/ActionButtons';
 import ImportForm from '../components/map/ImportForm';
+import RestoreDialog from '../components/list/RestoreDialog';
 import ListItem from '../components/list/ListItem';
 import ConfirmDialog from '../components/list/ConfirmDialog';
+import TripDialog from '../components/list/TripDialog';
+import PlaceDetailPanel from '../components/list/PlaceDetailPanel';
 import { withErrorHandling } from '../utils/errorHandling';
+import { getPlaceStatus } from '../constants/placeStatus';
+import { getRegionName, localizePlaceNames } from '../utils/placeNameUtils';
+import { formatMapLink, getPlaceCode } from '../utils/linkUtils';
+import { createMessage } from '../utils/i18n';
 import './ListView.css';
 
+// 地域区分（国連のM49の地域）の一覧
+const WORLD_REGIONS = mapService.getWorldRegions();
+
+/**
+ * 訪問地が属する地域（国連のM49の地域）のコードを取得
+ * 州・都道府県はその国の地域とする
+ * @param {Object} place - 訪問地データ
+ * @returns {string|null} - 地域コード（南極など地域に属さない場合はnull）
+ */
+const getPlaceRegionCode = (place) => {
+  const countryRegion = mapService.getCountryRegion(place.countryCodeISO || place.uniqueId);
+  return countryRegion ? countryRegion.region.code : null;
+};
+
 /**
  * 訪問記録の一覧表示画面
  */
@@ -17,39 +41,81 @@ function ListView() {
   const navigate = useNavigate();
   const { 
     visitedPlaces, 
+    trips,
     initializeStore, 
     toast, 
     removePlaceVisit,
     exportToCSV,
-    importFromCSV,
+    exportToGeoJSON,
+    previewImport,
+    previewPhotoImport,
+    applyImport,
+    exportBackup,
+    readBackup,
+    restoreBackup,
+    getVisitHistory,
+    createTrip,
+    updateTrip,
+    deleteTrip,
     showToast
   } = useAtlasStore();
+  const { t, language } = useTranslation();
   
   const [sortBy, setSortBy] = useState('dateMarked');
   const [sortDirection, setSortDirection] = useState('desc');
   const [filter, setFilter] = useState('');
   const [adminFilter, setAdminFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [tripFilter, setTripFilter] = useState('all');
+  const [regionFilter, setRegionFilter] = useState('all');
+  const [groupByRegion, setGroupByRegion] = useState(false);
+  const [tripDialogOpen, setTripDialogOpen] = useState(false);
+  const [detailPlaceId, setDetailPlaceId] = useState(null);
   const [importOpen, setImportOpen] = useState(false);
+  const [restoreOpen, setRestoreOpen] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [expandedVisits, setExpandedVisits] = useState(null);
   const [deleteConfirmation, setDeleteConfirmation] = useState({
     isOpen: false,
     uniqueId: null,
     placeName: ''
   });
   
+  // 元に戻す／やり直しのショートカット
+  useUndoShortcuts();
+  
   // 初期化
   useEffect(() => {
     initializeStore();
   }, [initializeStore]);
   
+  // 表示言語の名前に置き換えた訪問地（国名は国コードから引くため、言語を切り替えると表示も切り替わる）
+  const localizedPlaces = useMemo(
+    () => localizePlaceNames(visitedPlaces, language),
+    [visitedPlaces, language]
+  );
+  
   // メモ化されたソート・フィルタリング関数
   const displayData = useMemo(() => {
-    let filteredData = [...visitedPlaces];
+    let filteredData = tripFilter === 'all'
+      ? [...localizedPlaces]
+      : filterPlacesByTrip(localizedPlaces, trips, tripFilter);
     
     // 管理レベルでフィルタリング
     if (adminFilter !== 'all') {
       filteredData = filteredData.filter(place => place.adminLevel === adminFilter);
     }
     
+    // ステータスでフィルタリング
+    if (statusFilter !== 'all') {
+      filteredData = filteredData.filter(place => getPlaceStatus(place) === statusFilter);
+    }
+    
+    // 地域でフィルタリング
+    if (regionFilter !== 'all') {
+      filteredData = filteredData.filter(place => getPlaceRegionCode(place) === regionFilter);
+    }
+    
     // 検索テキストでフィルタリング
     if (filter) {
       const lowerFilter = filter.toLowerCase();
@@ -66,7 +132,7 @@ function ListView() {
       
       // 文字列の場合はロケールベースで比較
       if (typeof valueA === 'string' && typeof valueB === 'string') {
-        const result = valueA.localeCompare(valueB, 'ja');
+        const result = valueA.localeCompare(valueB, language);
         return sortDirection === 'asc' ? result : -result;
       }
       
@@ -75,7 +141,21 @@ function ListView() {
       if (valueA > valueB) return sortDirection === 'asc' ? 1 : -1;
       return 0;
     });
-  }, [visitedPlaces, sortBy, sortDirection, filter, adminFilter]);
+  }, [localizedPlaces, language, trips, sortBy, sortDirection, filter, adminFilter, statusFilter, tripFilter, regionFilter]);
+  
+  // 地域ごとにまとめた表示データ（地域の定義順。地域に属さない記録は最後に「その他」としてまとめる）
+  const groupedData = useMemo(() => {
+    if (!groupByRegion) return null;
+    
+    const groups = [...WORLD_REGIONS, { code: null }]
+      .map(region => ({
+        code: region.code,
+        label: region.code ? getRegionName(region, language) : t('list.otherRegion'),
+        places: displayData.filter(place => getPlaceRegionCode(place) === region.code)
+      }));
+    
+    return groups.filter(group => group.places.length > 0);
+  }, [displayData, groupByRegion, language, t]);
   
   // ソート順変更
   const handleSortChange = useCallback((column) => {
@@ -89,14 +169,45 @@ function ListView() {
     }
   }, [sortBy, sortDirection]);
   
-  // 行をクリックして地図にジャンプ
-  const handleRowClick = useCallback(withErrorHandling((place) => {
-    // 将来的にはURLパラメータで選択地域IDを渡す
-    navigate('/');
+  // 行をクリックして詳細パネルを表示
+  const handleRowClick = useCallback((place) => {
+    setDetailPlaceId(place.uniqueId);
+  }, []);
+  
+  // 詳細パネルに表示する訪問地（メモ更新などを反映するためストアから取得）
+  const detailPlace = useMemo(
+    () => localizedPlaces.find(place => place.uniqueId === detailPlaceId) || null,
+    [localizedPlaces, detailPlaceId]
+  );
+  
+  // 詳細パネルから地図にジャンプ
+  const handleShowOnMap = useCallback(withErrorHandling((place) => {
+    // 地図画面で地域を表示してポップアップを開く
+    navigate({ pathname: '/', search: formatMapLink({ place: getPlaceCode(place) }) });
   }, (error) => {
-    showToast('地図画面への移動中にエラーが発生しました', 'error');
+    showToast(createMessage('errors.navigateToMap'), 'error');
   }), [navigate, showToast]);
   
+  // 訪問履歴の展開・折りたたみ
+  const handleToggleHistory = useCallback((uniqueId) => {
+    setExpandedVisits(null);
+    setExpandedId(expandedId === uniqueId ? null : uniqueId);
+  }, [expandedId]);
+  
+  // 展開中の訪問履歴を取得（訪問記録が更新された場合も再取得）
+  useEffect(() => {
+    if (!expandedId) return;
+    
+    let cancelled = false;
+    getVisitHistory(expandedId).then(visits => {
+      if (!cancelled) setExpandedVisits(visits || []);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [visitedPlaces, expandedId, getVisitHistory]);
+  
   // 削除確認ダイアログを表示
   const handleDeleteClick = useCallback((uniqueId, placeName) => {
     setDeleteConfirmation({
@@ -129,17 +240,6 @@ function ListView() {
     });
   }, []);
   
-  // インポートフォーム送信処理
-  const handleImportSubmit = useCallback((file) => {
-    if (!file) {
-      showToast('ファイルを選択してください', 'warning');
-      return;
-    }
-    
-    importFromCSV(file);
-    setImportOpen(false);
-  }, [importFromCSV, showToast]);
-  
   // フィルター変更ハンドラ
   const handleFilterChange = useCallback((value) => {
     setFilter(value);
@@ -150,6 +250,42 @@ function ListView() {
     setAdminFilter(value);
   }, []);
   
+  // ステータスフィルター変更ハンドラ
+  const handleStatusFilterChange = useCallback((value) => {
+    setStatusFilter(value);
+  }, []);
+  
+  // 旅行フィルター変更ハンドラ
+  const handleTripFilterChange = useCallback((value) => {
+    setTripFilter(value);
+  }, []);
+  
+  // 地域フィルター変更ハンドラ
+  const handleRegionFilterChange = useCallback((value) => {
+    setRegionFilter(value);
+  }, []);
+  
+  // 旅行削除時は絞り込みも解除
+  const handleTripDelete = useCallback(async (tripId) => {
+    await deleteTrip(tripId);
+    if (tripFilter === tripId) {
+      setTripFilter('all');
+    }
+  }, [deleteTrip, tripFilter]);
+  
+  // 一覧の行
+  const renderListItem = (place) => (
+    <ListItem 
+      key={place.uniqueId}
+      place={place}
+      onRowClick={handleRowClick}
+      onDeleteClick={handleDeleteClick}
+      isExpanded={expandedId === place.uniqueId}
+      visits={expandedId === place.uniqueId ? expandedVisits : null}
+      onToggleHistory={handleToggleHistory}
+    />
+  );
+  
   return (
     <div className="list-view">
       <div className="list-controls">
@@ -159,17 +295,31 @@ function ListView() {
           onFilterChange={handleFilterChange}
           adminFilter={adminFilter}
           onAdminFilterChange={handleAdminFilterChange}
+          statusFilter={statusFilter}
+          onStatusFilterChange={handleStatusFilterChange}
+          trips={trips}
+          tripFilter={tripFilter}
+          onTripFilterChange={handleTripFilterChange}
+          regions={WORLD_REGIONS}
+          regionFilter={regionFilter}
+          onRegionFilterChange={handleRegionFilterChange}
+          groupByRegion={groupByRegion}
+          onGroupByRegionChange={setGroupByRegion}
         />
         
         {/* アクションボタン */}
         <ActionButtons 
           onExportClick={exportToCSV}
+          onGeoJsonExportClick={exportToGeoJSON}
           onImportClick={() => setImportOpen(true)}
+          onTripsClick={() => setTripDialogOpen(true)}
+          onBackupClick={exportBackup}
+          onRestoreClick={() => setRestoreOpen(true)}
         />
       </div>
       
       <div className="table-container">
-        <table className="list-table" aria-label="訪問記録一覧">
+        <table className="list-table" aria-label={t('list.tableLabel')}>
           <thead>
             <tr>
               <th 
@@ -177,43 +327,52 @@ function ListView() {
                 onClick={() => handleSortChange('placeName')}
                 aria-sort={sortBy === 'placeName' ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
               >
-                地域名
+                {t('list.columns.placeName')}
               </th>
               <th 
                 className={sortBy === 'adminLevel' ? `sorted-${sortDirection}` : ''}
                 onClick={() => handleSortChange('adminLevel')}
                 aria-sort={sortBy === 'adminLevel' ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
               >
-                レベル
+                {t('list.columns.adminLevel')}
               </th>
               <th 
                 className={sortBy === 'dateMarked' ? `sorted-${sortDirection}` : ''}
                 onClick={() => handleSortChange('dateMarked')}
                 aria-sort={sortBy === 'dateMarked' ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
               >
-                記録日時
+                {t('list.columns.dateMarked')}
+              </th>
+              <th 
+                className={sortBy === 'visitCount' ? `sorted-${sortDirection}` : ''}
+                onClick={() => handleSortChange('visitCount')}
+                aria-sort={sortBy === 'visitCount' ? (sortDirection === 'asc' ? 'ascending' : 'descending') : 'none'}
+              >
+                {t('list.columns.visitCount')}
               </th>
-              <th>操作</th>
+              <th>{t('list.columns.actions')}</th>
             </tr>
           </thead>
           <tbody>
             {displayData.length === 0 ? (
               <tr>
-                <td colSpan="4" className="empty-message">
-                  {filter || adminFilter !== 'all' 
-                    ? '検索条件に一致する記録がありません' 
-                    : '訪問記録がありません。地図画面で国や地域をクリックして記録を開始しましょう！'}
+                <td colSpan="5" className="empty-message">
+                  {filter || adminFilter !== 'all' || statusFilter !== 'all' || tripFilter !== 'all' || regionFilter !== 'all'
+                    ? t('list.noMatches') 
+                    : t('list.empty')}
                 </td>
               </tr>
-            ) : (
-              displayData.map((place) => (
-                <ListItem 
-                  key={place.uniqueId}
-                  place={place}
-                  onRowClick={handleRowClick}
-                  onDeleteClick={handleDeleteClick}
-                />
+            ) : groupedData ? (
+              groupedData.map(group => (
+                <Fragment key={group.code || 'other'}>
+                  <tr className="list-group-row">
+                    <td colSpan="5">{t('list.groupRow', { region: group.label, count: group.places.length })}</td>
+                  </tr>
+                  {group.places.map(renderListItem)}
+                </Fragment>
               ))
+            ) : (
+              displayData.map(renderListItem)
             )}
           </tbody>
         </table>
@@ -224,8 +383,8 @@ function ListView() {
         {displayData.length > 0 && (
           <p>
             {adminFilter === 'all' 
-              ? `合計: ${displayData.length}件` 
-              : `${adminFilter === 'Country' ? '国' : '州・都道府県'}: ${displayData.length}件`}
+              ? t('list.total', { count: displayData.length }) 
+              : t('list.levelTotal', { level: t(`adminLevel.${adminFilter}`), count: displayData.length })}
           </p>
         )}
       </div>
@@ -234,16 +393,44 @@ function ListView() {
       <ImportForm
         isOpen={importOpen}
         onClose={() => setImportOpen(false)}
-        onSubmit={handleImportSubmit}
+        onPreview={previewImport}
+        onPreviewPhotos={previewPhotoImport}
+        onSubmit={applyImport}
+      />
+      
+      {/* バックアップ復元ダイアログ */}
+      <RestoreDialog
+        isOpen={restoreOpen}
+        onRead={readBackup}
+        onRestore={restoreBackup}
+        onClose={() => setRestoreOpen(false)}
+      />
+      
+      {/* 訪問地の詳細パネル */}
+      <PlaceDetailPanel
+        place={detailPlace}
+        onShowOnMap={handleShowOnMap}
+        onClose={() => setDetailPlaceId(null)}
+      />
+      
+      {/* 旅行管理ダイアログ */}
+      <TripDialog
+        isOpen={tripDialogOpen}
+        trips={trips}
+        visitedPlaces={localizedPlaces}
+        onCreate={createTrip}
+        onUpdate={updateTrip}
+        onDelete={handleTripDelete}
+        onClose={() => setTripDialogOpen(false)}
       />
       
       {/* 削除確認ダイアログ */}
       <ConfirmDialog
         isOpen={deleteConfirmation.isOpen}
-        title="訪問記録の削除"
-        message={`「${deleteConfirmation.placeName}」の訪問記録を削除しますか？`}
-        confirmText="削除する"
-        cancelText="キャンセル"
+        title={t('list.deleteTitle')}
+        message={t('list.deleteMessage', { name: deleteConfirmation.placeName })}
+        confirmText={t('list.deleteConfirm')}
+        cancelText={t('common.cancel')}
         onConfirm={confirmDelete}
         onCancel={cancelDelete}
       />
@@ -253,6 +440,7 @@ function ListView() {
         show={toast.show} 
         message={toast.message} 
         type={toast.type} 
+        action={toast.action}
       />
     </div>
   );
@@ -1,39 +1,88 @@
-import { useRef, useState, useEffect } from 'react';
+import { useRef, useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import useAtlasStore from '../store/useAtlasStore';
+import mapService from '../services/mapService';
+import { CHOROPLETH_MODES, getChoroplethMode } from '../constants/choroplethModes';
+import { formatMapLink, parseMapLink } from '../utils/linkUtils';
 import useMapInteraction from '../hooks/useMapInteraction';
+import useUndoShortcuts from '../hooks/useUndoShortcuts';
 import MapControls from '../components/map/MapControls';
 import ImportForm from '../components/map/ImportForm';
+import ShareDialog from '../components/map/ShareDialog';
+import TripSelector from '../components/map/TripSelector';
+import CountrySearch from '../components/map/CountrySearch';
+import RegionSelector from '../components/map/RegionSelector';
+import TimelineControl from '../components/map/TimelineControl';
+import MapLegend from '../components/map/MapLegend';
 import Toast from '../components/Toast';
 import './MapView.css';
 
 /**
  * 地図表示画面のコンポーネント
  * ユーザーが訪れた国を視覚的に表示し、新しい訪問を記録できる
+ * URLパラメータ（place、center、zoom）で表示する地域や位置を指定でき、地図の操作に合わせて更新する
  */
 function MapView() {
   const mapContainer = useRef(null);
   const [importOpen, setImportOpen] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const linkedSearch = useRef(null); // 地図に反映済み、または地図から書き込んだクエリ文字列
   
   const { 
     toast,
-    showToast,
     exportToCSV,
-    importFromCSV
+    exportToGeoJSON,
+    previewImport,
+    previewPhotoImport,
+    applyImport,
+    createShareLink,
+    trips,
+    highlightedTripId,
+    setHighlightedTripId,
+    timelineDate,
+    setTimelineDate,
+    hasDetailedBorders,
+    loadDetailedBorders,
+    choroplethMode,
+    setChoroplethMode,
+    searchCountries,
+    language
   } = useAtlasStore();
   
+  // 共有ダイアログを閉じる（ダイアログがリンクを作り直さないよう関数を固定する）
+  const handleShareClose = useCallback(() => setShareOpen(false), []);
+  
+  // 地図の表示状態をURLに反映（移動のたびに履歴が増えないよう置き換える）
+  const handleViewChange = useCallback((view) => {
+    const search = formatMapLink(view);
+    linkedSearch.current = search ? `?${search}` : '';
+    navigate({ search }, { replace: true });
+  }, [navigate]);
+  
   // 地図操作のカスタムフック
-  const { userLocation, flyToUserLocation } = useMapInteraction(mapContainer);
+  const {
+    userLocation,
+    flyToUserLocation,
+    flyToRegion,
+    focusCountry,
+    showMapLink,
+    isMapReady,
+    timelineRange,
+    displayedPlaceCount
+  } = useMapInteraction(mapContainer, { onViewChange: handleViewChange });
   
-  // インポートフォーム送信処理
-  const handleImportSubmit = (file) => {
-    if (!file) {
-      showToast('ファイルを選択してください', 'warning');
-      return;
-    }
+  // 地図の準備ができたら、URLで指定された地域・位置を表示（地図から書き込んだURLは反映しない）
+  useEffect(() => {
+    if (!isMapReady || location.search === linkedSearch.current) return;
     
-    importFromCSV(file);
-    setImportOpen(false);
-  };
+    linkedSearch.current = location.search;
+    showMapLink(parseMapLink(location.search));
+  }, [isMapReady, location.search, showMapLink]);
+  
+  // 元に戻す／やり直しのショートカット
+  useUndoShortcuts();
   
   // MapViewが表示されている間だけbodyにクラスを追加
   useEffect(() => {
@@ -51,16 +100,55 @@ function MapView() {
       {/* 地図コントロール */}
       <MapControls
         onExportClick={exportToCSV}
+        onGeoJsonExportClick={exportToGeoJSON}
         onImportClick={() => setImportOpen(true)}
+        onShareClick={() => setShareOpen(true)}
         userLocation={userLocation}
         onLocationClick={flyToUserLocation}
+        showDetailedBordersButton={!hasDetailedBorders}
+        onDetailedBordersClick={loadDetailedBorders}
+        choroplethModes={CHOROPLETH_MODES}
+        choroplethMode={choroplethMode}
+        onChoroplethModeChange={setChoroplethMode}
+      />
+      
+      {/* 国の検索・地域への移動・旅行の絞り込みと凡例 */}
+      <div className="map-selectors">
+        <CountrySearch onSearch={searchCountries} onSelect={focusCountry} language={language} />
+        <RegionSelector
+          regions={mapService.getWorldRegions()}
+          onSelect={flyToRegion}
+        />
+        <TripSelector
+          trips={trips}
+          selectedTripId={highlightedTripId}
+          onChange={setHighlightedTripId}
+        />
+        <MapLegend mode={getChoroplethMode(choroplethMode)} />
+      </div>
+      
+      {/* タイムライン */}
+      <TimelineControl
+        range={timelineRange}
+        date={timelineDate}
+        placeCount={displayedPlaceCount}
+        onChange={setTimelineDate}
       />
       
       {/* インポートフォーム */}
       <ImportForm
         isOpen={importOpen}
         onClose={() => setImportOpen(false)}
-        onSubmit={handleImportSubmit}
+        onPreview={previewImport}
+        onPreviewPhotos={previewPhotoImport}
+        onSubmit={applyImport}
+      />
+      
+      {/* 共有リンク */}
+      <ShareDialog
+        isOpen={shareOpen}
+        onCreateLink={createShareLink}
+        onClose={handleShareClose}
       />
       
       {/* トースト通知 */}
@@ -68,6 +156,7 @@ function MapView() {
         show={toast.show} 
         message={toast.message} 
         type={toast.type} 
+        action={toast.action}
       />
     </div>
   );
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from 'react';
+import useAtlasStore from '../store/useAtlasStore';
+import Toast from '../components/Toast';
+import useTranslation from '../hooks/useTranslation';
+import { BASE_MAP_OPTIONS } from '../constants/baseMaps';
+import { LANGUAGES } from '../constants/languages';
+import './SettingsView.css';
+
+// キャッシュの取得日時の表示形式
+const DATE_TIME_FORMAT = { year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+/**
+ * バイト数を表示用の文字列に変換
+ * @param {number} bytes - バイト数
+ * @returns {string} - KB・MB単位の文字列
+ */
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * 設定画面
+ * 表示言語・背景地図の選択と、ブラウザに保存した地図データのキャッシュの確認・削除を行う
+ */
+function SettingsView() {
+  const { toast, language, setLanguage, baseMap, setBaseMap, getGeoCacheUsage, clearGeoCache } = useAtlasStore();
+  const { t, formatDate } = useTranslation();
+  const [cacheEntries, setCacheEntries] = useState(null);
+
+  const loadCacheUsage = useCallback(async () => {
+    setCacheEntries((await getGeoCacheUsage()) || []);
+  }, [getGeoCacheUsage]);
+
+  useEffect(() => {
+    loadCacheUsage();
+  }, [loadCacheUsage]);
+
+  const handleClear = async (cacheKey = null) => {
+    await clearGeoCache(cacheKey);
+    await loadCacheUsage();
+  };
+
+  const totalSize = (cacheEntries || []).reduce((sum, entry) => sum + entry.size, 0);
+
+  return (
+    <div className="settings-view">
+      <h2>{t('settings.title')}</h2>
+
+      <section className="settings-section" aria-labelledby="language-title">
+        <h3 id="language-title">{t('language.title')}</h3>
+        <p className="settings-description">{t('language.description')}</p>
+        <div className="settings-options" role="radiogroup" aria-labelledby="language-title">
+          {LANGUAGES.map(option => (
+            <label key={option.value}>
+              <input
+                type="radio"
+                name="language"
+                value={option.value}
+                checked={language === option.value}
+                onChange={() => setLanguage(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="settings-section" aria-labelledby="base-map-title">
+        <h3 id="base-map-title">{t('settings.baseMap.title')}</h3>
+        <p className="settings-description">{t('settings.baseMap.description')}</p>
+        <div className="settings-options" role="radiogroup" aria-labelledby="base-map-title">
+          {BASE_MAP_OPTIONS.map(option => (
+            <label key={option.value}>
+              <input
+                type="radio"
+                name="baseMap"
+                value={option.value}
+                checked={baseMap === option.value}
+                onChange={() => setBaseMap(option.value)}
+              />
+              {t(option.labelKey)}
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="settings-section" aria-labelledby="geo-cache-title">
+        <h3 id="geo-cache-title">{t('settings.geoCache.title')}</h3>
+        <p className="settings-description">{t('settings.geoCache.description')}</p>
+
+        {cacheEntries === null ? (
+          <p className="settings-description">{t('common.loading')}</p>
+        ) : cacheEntries.length === 0 ? (
+          <p className="settings-description">{t('settings.geoCache.empty')}</p>
+        ) : (
+          <>
+            <table className="settings-table">
+              <thead>
+                <tr>
+                  <th>{t('settings.geoCache.columns.data')}</th>
+                  <th>{t('settings.geoCache.columns.size')}</th>
+                  <th>{t('settings.geoCache.columns.fetchedAt')}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {cacheEntries.map(entry => (
+                  <tr key={entry.url}>
+                    <td>{t(entry.label)}</td>
+                    <td>{formatSize(entry.size)}</td>
+                    <td>{entry.fetchedAt ? formatDate(entry.fetchedAt, DATE_TIME_FORMAT) : '-'}</td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => handleClear(entry.cacheKey)}
+                        disabled={!entry.cacheKey}
+                        aria-label={t('settings.geoCache.deleteLabel', { data: t(entry.label) })}
+                      >
+                        {t('settings.geoCache.delete')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="settings-actions">
+              <span>{t('settings.geoCache.total', { size: formatSize(totalSize) })}</span>
+              <button className="btn btn-sm" onClick={() => handleClear()}>
+                {t('settings.geoCache.deleteAll')}
+              </button>
+            </div>
+          </>
+        )}
+      </section>
+
+      <Toast
+        show={toast.show}
+        message={toast.message}
+        type={toast.type}
+        action={toast.action}
+      />
+    </div>
+  );
+}
+
+export default SettingsView;
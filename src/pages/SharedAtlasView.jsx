@@ -0,0 +1,134 @@
+import { useRef, useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import useAtlasStore from '../store/useAtlasStore';
+import useMapInteraction from '../hooks/useMapInteraction';
+import useTranslation from '../hooks/useTranslation';
+import ImportForm from '../components/map/ImportForm';
+import Toast from '../components/Toast';
+import { decodeSharedAtlas } from '../utils/shareUtils';
+import { formatErrorMessage } from '../utils/errorHandling';
+import './MapView.css';
+import './SharedAtlasView.css';
+
+// 読み込み前や読み込めなかった場合に地図へ渡す訪問地（閲覧のみの表示を保つ）
+const NO_PLACES = [];
+
+/**
+ * 共有された地図の閲覧画面のコンポーネント
+ * URLのフラグメントに入った訪問データを地図に表示する（記録・編集はできない）。
+ * 取り込む場合は通常のインポートと同じプレビューを経て自分の記録に追加する
+ */
+function SharedAtlasView() {
+  const mapContainer = useRef(null);
+  const { hash } = useLocation();
+  const { t } = useTranslation();
+  const [sharedPlaces, setSharedPlaces] = useState(null);
+  const [error, setError] = useState(null);
+  const [importAnalysis, setImportAnalysis] = useState(null);
+  const [isPreparingImport, setIsPreparingImport] = useState(false);
+  
+  const {
+    toast,
+    previewSharedImport,
+    applyImport
+  } = useAtlasStore();
+  
+  // 地図操作のカスタムフック（共有された訪問地だけを表示）
+  useMapInteraction(mapContainer, { readOnlyPlaces: sharedPlaces || NO_PLACES });
+  
+  // フラグメントから共有された訪問地を取り出す
+  useEffect(() => {
+    let cancelled = false;
+    setSharedPlaces(null);
+    setError(null);
+    
+    decodeSharedAtlas(hash.replace(/^#/, ''))
+      .then(places => {
+        if (!cancelled) setSharedPlaces(places);
+      })
+      .catch(decodeError => {
+        console.error('共有リンクの読み込みエラー:', decodeError);
+        if (!cancelled) setError(formatErrorMessage(decodeError, 'errors.invalidShareLink'));
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [hash]);
+  
+  // 地図画面と同じく、表示されている間だけbodyにクラスを追加
+  useEffect(() => {
+    document.body.classList.add('map-view-active');
+    return () => {
+      document.body.classList.remove('map-view-active');
+    };
+  }, []);
+  
+  // 取り込む内容を既存の記録と照合してプレビューを表示
+  const handleImportClick = async () => {
+    setIsPreparingImport(true);
+    const analysis = await previewSharedImport(sharedPlaces);
+    setIsPreparingImport(false);
+    
+    if (analysis) {
+      setImportAnalysis(analysis);
+    }
+  };
+  
+  const renderMessage = () => {
+    if (error) return t(error);
+    if (!sharedPlaces) return t('share.loading');
+    
+    return (
+      <>
+        {t('share.banner')}
+        <strong>{t('share.placeCount', { count: sharedPlaces.length })}</strong>
+      </>
+    );
+  };
+  
+  return (
+    <div className="map-view">
+      <div ref={mapContainer} className="map-container" />
+      
+      {/* 閲覧中であることの表示と操作 */}
+      <div className={`shared-atlas-banner ${error ? 'shared-atlas-banner-error' : ''}`} role="status">
+        <span className="material-icons" aria-hidden="true">{error ? 'error_outline' : 'visibility'}</span>
+        <p>{renderMessage()}</p>
+        <div className="shared-atlas-actions">
+          {sharedPlaces && sharedPlaces.length > 0 && (
+            <button
+              type="button"
+              className="btn btn-primary btn-sm"
+              onClick={handleImportClick}
+              disabled={isPreparingImport}
+            >
+              {t('share.importButton')}
+            </button>
+          )}
+          <Link to="/" className="btn btn-secondary btn-sm">{t('share.backToMyAtlas')}</Link>
+        </div>
+      </div>
+      
+      {/* 取り込む内容の確認（通常のインポートと同じ手順） */}
+      {importAnalysis && (
+        <ImportForm
+          isOpen
+          initialAnalysis={importAnalysis}
+          onClose={() => setImportAnalysis(null)}
+          onSubmit={applyImport}
+        />
+      )}
+      
+      {/* トースト通知 */}
+      <Toast 
+        show={toast.show} 
+        message={toast.message} 
+        type={toast.type} 
+        action={toast.action}
+      />
+    </div>
+  );
+}
+
+export default SharedAtlasView;
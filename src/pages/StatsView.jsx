@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import useAtlasStore from '../store/useAtlasStore';
+import useTranslation from '../hooks/useTranslation';
+import StatsSection from '../components/stats/StatsSection';
+import Toast from '../components/Toast';
+import './StatsView.css';
+
+/**
+ * 統計画面
+ * 訪問した国・州の数と割合、地域（大陸）別・年ごとの内訳、最初と最近の訪問を表示する
+ */
+function StatsView() {
+  const { visitedPlaces, language, initializeStore, loadStatistics, toast } = useAtlasStore();
+  const { t } = useTranslation();
+  const [statistics, setStatistics] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(true);
+
+  // 初期化
+  useEffect(() => {
+    initializeStore();
+  }, [initializeStore]);
+
+  // 訪問データ・表示言語が変わったら再計算
+  useEffect(() => {
+    let cancelled = false;
+    setIsCalculating(true);
+
+    loadStatistics().then(result => {
+      if (cancelled) return;
+      if (result) setStatistics(result);
+      setIsCalculating(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [visitedPlaces, language, loadStatistics]);
+
+  return (
+    <div className="stats-view">
+      <h2>{t('stats.title')}</h2>
+
+      {statistics === null ? (
+        <p className="stats-empty">{isCalculating ? t('stats.calculating') : t('stats.failed')}</p>
+      ) : (
+        <>
+          <StatsSection
+            id="stats-countries"
+            title={t('stats.countries.title')}
+            stats={statistics.countries}
+            groupTitle={t('stats.countries.groupTitle')}
+            formatCount={(count, total) => t(total ? 'stats.countries.countOfTotal' : 'stats.countries.count', { count, total })}
+            emptyMessage={t('stats.countries.empty')}
+          />
+          <StatsSection
+            id="stats-regions"
+            title={t('stats.regions.title')}
+            stats={statistics.regions}
+            groupTitle={t('stats.regions.groupTitle')}
+            formatCount={(count, total) => t(total ? 'stats.regions.countOfTotal' : 'stats.regions.count', { count, total })}
+            emptyMessage={t('stats.regions.empty')}
+          />
+          <p className="stats-note">{t('stats.wishlistNote')}</p>
+        </>
+      )}
+
+      <Toast
+        show={toast.show}
+        message={toast.message}
+        type={toast.type}
+        action={toast.action}
+      />
+    </div>
+  );
+}
+
+export default StatsView;
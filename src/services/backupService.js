@@ -0,0 +1,208 @@
+import packageJson from '../../package.json';
+import dbService from './dbService';
+import fileService from './fileService';
+import { LATEST_DB_VERSION } from './dbMigrations';
+import { AppError, logError } from '../utils/errorHandling';
+
+// バックアップを作成したアプリのバージョン
+const APP_VERSION = packageJson.version;
+
+// バックアップファイルの識別子
+export const BACKUP_FORMAT = 'my-world-atlas-backup';
+
+// バックアップファイル自体の形式のバージョン（ストアの中身はschemaVersionで管理）
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * BlobをBase64文字列に変換
+ * @param {Blob} blob - 変換するBlob
+ * @returns {Promise<string>} - Base64文字列
+ */
+const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // 大きな画像でも引数の上限を超えないよう分割して変換
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Base64文字列をBlobに戻す
+ * @param {string} base64 - Base64文字列
+ * @param {string} type - MIMEタイプ
+ * @returns {Blob} - 復元したBlob
+ */
+const base64ToBlob = (base64, type) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
+/**
+ * レコード内のBlob（写真など）をJSONで表現できる形に変換
+ * @param {Object} record - ストアのレコード
+ * @returns {Promise<Object>} - 変換したレコード
+ */
+const encodeRecord = async (record) => {
+  const encoded = {};
+  for (const [key, value] of Object.entries(record)) {
+    encoded[key] = value instanceof Blob
+      ? { $blob: await blobToBase64(value), type: value.type }
+      : value;
+  }
+  return encoded;
+};
+
+/**
+ * encodeRecordで変換したレコードのBlobを元に戻す
+ * @param {Object} record - 変換済みのレコード
+ * @returns {Object} - Blobを復元したレコード
+ */
+const decodeRecord = (record) => Object.fromEntries(Object.entries(record).map(([key, value]) => [
+  key,
+  value && typeof value === 'object' && typeof value.$blob === 'string'
+    ? base64ToBlob(value.$blob, value.type)
+    : value
+]));
+
+/**
+ * 文字列のSHA-256ハッシュを16進数で取得
+ * @param {string} text - ハッシュを計算する文字列
+ * @returns {Promise<string>} - 16進数のハッシュ値
+ */
+const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * JSONバックアップのサービスクラス
+ * IndexedDBの全ストアを、バージョン情報とチェックサム付きのJSONとして書き出し・復元する
+ */
+class BackupService {
+  /**
+   * 現在のデータからバックアップを作成
+   * @returns {Promise<Object>} - バックアップ（ヘッダーと全ストアの内容）
+   */
+  async createBackup() {
+    const rawStores = await dbService.exportAllStores();
+    const stores = {};
+    for (const [storeName, records] of Object.entries(rawStores)) {
+      stores[storeName] = await Promise.all(records.map(encodeRecord));
+    }
+
+    return {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      appVersion: APP_VERSION,
+      schemaVersion: LATEST_DB_VERSION,
+      exportedAt: new Date().toISOString(),
+      checksum: await sha256(JSON.stringify(stores)),
+      stores
+    };
+  }
+
+  /**
+   * バックアップを作成してJSONファイルとしてダウンロード
+   * @returns {Promise<Object>} - 作成したバックアップ
+   */
+  async exportBackup() {
+    try {
+      const backup = await this.createBackup();
+      fileService.downloadFile(
+        JSON.stringify(backup),
+        fileService.generateFileName('json', 'MyWorldAtlas_Backup'),
+        'application/json'
+      );
+      return backup;
+    } catch (error) {
+      logError(error, { action: 'exportBackup' });
+      throw new AppError('errors.backupFile.createFailed', { detail: error.message });
+    }
+  }
+
+  /**
+   * バックアップの内容を検証
+   * @param {Object} backup - JSONから読み込んだバックアップ
+   * @returns {Promise<void>} - 不正な場合は理由を含むエラーを投げる
+   */
+  async validateBackup(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+      throw new AppError('errors.backupFile.notBackup');
+    }
+
+    if (!Number.isInteger(backup.formatVersion) || !Number.isInteger(backup.schemaVersion)) {
+      throw new AppError('errors.backupFile.missingVersion');
+    }
+
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > LATEST_DB_VERSION) {
+      throw new AppError('errors.backupFile.newerVersion');
+    }
+
+    const { stores } = backup;
+    if (!stores || typeof stores !== 'object' || !Object.values(stores).every(Array.isArray)) {
+      throw new AppError('errors.backupFile.invalidContent');
+    }
+
+    if (backup.checksum !== await sha256(JSON.stringify(stores))) {
+      throw new AppError('errors.backupFile.checksumMismatch');
+    }
+  }
+
+  /**
+   * バックアップファイルを読み込んで検証
+   * @param {File} file - バックアップのJSONファイル
+   * @returns {Promise<Object>} - 検証済みのバックアップと、確認用の概要（作成日時・件数など）
+   */
+  async readBackupFile(file) {
+    if (!file) {
+      throw new AppError('errors.file.notSelected');
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await fileService.readAsText(file));
+    } catch (error) {
+      logError(error, { action: 'readBackupFile' });
+      throw new AppError('errors.backupFile.invalidJson');
+    }
+
+    await this.validateBackup(backup);
+
+    return {
+      backup,
+      summary: {
+        appVersion: backup.appVersion,
+        schemaVersion: backup.schemaVersion,
+        exportedAt: backup.exportedAt,
+        counts: Object.fromEntries(Object.entries(backup.stores).map(([name, records]) => [name, records.length]))
+      }
+    };
+  }
+
+  /**
+   * 検証済みのバックアップを復元
+   * 旧バージョンのバックアップは、データベースと同じマイグレーションで現在の形式に移行してから書き込む
+   * @param {Object} backup - readBackupFileで検証したバックアップ
+   * @param {string} mode - 'replace'（すべて置き換え）または'merge'（統合）
+   * @returns {Promise<Object>} - ストアごとの書き込んだ件数
+   */
+  async restoreBackup(backup, mode) {
+    const decoded = Object.fromEntries(Object.entries(backup.stores).map(([name, records]) => [
+      name,
+      records.map(decodeRecord)
+    ]));
+
+    const stores = await dbService.migrateStores(decoded, backup.schemaVersion);
+    return dbService.restoreAllStores(stores, mode);
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+const backupService = new BackupService();
+export default backupService;
@@ -0,0 +1,208 @@
+import { getPlaceStatus } from '../constants/placeStatus';
+import { summarizeVisits } from '../utils/visitUtils';
+import { getUnassignedCountryCodes } from '../utils/countryCodeUtils';
+
+/**
+ * IndexedDBのスキーマ移行（マイグレーション）の定義
+ *
+ * 各ステップはバージョン番号の昇順に並べ、openDBのupgradeコールバック内
+ * （versionchangeトランザクション内）で、旧バージョンより新しいものだけを順に実行する。
+ * ストアやインデックスの追加に加えて、既存レコードの変換もここで行う。
+ * 新しい項目やストアを追加するときは、配列の末尾に次のバージョンのステップを追加すること。
+ */
+
+/**
+ * マイグレーションの失敗を表すエラー
+ * formatErrorMessageのVersionErrorとして扱われるよう、nameはVersionErrorとする
+ */
+export class MigrationError extends Error {
+  /**
+   * コンストラクタ
+   * @param {string} message - 開発者向けのエラーメッセージ（画面にはformatErrorMessageでカタログの文言を表示する）
+   * @param {Object} details - 移行元・移行先・失敗したステップのバージョンと原因のエラー
+   */
+  constructor(message, { fromVersion, toVersion, failedVersion, cause } = {}) {
+    super(message);
+    this.name = 'VersionError';
+    this.fromVersion = fromVersion;
+    this.toVersion = toVersion;
+    this.failedVersion = failedVersion;
+    this.cause = cause;
+  }
+}
+
+/**
+ * versionchangeトランザクションを中断し、データベースを移行前の状態に保つ
+ * @param {Object} transaction - versionchangeトランザクション
+ */
+export const abortTransaction = (transaction) => {
+  // 中断によるdoneの失敗はopenDB側で扱うため、未処理のrejectionにしない
+  if (transaction.done) {
+    transaction.done.catch(() => {});
+  }
+
+  try {
+    transaction.abort();
+  } catch (abortError) {
+    // 既に中断済みの場合は何もしない
+  }
+};
+
+export const migrations = [
+  {
+    version: 1,
+    description: '訪問済み地域のストアを作成',
+    migrate: ({ db }) => {
+      const visitedStore = db.createObjectStore('visitedPlaces', {
+        keyPath: 'uniqueId'
+      });
+
+      visitedStore.createIndex('adminLevel', 'adminLevel');
+      visitedStore.createIndex('dateMarked', 'dateMarked');
+    }
+  },
+  {
+    version: 2,
+    description: '訪問履歴のストアを作成し、既存の記録を1回目の訪問として移行',
+    migrate: async ({ db, transaction }) => {
+      const visitsStore = db.createObjectStore('visits', {
+        keyPath: 'visitId',
+        autoIncrement: true
+      });
+
+      visitsStore.createIndex('uniqueId', 'uniqueId');
+      visitsStore.createIndex('visitDate', 'visitDate');
+
+      const placesStore = transaction.objectStore('visitedPlaces');
+      const places = await placesStore.getAll();
+
+      for (const place of places) {
+        const visit = { uniqueId: place.uniqueId, visitDate: place.dateMarked };
+        await transaction.objectStore('visits').add(visit);
+        await placesStore.put({ ...place, ...summarizeVisits([visit]) });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: '旅行のストアを作成',
+    migrate: ({ db }) => {
+      const tripsStore = db.createObjectStore('trips', {
+        keyPath: 'tripId'
+      });
+
+      tripsStore.createIndex('startDate', 'startDate');
+    }
+  },
+  {
+    version: 4,
+    description: '添付ファイル（写真とサムネイル）のストアを作成',
+    migrate: ({ db }) => {
+      const attachmentsStore = db.createObjectStore('attachments', {
+        keyPath: 'attachmentId',
+        autoIncrement: true
+      });
+
+      attachmentsStore.createIndex('uniqueId', 'uniqueId');
+    }
+  },
+  {
+    version: 5,
+    description: '訪問地にステータスを追加（既存の記録はデフォルトのステータス）',
+    migrate: async ({ transaction }) => {
+      const placesStore = transaction.objectStore('visitedPlaces');
+      const places = await placesStore.getAll();
+
+      for (const place of places) {
+        await placesStore.put({ ...place, status: getPlaceStatus(place) });
+      }
+
+      placesStore.createIndex('status', 'status');
+    }
+  },
+  {
+    version: 6,
+    description: 'ISOコードのない国（「-99」）の記録を、地域名から割り当てた固有のコードに移行',
+    migrate: async ({ transaction }) => {
+      const placesStore = transaction.objectStore('visitedPlaces');
+      const place = await placesStore.get('-99');
+      const codes = place && getUnassignedCountryCodes(place.placeName);
+      if (!codes || await placesStore.get(codes.ISO_A2)) return;
+
+      const uniqueId = codes.ISO_A2;
+      await placesStore.delete('-99');
+      await placesStore.put({ ...place, uniqueId, countryCodeISO: uniqueId });
+
+      // 訪問履歴・写真・旅行が参照するコードも置き換える
+      for (const storeName of ['visits', 'attachments']) {
+        const store = transaction.objectStore(storeName);
+        const records = await store.index('uniqueId').getAll('-99');
+        for (const record of records) {
+          await store.put({ ...record, uniqueId });
+        }
+      }
+
+      const tripsStore = transaction.objectStore('trips');
+      for (const trip of await tripsStore.getAll()) {
+        if ((trip.places || []).includes('-99')) {
+          await tripsStore.put({ ...trip, places: trip.places.map(id => (id === '-99' ? uniqueId : id)) });
+        }
+      }
+    }
+  }
+];
+
+// 最新のスキーマバージョン
+export const LATEST_DB_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * 旧バージョンから新バージョンまでのマイグレーションを順に実行
+ * openDBのupgradeコールバックから呼び出す想定
+ * @param {Object} db - アップグレード中のデータベース
+ * @param {number} oldVersion - 移行元のバージョン（新規作成時は0）
+ * @param {number} newVersion - 移行先のバージョン
+ * @param {Object} transaction - versionchangeトランザクション
+ * @param {Array<Object>} steps - 実行するマイグレーションの定義（テスト用に差し替え可能）
+ * @returns {Promise<Array<number>>} - 実行したステップのバージョン
+ */
+export const runMigrations = async (db, oldVersion, newVersion, transaction, steps = migrations) => {
+  const pending = steps
+    .filter(step => step.version > oldVersion && step.version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  const applied = [];
+
+  for (const step of pending) {
+    try {
+      await step.migrate({ db, transaction, oldVersion });
+      applied.push(step.version);
+    } catch (error) {
+      // 失敗したらトランザクションを中断し、データベースを移行前の状態に保つ
+      abortTransaction(transaction);
+
+      throw new MigrationError(
+        `Database migration to version ${step.version} failed: ${error.message}`,
+        { fromVersion: oldVersion, toVersion: newVersion, failedVersion: step.version, cause: error }
+      );
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * マイグレーション前のバックアップとして、全ストアのレコードを読み出す
+ * versionchangeトランザクション内で実行するため、移行前と同じ内容が得られる
+ * @param {Object} db - アップグレード中のデータベース
+ * @param {Object} transaction - versionchangeトランザクション
+ * @returns {Promise<Object>} - ストア名をキーとしたレコード配列
+ */
+export const snapshotStores = async (db, transaction) => {
+  const stores = {};
+
+  for (const storeName of Array.from(db.objectStoreNames)) {
+    stores[storeName] = await transaction.objectStore(storeName).getAll();
+  }
+
+  return stores;
+};
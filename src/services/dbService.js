@@ -1,5 +1,16 @@
-import { openDB } from 'idb';
-import { logError } from '../utils/errorHandling';
+import { deleteDB, openDB } from 'idb';
+import { AppError, logError } from '../utils/errorHandling';
+import {
+  LATEST_DB_VERSION,
+  MigrationError,
+  abortTransaction,
+  runMigrations,
+  snapshotStores
+} from './dbMigrations';
+import { summarizeVisits } from '../utils/visitUtils';
+
+// マイグレーション前のバックアップを保持する件数
+const MAX_MIGRATION_BACKUPS = 3;
 
 /**
  * データベース操作のサービスクラス
@@ -9,9 +20,9 @@ class DBService {
   /**
    * コンストラクタ
    * @param {string} dbName - データベース名
-   * @param {number} version - データベースバージョン
+   * @param {number} version - データベースバージョン（省略時は最新のスキーマバージョン）
    */
-  constructor(dbName = 'myWorldAtlasDB', version = 1) {
+  constructor(dbName = 'myWorldAtlasDB', version = LATEST_DB_VERSION) {
     this.dbName = dbName;
     this.version = version;
     this.dbPromise = this.initDB();
@@ -19,27 +30,128 @@ class DBService {
 
   /**
    * データベースの初期化
+   * 旧バージョンのデータベースは、バックアップを取得してからマイグレーションを実行する
    * @returns {Promise} - IndexedDBのデータベースインスタンス
    */
   async initDB() {
+    let migrationError = null;
+    let backup = null;
+
     try {
-      return await openDB(this.dbName, this.version, {
-        upgrade: (db) => {
-          // 訪問済み地域のストア作成
-          if (!db.objectStoreNames.contains('visitedPlaces')) {
-            const visitedStore = db.createObjectStore('visitedPlaces', {
-              keyPath: 'uniqueId'
-            });
-
-            // インデックス作成
-            visitedStore.createIndex('adminLevel', 'adminLevel');
-            visitedStore.createIndex('dateMarked', 'dateMarked');
+      const db = await openDB(this.dbName, this.version, {
+        upgrade: async (db, oldVersion, newVersion, transaction) => {
+          try {
+            // 既存データがある場合は、変更前の内容をバックアップとして読み出す
+            if (oldVersion > 0) {
+              backup = {
+                dbName: this.dbName,
+                fromVersion: oldVersion,
+                toVersion: newVersion,
+                createdAt: new Date().toISOString(),
+                stores: await snapshotStores(db, transaction)
+              };
+            }
+
+            await runMigrations(db, oldVersion, newVersion, transaction);
+          } catch (error) {
+            // upgradeコールバックの例外はopenDBに伝わらないため、保持しておいて後で投げ直す
+            migrationError = error instanceof MigrationError
+              ? error
+              : new MigrationError(`Failed to prepare the database migration: ${error.message}`, {
+                fromVersion: oldVersion,
+                toVersion: newVersion,
+                cause: error
+              });
+
+            abortTransaction(transaction);
           }
         }
       });
+
+      if (backup) {
+        await this.saveMigrationBackup(backup);
+      }
+
+      return db;
+    } catch (error) {
+      // 移行に失敗しても、移行前のデータはバックアップとして残しておく
+      if (backup) {
+        await this.saveMigrationBackup(backup).catch(() => {});
+      }
+
+      const cause = migrationError || error;
+      logError(cause, { action: 'initDB', version: this.version });
+      throw this.wrapError(cause, 'errors.db.initialize');
+    }
+  }
+
+  /**
+   * サービスのエラーメッセージを付与したエラーを生成
+   * バージョン関連のエラーは、formatErrorMessageで判別できるようそのまま返す
+   * @param {Error} error - 発生したエラー
+   * @param {string} messageKey - エラーの概要のメッセージキー（原因のメッセージはdetailとして埋め込む）
+   * @returns {Error} - 呼び出し元に投げるエラー
+   */
+  wrapError(error, messageKey) {
+    if (error && error.name === 'VersionError') {
+      return error;
+    }
+
+    return new AppError(messageKey, { detail: error.message });
+  }
+
+  /**
+   * バックアップ用のデータベースを開く
+   * @returns {Promise} - バックアップ用のIndexedDBのデータベースインスタンス
+   */
+  openBackupDB() {
+    return openDB(`${this.dbName}-backups`, 1, {
+      upgrade: (db) => {
+        db.createObjectStore('snapshots', {
+          keyPath: 'backupId',
+          autoIncrement: true
+        });
+      }
+    });
+  }
+
+  /**
+   * マイグレーション前のバックアップを保存（古いものから削除して件数を保つ）
+   * @param {Object} backup - バックアップ（移行元・移行先のバージョンと全ストアのレコード）
+   * @returns {Promise<void>}
+   */
+  async saveMigrationBackup(backup) {
+    try {
+      const backupDb = await this.openBackupDB();
+      const tx = backupDb.transaction('snapshots', 'readwrite');
+      await tx.store.add(backup);
+
+      const keys = await tx.store.getAllKeys();
+      for (const key of keys.slice(0, Math.max(0, keys.length - MAX_MIGRATION_BACKUPS))) {
+        await tx.store.delete(key);
+      }
+
+      await tx.done;
+      backupDb.close();
     } catch (error) {
-      logError(error, { action: 'initDB' });
-      throw new Error(`データベースの初期化に失敗しました: ${error.message}`);
+      logError(error, { action: 'saveMigrationBackup' });
+      throw new AppError('errors.db.saveMigrationBackup', { detail: error.message });
+    }
+  }
+
+  /**
+   * 最新のマイグレーション前のバックアップを取得
+   * @returns {Promise<Object|null>} - バックアップ（存在しない場合はnull）
+   */
+  async getLatestMigrationBackup() {
+    try {
+      const backupDb = await this.openBackupDB();
+      const backups = await backupDb.getAll('snapshots');
+      backupDb.close();
+      return backups.length > 0 ? backups[backups.length - 1] : null;
+    } catch (error) {
+      logError(error, { action: 'getLatestMigrationBackup' });
+      throw new AppError('errors.db.loadMigrationBackup', { detail: error.message });
     }
   }
 
@@ -53,7 +165,7 @@ class DBService {
       return await db.getAll('visitedPlaces');
     } catch (error) {
       logError(error, { action: 'getAllVisitedPlaces' });
-      throw new Error(`訪問データの取得に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.loadPlaces');
     }
   }
 
@@ -68,7 +180,7 @@ class DBService {
       return await db.get('visitedPlaces', uniqueId);
     } catch (error) {
       logError(error, { action: 'getVisitedPlace', uniqueId });
-      throw new Error(`訪問データの取得に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.loadPlaces');
     }
   }
 
@@ -86,43 +198,206 @@ class DBService {
       return placeData.uniqueId;
     } catch (error) {
       logError(error, { action: 'saveVisitedPlace', placeData });
-      throw new Error(`訪問データの保存に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.savePlace');
     }
   }
 
   /**
-   * 訪問地域データを削除
+   * 訪問地域データを削除（訪問履歴と添付ファイルもあわせて削除）
    * @param {string} uniqueId - 削除する訪問地域のユニークID
    * @returns {Promise<void>}
    */
   async deleteVisitedPlace(uniqueId) {
     try {
       const db = await this.dbPromise;
-      const tx = db.transaction('visitedPlaces', 'readwrite');
-      await tx.store.delete(uniqueId);
+      const tx = db.transaction(['visitedPlaces', 'visits', 'attachments'], 'readwrite');
+      await tx.objectStore('visitedPlaces').delete(uniqueId);
+
+      for (const storeName of ['visits', 'attachments']) {
+        const keys = await tx.objectStore(storeName).index('uniqueId').getAllKeys(uniqueId);
+        for (const key of keys) {
+          await tx.objectStore(storeName).delete(key);
+        }
+      }
+
       await tx.done;
     } catch (error) {
       logError(error, { action: 'deleteVisitedPlace', uniqueId });
-      throw new Error(`訪問データの削除に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.deletePlace');
+    }
+  }
+
+  /**
+   * 指定した地域の現在の状態（地域レコード・訪問履歴・添付ファイル）を取得
+   * 元に戻す／やり直しのために、変更前後の状態を保存する用途で使う
+   * @param {Array<string>} uniqueIds - 訪問地域のユニークIDの配列
+   * @returns {Promise<Array<Object>>} - 地域ごとのスナップショット（未登録の地域はplaceがnull）
+   */
+  async getPlaceSnapshots(uniqueIds) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction(['visitedPlaces', 'visits', 'attachments']);
+      const snapshots = [];
+
+      for (const uniqueId of new Set(uniqueIds)) {
+        snapshots.push({
+          uniqueId,
+          place: (await tx.objectStore('visitedPlaces').get(uniqueId)) || null,
+          visits: await tx.objectStore('visits').index('uniqueId').getAll(uniqueId),
+          attachments: await tx.objectStore('attachments').index('uniqueId').getAll(uniqueId)
+        });
+      }
+
+      await tx.done;
+      return snapshots;
+    } catch (error) {
+      logError(error, { action: 'getPlaceSnapshots' });
+      throw this.wrapError(error, 'errors.db.loadPlaces');
     }
   }
 
+  /**
+   * getPlaceSnapshotsで取得した状態に地域を戻す
+   * 1つのトランザクションで実行するため、途中で失敗した場合は何も変更されない
+   * @param {Array<Object>} snapshots - 地域ごとのスナップショット
+   * @returns {Promise<void>}
+   */
+  async restorePlaceSnapshots(snapshots) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction(['visitedPlaces', 'visits', 'attachments'], 'readwrite');
+
+      for (const { uniqueId, place, visits, attachments } of snapshots) {
+        await tx.objectStore('visitedPlaces').delete(uniqueId);
+
+        for (const storeName of ['visits', 'attachments']) {
+          const keys = await tx.objectStore(storeName).index('uniqueId').getAllKeys(uniqueId);
+          for (const key of keys) {
+            await tx.objectStore(storeName).delete(key);
+          }
+        }
+
+        if (place) {
+          await tx.objectStore('visitedPlaces').put(place);
+        }
+
+        // 元のIDのまま書き戻す
+        for (const visit of visits) {
+          await tx.objectStore('visits').put(visit);
+        }
+        for (const attachment of attachments) {
+          await tx.objectStore('attachments').put(attachment);
+        }
+      }
+
+      await tx.done;
+    } catch (error) {
+      logError(error, { action: 'restorePlaceSnapshots' });
+      throw this.wrapError(error, 'errors.db.restorePlace');
+    }
+  }
+
+  /**
+   * すべての訪問履歴を取得
+   * @returns {Promise<Array>} - 訪問履歴の配列
+   */
+  async getAllVisits() {
+    try {
+      const db = await this.dbPromise;
+      return await db.getAll('visits');
+    } catch (error) {
+      logError(error, { action: 'getAllVisits' });
+      throw this.wrapError(error, 'errors.db.loadVisits');
+    }
+  }
+
+  /**
+   * 特定の地域の訪問履歴を取得
+   * @param {string} uniqueId - 訪問地域のユニークID
+   * @returns {Promise<Array>} - 訪問日の昇順に並んだ訪問履歴の配列
+   */
+  async getVisitsByPlace(uniqueId) {
+    try {
+      const db = await this.dbPromise;
+      const visits = await db.getAllFromIndex('visits', 'uniqueId', uniqueId);
+      return visits.sort((a, b) => String(a.visitDate).localeCompare(String(b.visitDate)));
+    } catch (error) {
+      logError(error, { action: 'getVisitsByPlace', uniqueId });
+      throw this.wrapError(error, 'errors.db.loadVisits');
+    }
+  }
+
+  /**
+   * 訪問を1件追加し、地域レコードの集計値を更新
+   * 地域レコードが存在しない場合は新規に作成する
+   * @param {Object} placeData - 訪問地域データ
+   * @param {string} visitDate - 訪問日時（ISO形式）
+   * @param {Object} overrides - 既存レコードがあっても上書きする項目（ステータスなど）
+   * @returns {Promise<Object>} - 集計値を反映した訪問地域データ
+   */
+  async addVisit(placeData, visitDate, overrides = {}) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction(['visitedPlaces', 'visits'], 'readwrite');
+
+      await tx.objectStore('visits').add({ uniqueId: placeData.uniqueId, visitDate });
+      const updatedPlace = await this.recalculatePlace(tx, placeData, overrides);
+
+      await tx.done;
+      return updatedPlace;
+    } catch (error) {
+      logError(error, { action: 'addVisit', placeData, visitDate });
+      throw this.wrapError(error, 'errors.db.addVisit');
+    }
+  }
+
+  /**
+   * 地域レコードの集計値を訪問履歴から再計算して保存
+   * 既存レコードの登録日（dateMarked）などは維持する
+   * @param {Object} tx - visitedPlacesとvisitsを含む読み書きトランザクション
+   * @param {Object} placeData - 訪問地域データ
+   * @param {Object} overrides - 既存レコードがあっても上書きする項目
+   * @returns {Promise<Object>} - 集計値を反映した訪問地域データ
+   */
+  async recalculatePlace(tx, placeData, overrides = {}) {
+    const existing = await tx.objectStore('visitedPlaces').get(placeData.uniqueId);
+    const visits = await tx.objectStore('visits').index('uniqueId').getAll(placeData.uniqueId);
+
+    const updatedPlace = {
+      ...placeData,
+      ...(existing || {}),
+      ...overrides,
+      ...summarizeVisits(visits)
+    };
+
+    await tx.objectStore('visitedPlaces').put(updatedPlace);
+    return updatedPlace;
+  }
+
   /**
    * 複数の訪問地域データを一括保存
+   * 訪問履歴は同じ地域・同じ訪問日のものが既にあれば重複登録しない
    * @param {Array<Object>} placesData - 保存する訪問地域データの配列
+   * @param {Array<Object>} visitsData - 保存する訪問履歴の配列（uniqueIdとvisitDateを含む）
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.replaceVisitsFor - 既存の訪問履歴を削除してから保存する地域のユニークID
    * @returns {Promise<Object>} - 成功件数とスキップ件数を含むオブジェクト
    */
-  async bulkSaveVisitedPlaces(placesData) {
+  async bulkSaveVisitedPlaces(placesData, visitsData = [], { replaceVisitsFor = [] } = {}) {
     let success = 0;
     let skipped = 0;
 
     try {
       const db = await this.dbPromise;
-      const tx = db.transaction('visitedPlaces', 'readwrite');
+      const tx = db.transaction(['visitedPlaces', 'visits'], 'readwrite');
+      const placesStore = tx.objectStore('visitedPlaces');
+      const visitsStore = tx.objectStore('visits');
+      const savedPlaces = [];
 
       for (const placeData of placesData) {
         try {
-          await tx.store.put(placeData);
+          await placesStore.put(placeData);
+          savedPlaces.push(placeData);
           success++;
         } catch (e) {
           skipped++;
@@ -131,11 +406,300 @@ class DBService {
         }
       }
 
+      for (const placeData of savedPlaces) {
+        if (replaceVisitsFor.includes(placeData.uniqueId)) {
+          const keys = await visitsStore.index('uniqueId').getAllKeys(placeData.uniqueId);
+          for (const key of keys) {
+            await visitsStore.delete(key);
+          }
+        }
+
+        const existingVisits = await visitsStore.index('uniqueId').getAll(placeData.uniqueId);
+        const knownDates = new Set(existingVisits.map(visit => visit.visitDate));
+
+        const newVisits = visitsData.filter(visit => visit.uniqueId === placeData.uniqueId);
+        for (const visit of newVisits) {
+          if (knownDates.has(visit.visitDate)) continue;
+          knownDates.add(visit.visitDate);
+          await visitsStore.add({ uniqueId: visit.uniqueId, visitDate: visit.visitDate });
+        }
+
+        await placesStore.put({
+          ...placeData,
+          ...summarizeVisits(await visitsStore.index('uniqueId').getAll(placeData.uniqueId))
+        });
+      }
+
       await tx.done;
       return { success, skipped };
     } catch (error) {
       logError(error, { action: 'bulkSaveVisitedPlaces' });
-      throw new Error(`データの一括保存に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.bulkSave');
+    }
+  }
+
+  /**
+   * 特定の地域の添付ファイルを取得
+   * @param {string} uniqueId - 訪問地域のユニークID
+   * @returns {Promise<Array>} - 添付ファイルの配列（登録順）
+   */
+  async getAttachmentsByPlace(uniqueId) {
+    try {
+      const db = await this.dbPromise;
+      return await db.getAllFromIndex('attachments', 'uniqueId', uniqueId);
+    } catch (error) {
+      logError(error, { action: 'getAttachmentsByPlace', uniqueId });
+      throw this.wrapError(error, 'errors.db.loadAttachments');
+    }
+  }
+
+  /**
+   * 添付ファイルを保存
+   * @param {Object} attachmentData - 保存する添付ファイル（uniqueId、blob、thumbnailなど）
+   * @returns {Promise<number>} - 保存された添付ファイルのID
+   */
+  async addAttachment(attachmentData) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction('attachments', 'readwrite');
+      const attachmentId = await tx.store.add(attachmentData);
+      await tx.done;
+      return attachmentId;
+    } catch (error) {
+      logError(error, { action: 'addAttachment', uniqueId: attachmentData.uniqueId });
+      throw this.wrapError(error, 'errors.db.saveAttachment');
+    }
+  }
+
+  /**
+   * 添付ファイルを削除
+   * @param {number} attachmentId - 削除する添付ファイルのID
+   * @returns {Promise<void>}
+   */
+  async deleteAttachment(attachmentId) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction('attachments', 'readwrite');
+      await tx.store.delete(attachmentId);
+      await tx.done;
+    } catch (error) {
+      logError(error, { action: 'deleteAttachment', attachmentId });
+      throw this.wrapError(error, 'errors.db.deleteAttachment');
+    }
+  }
+
+  /**
+   * すべての旅行データを取得
+   * @returns {Promise<Array>} - 旅行データの配列
+   */
+  async getAllTrips() {
+    try {
+      const db = await this.dbPromise;
+      return await db.getAll('trips');
+    } catch (error) {
+      logError(error, { action: 'getAllTrips' });
+      throw this.wrapError(error, 'errors.db.loadTrips');
+    }
+  }
+
+  /**
+   * 旅行データを保存
+   * @param {Object} tripData - 保存する旅行データ（placesは訪問地域のユニークIDの配列）
+   * @returns {Promise<string>} - 保存された旅行のID
+   */
+  async saveTrip(tripData) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction('trips', 'readwrite');
+      await tx.store.put(tripData);
+      await tx.done;
+      return tripData.tripId;
+    } catch (error) {
+      logError(error, { action: 'saveTrip', tripData });
+      throw this.wrapError(error, 'errors.db.saveTrip');
+    }
+  }
+
+  /**
+   * 旅行データを削除（旅行に含まれる訪問記録自体は削除しない）
+   * @param {string} tripId - 削除する旅行のID
+   * @returns {Promise<void>}
+   */
+  async deleteTrip(tripId) {
+    try {
+      const db = await this.dbPromise;
+      const tx = db.transaction('trips', 'readwrite');
+      await tx.store.delete(tripId);
+      await tx.done;
+    } catch (error) {
+      logError(error, { action: 'deleteTrip', tripId });
+      throw this.wrapError(error, 'errors.db.deleteTrip');
+    }
+  }
+
+  /**
+   * すべてのストアの内容を取得（JSONバックアップ用）
+   * @returns {Promise<Object>} - ストア名をキーとしたレコード配列
+   */
+  async exportAllStores() {
+    try {
+      const db = await this.dbPromise;
+      const storeNames = Array.from(db.objectStoreNames);
+      const tx = db.transaction(storeNames);
+      const stores = {};
+
+      for (const storeName of storeNames) {
+        stores[storeName] = await tx.objectStore(storeName).getAll();
+      }
+
+      await tx.done;
+      return stores;
+    } catch (error) {
+      logError(error, { action: 'exportAllStores' });
+      throw this.wrapError(error, 'errors.db.readStores');
+    }
+  }
+
+  /**
+   * 旧バージョンのスキーマで書き出されたストアの内容を、現在のスキーマに移行
+   * 一時的なデータベースに旧バージョンのまま書き込み、通常と同じマイグレーションを実行してから読み出す
+   * @param {Object} stores - ストア名をキーとしたレコード配列
+   * @param {number} fromVersion - 書き出した時のスキーマバージョン
+   * @returns {Promise<Object>} - 現在のスキーマに移行したストアの内容
+   */
+  async migrateStores(stores, fromVersion) {
+    if (fromVersion >= this.version) {
+      return stores;
+    }
+
+    const tempName = `${this.dbName}-restore`;
+    let migrationError = null;
+    const upgrade = async (db, oldVersion, newVersion, transaction) => {
+      try {
+        await runMigrations(db, oldVersion, newVersion, transaction);
+      } catch (error) {
+        // runMigrationsがトランザクションを中断するため、openDBの失敗の原因として保持する
+        migrationError = error;
+      }
+    };
+
+    try {
+      await deleteDB(tempName);
+
+      const oldDb = await openDB(tempName, fromVersion, { upgrade });
+      const storeNames = Object.keys(stores).filter(name => oldDb.objectStoreNames.contains(name));
+      if (storeNames.length > 0) {
+        const tx = oldDb.transaction(storeNames, 'readwrite');
+        for (const storeName of storeNames) {
+          for (const record of stores[storeName]) {
+            await tx.objectStore(storeName).put(record);
+          }
+        }
+        await tx.done;
+      }
+      oldDb.close();
+
+      const newDb = await openDB(tempName, this.version, { upgrade });
+      const migrated = {};
+      for (const storeName of Array.from(newDb.objectStoreNames)) {
+        migrated[storeName] = await newDb.getAll(storeName);
+      }
+      newDb.close();
+
+      return migrated;
+    } catch (error) {
+      const cause = migrationError || error;
+      logError(cause, { action: 'migrateStores', fromVersion });
+      throw this.wrapError(cause, 'errors.db.migrateBackup');
+    } finally {
+      await deleteDB(tempName).catch(() => {});
+    }
+  }
+
+  /**
+   * バックアップの内容をデータベースに書き戻す
+   * replaceはすべてのストアを置き換え、mergeは既存の記録を残したまま足りない記録だけを追加する
+   * （同じ地域の訪問履歴は訪問日が重複しないものを追加し、集計値を再計算する）
+   * @param {Object} stores - 現在のスキーマのストア名をキーとしたレコード配列
+   * @param {string} mode - 'replace'（すべて置き換え）または'merge'（統合）
+   * @returns {Promise<Object>} - ストアごとの書き込んだ件数
+   */
+  async restoreAllStores(stores, mode = 'replace') {
+    try {
+      const db = await this.dbPromise;
+      const storeNames = Array.from(db.objectStoreNames);
+      const tx = db.transaction(storeNames, 'readwrite');
+      const counts = Object.fromEntries(storeNames.map(name => [name, 0]));
+
+      if (mode === 'replace') {
+        for (const storeName of storeNames) {
+          await tx.objectStore(storeName).clear();
+          for (const record of stores[storeName] || []) {
+            await tx.objectStore(storeName).put(record);
+            counts[storeName]++;
+          }
+        }
+
+        await tx.done;
+        return counts;
+      }
+
+      const placesStore = tx.objectStore('visitedPlaces');
+      const visitsStore = tx.objectStore('visits');
+      const touchedIds = new Set();
+
+      for (const place of stores.visitedPlaces || []) {
+        if (!(await placesStore.get(place.uniqueId))) {
+          await placesStore.put(place);
+          counts.visitedPlaces++;
+        }
+      }
+
+      for (const { uniqueId, visitDate } of stores.visits || []) {
+        if (!(await placesStore.get(uniqueId))) continue;
+
+        const existingVisits = await visitsStore.index('uniqueId').getAll(uniqueId);
+        if (!existingVisits.some(visit => visit.visitDate === visitDate)) {
+          await visitsStore.add({ uniqueId, visitDate });
+          touchedIds.add(uniqueId);
+          counts.visits++;
+        }
+      }
+
+      // 訪問履歴を追加した地域は集計値を再計算
+      for (const uniqueId of touchedIds) {
+        const place = await placesStore.get(uniqueId);
+        if (place) {
+          await placesStore.put({
+            ...place,
+            ...summarizeVisits(await visitsStore.index('uniqueId').getAll(uniqueId))
+          });
+        }
+      }
+
+      for (const trip of stores.trips || []) {
+        if (!(await tx.objectStore('trips').get(trip.tripId))) {
+          await tx.objectStore('trips').put(trip);
+          counts.trips++;
+        }
+      }
+
+      // 写真はIDが採番し直されるため、ファイル名と登録日時で重複を判定
+      for (const { attachmentId, ...attachment } of stores.attachments || []) {
+        if (!(await placesStore.get(attachment.uniqueId))) continue;
+
+        const existing = await tx.objectStore('attachments').index('uniqueId').getAll(attachment.uniqueId);
+        if (!existing.some(a => a.fileName === attachment.fileName && a.createdAt === attachment.createdAt)) {
+          await tx.objectStore('attachments').add(attachment);
+          counts.attachments++;
+        }
+      }
+
+      await tx.done;
+      return counts;
+    } catch (error) {
+      logError(error, { action: 'restoreAllStores', mode });
+      throw this.wrapError(error, 'errors.db.restoreBackup');
     }
   }
 
@@ -151,7 +715,7 @@ class DBService {
       return await index.getAll(adminLevel);
     } catch (error) {
       logError(error, { action: 'findByAdminLevel', adminLevel });
-      throw new Error(`行政レベルによる検索に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.searchByAdminLevel');
     }
   }
 
@@ -169,7 +733,7 @@ class DBService {
       return await index.getAll(range);
     } catch (error) {
       logError(error, { action: 'findByDateRange', startDate, endDate });
-      throw new Error(`日付範囲による検索に失敗しました: ${error.message}`);
+      throw this.wrapError(error, 'errors.db.searchByDateRange');
     }
   }
 }
@@ -1,16 +1,111 @@
 import Papa from 'papaparse';
-import { logError } from '../utils/errorHandling';
+import { AppError, logError } from '../utils/errorHandling';
+import { createMessage } from '../utils/i18n';
+import { getPlaceStatus } from '../constants/placeStatus';
+import { EXIF_READ_BYTES, readExifLocation } from '../utils/exifUtils';
+
+/**
+ * 元の例外のメッセージを、別のエラーの詳細として埋め込める形式で取得
+ * @param {Error} error - 元の例外
+ * @returns {Object|string} - メッセージ（キーを持たない例外はそのメッセージ）
+ */
+const getErrorDetail = (error) => (
+  error.messageKey ? createMessage(error.messageKey, error.params) : error.message
+);
+
+/**
+ * CSVの日付値をISO形式の文字列に正規化
+ * PapaParseのdynamicTypingはISO形式の日付をDateに変換するため、保存前に文字列へ戻す
+ * @param {*} value - CSVから読み込んだ値
+ * @returns {string|null} - ISO形式の日付文字列（空の場合はnull）
+ */
+const normalizeDateValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  return String(value).trim() || null;
+};
+
+/**
+ * 日時の文字列をISO形式に変換
+ * @param {string|null} value - 日時の文字列
+ * @returns {string|null} - ISO形式の日時（解釈できない場合はnull）
+ */
+const toIsoTime = (value) => {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * 要素の子孫から、名前空間を問わずローカル名で最初の要素の文字列を取得
+ * @param {Element} element - 検索する要素
+ * @param {string} localName - 要素のローカル名
+ * @returns {string|null} - 要素の文字列（見つからない場合はnull）
+ */
+const getChildText = (element, localName) => {
+  const child = element.getElementsByTagNameNS('*', localName)[0];
+  return child ? child.textContent : null;
+};
+
+/**
+ * GPXから位置情報の点を取り出す（トラック・ルート・ウェイポイント）
+ * @param {Document} doc - パース済みのGPX
+ * @returns {Array<Object>} - 点の配列（coordinates: [経度, 緯度]、time: ISO形式またはnull）
+ */
+const parseGpxPoints = (doc) => ['trkpt', 'rtept', 'wpt'].flatMap(name => (
+  Array.from(doc.getElementsByTagNameNS('*', name)).map(element => ({
+    coordinates: [parseFloat(element.getAttribute('lon')), parseFloat(element.getAttribute('lat'))],
+    time: toIsoTime(getChildText(element, 'time'))
+  }))
+));
+
+/**
+ * KMLから位置情報の点を取り出す
+ * gx:Trackは各点の時刻を、それ以外の座標は所属するPlacemarkのTimeStamp・TimeSpanを使う
+ * @param {Document} doc - パース済みのKML
+ * @returns {Array<Object>} - 点の配列（coordinates: [経度, 緯度]、time: ISO形式またはnull）
+ */
+const parseKmlPoints = (doc) => {
+  const points = [];
+
+  Array.from(doc.getElementsByTagNameNS('*', 'Track')).forEach(track => {
+    const whens = Array.from(track.getElementsByTagNameNS('*', 'when'));
+    Array.from(track.getElementsByTagNameNS('*', 'coord')).forEach((coord, index) => {
+      const [lng, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+      points.push({ coordinates: [lng, lat], time: whens[index] ? toIsoTime(whens[index].textContent) : null });
+    });
+  });
+
+  Array.from(doc.getElementsByTagNameNS('*', 'coordinates')).forEach(element => {
+    let placemark = element.parentNode;
+    while (placemark && placemark.localName !== 'Placemark') {
+      placemark = placemark.parentNode;
+    }
+    const time = placemark
+      ? toIsoTime(getChildText(placemark, 'when') || getChildText(placemark, 'begin'))
+      : null;
+
+    element.textContent.trim().split(/\s+/).forEach(tuple => {
+      const [lng, lat] = tuple.split(',').map(parseFloat);
+      points.push({ coordinates: [lng, lat], time });
+    });
+  });
+
+  return points;
+};
 
 class FileService {
   async parseCSV(file) {
     return new Promise((resolve, reject) => {
       if (!file) {
-        reject(new Error('ファイルが選択されていません'));
+        reject(new AppError('errors.file.notSelected'));
         return;
       }
 
       if (file.type && !['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.type)) {
-        reject(new Error(`サポートされていないファイル形式です: ${file.type}`));
+        reject(new AppError('errors.file.unsupportedType', { type: file.type }));
         return;
       }
 
@@ -22,7 +117,7 @@ class FileService {
             const content = e.target.result;
 
             if (!content || content.trim() === '') {
-              reject(new Error('ファイルが空です'));
+              reject(new AppError('errors.file.empty'));
               return;
             }
 
@@ -36,16 +131,15 @@ class FileService {
               transformHeader: (header) => header.trim(),
               delimitersToGuess: [',', '\t', ';', '|'],
               error: (error) => {
-                reject(new Error(`CSVの解析中にエラーが発生しました: ${error.message}`));
+                reject(new AppError('errors.file.csvParse', { detail: error.message }));
               }
             });
 
             if (errors.length > 0) {
               const criticalErrors = errors.filter(err => err.type !== 'FieldMismatch');
               if (criticalErrors.length > 0) {
-                const errorMsg = 'CSVの解析中にエラーが発生しました: ' +
-                  criticalErrors.map(err => `行 ${err.row}: ${err.message}`).join(', ');
-                reject(new Error(errorMsg));
+                const detail = criticalErrors.map(err => `${err.row}: ${err.message}`).join(', ');
+                reject(new AppError('errors.file.csvRowErrors', { detail }));
                 return;
               }
             }
@@ -54,52 +148,270 @@ class FileService {
             const missingFields = requiredFields.filter(field => !meta.fields.includes(field));
 
             if (missingFields.length > 0) {
-              reject(new Error(`CSVファイルに必須フィールドがありません: ${missingFields.join(', ')}`));
+              reject(new AppError('errors.file.csvMissingFields', { fields: missingFields.join(', ') }));
               return;
             }
 
-            const validData = data
-              .filter(row => row.uniqueId && row.placeName && row.adminLevel)
+            const validRows = [];
+            const invalidRows = [];
+
+            data.forEach((row, index) => {
+              const reason = this.validateRow(row, requiredFields);
+              if (reason) {
+                // ヘッダー行を1行目として、ファイル上の行番号を記録
+                invalidRows.push({ line: index + 2, row, reason });
+              } else {
+                validRows.push(row);
+              }
+            });
+
+            const places = validRows
               .map(row => ({
                 ...row,
                 uniqueId: String(row.uniqueId).trim(),
                 placeName: String(row.placeName).trim(),
                 adminLevel: String(row.adminLevel).trim(),
-                dateMarked: row.dateMarked || new Date().toISOString()
+                dateMarked: normalizeDateValue(row.dateMarked) || new Date().toISOString(),
+                // status列のない旧形式のCSVや不明な値はデフォルトのステータスとする
+                status: getPlaceStatus(row)
               }));
 
-            if (validData.length === 0) {
-              reject(new Error('有効なデータが見つかりませんでした'));
+            if (places.length === 0) {
+              reject(new AppError('errors.file.noValidRows'));
               return;
             }
 
+            const grouped = this.groupVisitRows(places);
+
             resolve({
-              data: validData,
+              data: grouped.places,
+              visits: grouped.visits,
               meta,
-              invalidRows: data.length - validData.length
+              invalidRows
             });
           } catch (parseError) {
             logError(parseError, { action: 'parseCSV' });
-            reject(new Error(`CSVの解析中にエラーが発生しました: ${parseError.message}`));
+            reject(new AppError('errors.file.csvParse', { detail: getErrorDetail(parseError) }));
           }
         };
 
         reader.onerror = () => {
-          reject(new Error('ファイルの読み込みに失敗しました'));
+          reject(new AppError('errors.file.readFailed'));
         };
 
         reader.readAsText(file);
       } catch (error) {
         logError(error, { action: 'parseCSV' });
-        reject(new Error(`ファイル処理中にエラーが発生しました: ${error.message}`));
+        reject(new AppError('errors.file.processFailed', { detail: getErrorDetail(error) }));
+      }
+    });
+  }
+
+  /**
+   * トラックファイルの形式を拡張子から判定
+   * @param {File} file - 判定するファイル
+   * @returns {string|null} - 'gpx'・'kml'（トラックファイルでない場合はnull）
+   */
+  getTrackFormat(file) {
+    const match = file && file.name ? file.name.toLowerCase().match(/\.(gpx|kml)$/) : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * GPX・KMLのトラックファイルを読み込み、位置情報の点を取り出す
+   * ファイルはブラウザ内で処理し、外部には送信しない
+   * @param {File} file - GPXまたはKMLファイル
+   * @returns {Promise<Array<Object>>} - 点の配列（coordinates: [経度, 緯度]、time: ISO形式またはnull）
+   */
+  async parseTrack(file) {
+    if (!file) {
+      throw new AppError('errors.file.notSelected');
+    }
+
+    const format = this.getTrackFormat(file);
+    if (!format) {
+      throw new AppError('errors.file.unsupportedType', { type: file.name });
+    }
+
+    try {
+      const content = await this.readAsText(file);
+      const doc = new DOMParser().parseFromString(content, 'application/xml');
+
+      if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new AppError('errors.file.invalidXml');
+      }
+
+      const points = (format === 'gpx' ? parseGpxPoints(doc) : parseKmlPoints(doc))
+        .filter(({ coordinates: [lng, lat] }) => Number.isFinite(lng) && Number.isFinite(lat));
+
+      if (points.length === 0) {
+        throw new AppError('errors.file.noTrackPoints');
+      }
+
+      return points;
+    } catch (error) {
+      logError(error, { action: 'parseTrack', fileName: file.name });
+      throw new AppError('errors.file.trackParse', { format: format.toUpperCase(), detail: getErrorDetail(error) });
+    }
+  }
+
+  /**
+   * EXIFを読み取れる写真（JPEG）かどうか
+   * @param {File} file - 判定するファイル
+   * @returns {boolean} - JPEGの場合はtrue
+   */
+  isPhotoFile(file) {
+    if (!file) return false;
+    return file.type === 'image/jpeg' || /\.jpe?g$/i.test(file.name || '');
+  }
+
+  /**
+   * 写真のEXIFから撮影位置と撮影日時を取り出す
+   * 写真はブラウザ内で先頭部分だけを読み込み、外部には送信しない。JPEG以外のファイルは無視する
+   * @param {Array<File>} files - 写真ファイル（フォルダ選択の場合は他の種類のファイルを含んでもよい）
+   * @returns {Promise<Object>} - 点の配列（points）と位置情報のない写真のファイル名（skippedFiles）
+   */
+  async parsePhotos(files) {
+    const photos = Array.from(files || []).filter(file => this.isPhotoFile(file));
+    if (photos.length === 0) {
+      throw new AppError('errors.file.noJpeg');
+    }
+
+    const points = [];
+    const skippedFiles = [];
+
+    // 数千枚でもメモリを圧迫しないよう1枚ずつ読み込む
+    for (const photo of photos) {
+      try {
+        const point = readExifLocation(await this.readAsArrayBuffer(photo.slice(0, EXIF_READ_BYTES)));
+        if (point) {
+          points.push(point);
+        } else {
+          skippedFiles.push(photo.name);
+        }
+      } catch (error) {
+        logError(error, { action: 'parsePhotos', fileName: photo.name });
+        skippedFiles.push(photo.name);
+      }
+    }
+
+    if (points.length === 0) {
+      throw new AppError('errors.file.noPhotoLocation');
+    }
+
+    return { points, skippedFiles };
+  }
+
+  /**
+   * ファイルをバイナリとして読み込む
+   * @param {Blob} file - 読み込むファイル
+   * @returns {Promise<ArrayBuffer>} - ファイルの内容
+   */
+  readAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new AppError('errors.file.readFailed'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * ファイルを文字列として読み込む
+   * @param {File} file - 読み込むファイル
+   * @returns {Promise<string>} - ファイルの内容
+   */
+  readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new AppError('errors.file.readFailed'));
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * CSVの1行を検証
+   * @param {Object} row - パース済みのCSV行
+   * @param {Array<string>} requiredFields - 必須の列
+   * @returns {Object|null} - 無効な場合はその理由（createMessageの形式。有効な場合はnull）
+   */
+  validateRow(row, requiredFields) {
+    const missing = requiredFields.filter(field => row[field] === null || row[field] === undefined || row[field] === '');
+    if (missing.length > 0) {
+      return createMessage('errors.file.requiredFieldsEmpty', { fields: missing.join(', ') });
+    }
+
+    for (const field of ['dateMarked', 'visitDate']) {
+      const value = normalizeDateValue(row[field]);
+      if (value && Number.isNaN(Date.parse(value))) {
+        return createMessage('errors.file.invalidDate', { field, value });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 1行1訪問のCSV行を、地域データと訪問履歴に分割
+   * visitDate列のない旧形式のCSVでは、dateMarkedを1回目の訪問として扱う
+   * visitDate列があって値が空の行（「行きたい」など訪問のない地域）は訪問履歴を作らない
+   * @param {Array<Object>} rows - パース済みのCSV行
+   * @returns {Object} - 地域データの配列（places）と訪問履歴の配列（visits）
+   */
+  groupVisitRows(rows) {
+    const placesById = new Map();
+    const visits = [];
+
+    rows.forEach(row => {
+      const { visitDate, visitCount, firstVisitDate, lastVisitDate, ...place } = row;
+      const hasVisitDateColumn = Object.prototype.hasOwnProperty.call(row, 'visitDate');
+
+      if (!placesById.has(place.uniqueId)) {
+        placesById.set(place.uniqueId, place);
+      }
+
+      const date = hasVisitDateColumn ? normalizeDateValue(visitDate) : place.dateMarked;
+      if (date) {
+        visits.push({ uniqueId: place.uniqueId, visitDate: date });
       }
     });
+
+    return { places: Array.from(placesById.values()), visits };
+  }
+
+  /**
+   * 地域データと訪問履歴を、1行1訪問のCSV行に展開
+   * 訪問履歴のない地域も1行として出力する
+   * @param {Array<Object>} places - 訪問地域データの配列
+   * @param {Array<Object>} visits - 訪問履歴の配列
+   * @returns {Array<Object>} - CSV出力用の行データ
+   */
+  expandVisitRows(places, visits = []) {
+    const visitsById = new Map();
+    visits.forEach(visit => {
+      if (!visitsById.has(visit.uniqueId)) {
+        visitsById.set(visit.uniqueId, []);
+      }
+      visitsById.get(visit.uniqueId).push(visit);
+    });
+
+    return places.flatMap(place => {
+      const placeVisits = (visitsById.get(place.uniqueId) || [])
+        .sort((a, b) => String(a.visitDate).localeCompare(String(b.visitDate)));
+
+      if (placeVisits.length === 0) {
+        return [{ ...place, visitDate: '' }];
+      }
+
+      return placeVisits.map(visit => ({ ...place, visitDate: visit.visitDate }));
+    });
   }
 
   generateCSV(data, fields = null) {
     try {
       if (!data || data.length === 0) {
-        throw new Error('エクスポートするデータがありません');
+        throw new AppError('errors.file.noExportData');
       }
 
       const defaultFields = [
@@ -108,7 +420,9 @@ class FileService {
         'adminLevel',
         'dateMarked',
         'countryCodeISO',
-        'regionCodeISO'
+        'regionCodeISO',
+        'status',
+        'visitDate'
       ];
 
       const cleanData = data.map(item => {
@@ -130,43 +444,59 @@ class FileService {
       });
     } catch (error) {
       logError(error, { action: 'generateCSV' });
-      throw new Error(`CSVの生成中にエラーが発生しました: ${error.message}`);
+      throw new AppError('errors.file.csvGenerate', { detail: getErrorDetail(error) });
     }
   }
 
+  /**
+   * エクスポート用のファイル名を生成（例: MyWorldAtlas_Export_20240101_1230.csv）
+   * @param {string} extension - 拡張子
+   * @param {string} prefix - ファイル名の接頭辞
+   * @returns {string} - 日時入りのファイル名
+   */
+  generateFileName(extension, prefix = 'MyWorldAtlas_Export') {
+    const date = new Date();
+    const dateStr = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    const timeStr = `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
+    return `${prefix}_${dateStr}_${timeStr}.${extension}`;
+  }
+
+  /**
+   * 文字列をファイルとしてダウンロード
+   * @param {string} content - ファイルの内容
+   * @param {string} fileName - ファイル名
+   * @param {string} type - MIMEタイプ
+   */
+  downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
   downloadCSV(csvData, fileName = null) {
     try {
       if (!csvData) {
-        throw new Error('ダウンロードするデータがありません');
-      }
-
-      if (!fileName) {
-        const date = new Date();
-        const dateStr = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
-        const timeStr = `${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
-        fileName = `MyWorldAtlas_Export_${dateStr}_${timeStr}.csv`;
+        throw new AppError('errors.file.noDownloadData');
       }
 
       const BOM = '\uFEFF';
       const csvWithBOM = BOM + csvData;
 
-      const blob = new Blob([csvWithBOM], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.setAttribute('href', url);
-      link.setAttribute('download', fileName);
-      link.style.visibility = 'hidden';
-
-      document.body.appendChild(link);
-      link.click();
-
-      setTimeout(() => {
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      }, 100);
+      this.downloadFile(csvWithBOM, fileName || this.generateFileName('csv'), 'text/csv;charset=utf-8;');
     } catch (error) {
       logError(error, { action: 'downloadCSV' });
-      throw new Error(`ファイルのダウンロード中にエラーが発生しました: ${error.message}`);
+      throw new AppError('errors.file.downloadFailed', { detail: getErrorDetail(error) });
     }
   }
 
@@ -180,6 +510,74 @@ class FileService {
       throw error;
     }
   }
+
+  /**
+   * 訪問地域を境界ジオメトリ付きのGeoJSON（FeatureCollection）に変換
+   * 境界データが見つからない地域はジオメトリをnullとして出力する
+   * @param {Array<Object>} places - 訪問地域データの配列
+   * @param {Array<Object>} visits - 訪問履歴の配列
+   * @param {Map} geometries - ユニークIDをキーとしたGeoJSONのジオメトリ
+   * @returns {Object} - GeoJSONのFeatureCollection
+   */
+  generateGeoJSON(places, visits = [], geometries = new Map()) {
+    if (!places || places.length === 0) {
+      throw new AppError('errors.file.noExportData');
+    }
+
+    const visitDatesById = new Map();
+    visits.forEach(visit => {
+      if (!visitDatesById.has(visit.uniqueId)) {
+        visitDatesById.set(visit.uniqueId, []);
+      }
+      visitDatesById.get(visit.uniqueId).push(visit.visitDate);
+    });
+
+    return {
+      type: 'FeatureCollection',
+      features: places.map(place => ({
+        type: 'Feature',
+        id: place.uniqueId,
+        geometry: geometries.get(place.uniqueId) || null,
+        properties: {
+          uniqueId: place.uniqueId,
+          placeName: place.placeName,
+          adminLevel: place.adminLevel,
+          countryCodeISO: place.countryCodeISO || null,
+          regionCodeISO: place.regionCodeISO || null,
+          status: getPlaceStatus(place),
+          dateMarked: place.dateMarked || null,
+          visitCount: place.visitCount || 0,
+          firstVisitDate: place.firstVisitDate || null,
+          lastVisitDate: place.lastVisitDate || null,
+          visitDates: (visitDatesById.get(place.uniqueId) || []).sort(),
+          notes: place.notes || null
+        }
+      }))
+    };
+  }
+
+  /**
+   * 訪問地域をGeoJSONファイルとしてエクスポート
+   * @param {Array<Object>} places - 訪問地域データの配列
+   * @param {Array<Object>} visits - 訪問履歴の配列
+   * @param {Map} geometries - ユニークIDをキーとしたGeoJSONのジオメトリ
+   * @param {string|null} fileName - ファイル名（省略時は日時入りの名前）
+   * @returns {boolean} - 成功した場合はtrue
+   */
+  exportToGeoJSON(places, visits, geometries, fileName = null) {
+    try {
+      const geoJson = this.generateGeoJSON(places, visits, geometries);
+      this.downloadFile(
+        JSON.stringify(geoJson),
+        fileName || this.generateFileName('geojson'),
+        'application/geo+json'
+      );
+      return true;
+    } catch (error) {
+      logError(error, { action: 'exportToGeoJSON' });
+      throw new AppError('errors.file.geoJsonGenerate', { detail: getErrorDetail(error) });
+    }
+  }
 }
 
 const fileService = new FileService();
@@ -0,0 +1,155 @@
+import { logError } from '../utils/errorHandling';
+
+// Cache Storageのキャッシュ名（形式を変える場合はバージョンを上げる）
+const CACHE_NAME = 'my-world-atlas-geodata-v1';
+
+// 保存時に付け加えるヘッダー
+const FETCHED_AT_HEADER = 'X-Atlas-Fetched-At';
+const SIZE_HEADER = 'X-Atlas-Size';
+
+/**
+ * 地理データの永続キャッシュのサービスクラス
+ * 取得したGeoJSONをCache Storageに保存し、再読み込み後も再ダウンロードせずに使えるようにする
+ * Cache Storageが使えない環境（非セキュアコンテキストなど）では何もしない
+ */
+class GeoCacheService {
+  /**
+   * Cache Storageが使えるかどうか
+   * @returns {boolean} - 使える場合はtrue
+   */
+  isAvailable() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * キャッシュを開く
+   * @returns {Promise<Cache|null>} - キャッシュ（使えない場合はnull）
+   */
+  async open() {
+    if (!this.isAvailable()) return null;
+
+    try {
+      return await caches.open(CACHE_NAME);
+    } catch (error) {
+      logError(error, { action: 'openGeoCache' });
+      return null;
+    }
+  }
+
+  /**
+   * 保存済みのデータを取得
+   * @param {string} url - データのURL
+   * @returns {Promise<Object|null>} - データと再検証用の情報（data、etag、lastModified、fetchedAt、size）
+   */
+  async get(url) {
+    const cache = await this.open();
+    if (!cache) return null;
+
+    try {
+      const response = await cache.match(url);
+      if (!response) return null;
+
+      return {
+        data: await response.json(),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        fetchedAt: Number(response.headers.get(FETCHED_AT_HEADER)) || 0,
+        size: Number(response.headers.get(SIZE_HEADER)) || 0
+      };
+    } catch (error) {
+      // 壊れたエントリーは削除して取得し直す
+      logError(error, { action: 'getGeoCache', url });
+      await this.delete(url);
+      return null;
+    }
+  }
+
+  /**
+   * データを保存
+   * @param {string} url - データのURL
+   * @param {string} body - レスポンスの本文（JSON文字列）
+   * @param {Object} validators - 再検証用のヘッダー（etag、lastModified）
+   * @returns {Promise<void>}
+   */
+  async put(url, body, { etag = null, lastModified = null } = {}) {
+    const cache = await this.open();
+    if (!cache) return;
+
+    const headers = new Headers({
+      'Content-Type': 'application/json',
+      [FETCHED_AT_HEADER]: String(Date.now()),
+      [SIZE_HEADER]: String(new Blob([body]).size)
+    });
+    if (etag) headers.set('ETag', etag);
+    if (lastModified) headers.set('Last-Modified', lastModified);
+
+    try {
+      await cache.put(url, new Response(body, { headers }));
+    } catch (error) {
+      // 容量不足などで保存できなくても、取得したデータはそのまま使える
+      logError(error, { action: 'putGeoCache', url });
+    }
+  }
+
+  /**
+   * 再検証で変更がなかったデータの取得日時を更新
+   * @param {string} url - データのURL
+   * @returns {Promise<void>}
+   */
+  async touch(url) {
+    const cache = await this.open();
+    if (!cache) return;
+
+    const response = await cache.match(url);
+    if (!response) return;
+
+    const headers = new Headers(response.headers);
+    headers.set(FETCHED_AT_HEADER, String(Date.now()));
+    await cache.put(url, new Response(await response.blob(), { headers }));
+  }
+
+  /**
+   * データを削除
+   * @param {string} url - データのURL
+   * @returns {Promise<void>}
+   */
+  async delete(url) {
+    const cache = await this.open();
+    if (!cache) return;
+
+    await cache.delete(url);
+  }
+
+  /**
+   * 保存済みのデータをすべて削除
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!this.isAvailable()) return;
+
+    await caches.delete(CACHE_NAME);
+  }
+
+  /**
+   * 保存済みのデータの一覧と容量を取得
+   * @returns {Promise<Array<Object>>} - URL・容量（バイト）・取得日時の配列
+   */
+  async getEntries() {
+    const cache = await this.open();
+    if (!cache) return [];
+
+    const requests = await cache.keys();
+    return Promise.all(requests.map(async (request) => {
+      const response = await cache.match(request);
+      return {
+        url: request.url,
+        size: Number(response.headers.get(SIZE_HEADER)) || 0,
+        fetchedAt: Number(response.headers.get(FETCHED_AT_HEADER)) || 0
+      };
+    }));
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+const geoCacheService = new GeoCacheService();
+export default geoCacheService;
@@ -1,4 +1,61 @@
-import { logError } from '../utils/errorHandling';
+import { AppError, logError } from '../utils/errorHandling';
+import { createMessage } from '../utils/i18n';
+import { PLACE_STATUSES, DEFAULT_PLACE_STATUS } from '../constants/placeStatus';
+import { distanceKm, getBoundingBox, isPointInGeometry } from '../utils/geoUtils';
+import { findChoroplethClass } from '../utils/choroplethUtils';
+import { getAllCountryNames } from '../utils/placeNameUtils';
+import { getUnassignedCountryCodes } from '../utils/countryCodeUtils';
+import geoCacheService from './geoCacheService';
+import m49Regions from '../data/m49-regions.json';
+import stateCounts from '../data/state-counts.json';
+
+// ステータスごとの塗りつぶし色
+const STATUS_COLORS = Object.fromEntries(PLACE_STATUSES.map(s => [s.value, s.color]));
+
+/**
+ * 国境データのプロパティ名を同梱データと同じ名前（ISO_A2・ISO_A3・ADMIN）に揃える
+ * リモートのデータセットはISO 3166-1の列名で配布されている場合がある
+ * ISOコードのない地域（「-99」）は、同梱データと同じく地域名から割り当てたコードにし、
+ * 割り当てのない地域はADM0_A3（なければ地域名）を固有のコードにする
+ * @param {Object} properties - フィーチャーのプロパティ
+ * @returns {Object} - 揃えたプロパティ
+ */
+const normalizeCountryProperties = (properties) => {
+  const ADMIN = properties.ADMIN ?? properties.name;
+  const ISO_A2 = properties.ISO_A2 ?? properties['ISO3166-1-Alpha-2'] ?? '-99';
+  const ISO_A3 = properties.ISO_A3 ?? properties['ISO3166-1-Alpha-3'] ?? '-99';
+  if (ISO_A2 !== '-99') {
+    return { ...properties, ISO_A2, ISO_A3, ADMIN };
+  }
+
+  const fallbackCode = properties.ADM0_A3 && properties.ADM0_A3 !== '-99' ? properties.ADM0_A3 : ADMIN;
+  const codes = getUnassignedCountryCodes(ADMIN) || { ISO_A2: fallbackCode, ISO_A3: fallbackCode };
+
+  return { ...properties, ...codes, ADMIN };
+};
+
+/**
+ * 詳細な国境データの各フィーチャーのプロパティを同梱データと同じ形に揃える
+ * @param {Object} data - リモートから取得した国境データ
+ * @returns {Object} - 揃えた国境データ
+ */
+const normalizeCountriesGeoJson = (data) => ({
+  ...data,
+  features: data.features.map(feature => ({
+    ...feature,
+    properties: normalizeCountryProperties(feature.properties || {})
+  }))
+});
+
+// 国コードごとの地域区分（国連のM49の地域とサブ地域）
+const regionsByCountry = new Map(
+  m49Regions.regions.flatMap(({ subRegions, ...region }) => subRegions.flatMap(({ countries, ...subRegion }) => (
+    countries.map(code => [code, {
+      region: { code: region.code, name: region.name, label: region.label },
+      subRegion
+    }])
+  )))
+);
 
 /**
  * 地図関連のサービスクラス
@@ -6,73 +63,269 @@ import { logError } from '../utils/errorHandling';
  */
 class MapService {
   constructor() {
-    // 国境データのGeoJSONのURL
+    // 詳細な国境データのGeoJSONのURL（通常は同梱の簡易データを使い、必要な場合だけ取得する）
     this.countriesGeoJsonUrl = 'https://raw.githubusercontent.com/datasets/geo-countries/master/data/countries.geojson';
     
     // 地理データのキャッシュ
     this.geoDataCache = {
       countries: null,
+      detailedCountries: null,
       lastFetched: null
     };
     
-    // キャッシュの有効期限（24時間）
+    // 国コードごとの州・都道府県の境界データ（読み込み中のものはPromiseのまま共有する）
+    this.statesCache = new Map();
+    
+    // リモートから取得する地理データ（キャッシュのキーごとのURLと、表示する名称のメッセージ）
+    this.remoteGeoData = {
+      detailedCountries: { url: this.countriesGeoJsonUrl, label: createMessage('geoData.detailedCountries') }
+    };
+    
+    // 取得中のリクエスト（同じデータを同時に要求された場合に共有する）
+    this.pendingRequests = new Map();
+    
+    // キャッシュの有効期限（24時間。期限切れのデータはブラウザに保存したまま再検証する）
     this.cacheExpiration = 24 * 60 * 60 * 1000;
     
     // リトライ設定
     this.maxRetries = 3;
     this.retryDelay = 1000; // ms
+    this.fetchTimeout = 30000; // ms（詳細な国境データは容量が大きいため長めに設定）
   }
   
   /**
-   * 国境データのGeoJSONを取得（リトライ機能付き）
+   * 国境データのGeoJSONを取得
+   * 詳細な国境データを取得済みならそれを、そうでなければアプリに同梱した簡易データを返す（通信しない）
    * @returns {Promise<Object>} - GeoJSONデータ
    */
   async getCountriesGeoJson() {
+    if (this.geoDataCache.detailedCountries) {
+      return this.geoDataCache.detailedCountries;
+    }
+    
+    if (!this.geoDataCache.countries) {
+      // 初回表示のバンドルに含めないよう、使う時点で読み込む
+      const { default: data } = await import('../data/countries.json');
+      this.geoDataCache.countries = data;
+    }
+    
+    return this.geoDataCache.countries;
+  }
+  
+  /**
+   * 詳細な国境データのGeoJSONをリモートから取得（リトライ機能付き）
+   * 取得後はgetCountriesGeoJsonが詳細なデータを返す
+   * @returns {Promise<Object>} - GeoJSONデータ
+   */
+  async loadDetailedCountriesGeoJson() {
+    const data = await this.fetchGeoJsonWithRetry('detailedCountries', this.countriesGeoJsonUrl, this.remoteGeoData.detailedCountries.label);
+    
+    this.geoDataCache.detailedCountries = normalizeCountriesGeoJson(data);
+    
+    return this.geoDataCache.detailedCountries;
+  }
+  
+  /**
+   * 以前取得した詳細な国境データがブラウザに保存されていれば読み込む（通信しない）
+   * 再読み込み後も、getCountriesGeoJsonが詳細なデータを返すようにする
+   * @returns {Promise<boolean>} - 詳細な国境データを使える場合はtrue
+   */
+  async restoreDetailedCountriesGeoJson() {
+    if (this.geoDataCache.detailedCountries) return true;
+    
+    const cached = await geoCacheService.get(this.countriesGeoJsonUrl);
+    if (!cached) return false;
+    
+    this.geoDataCache.detailedCountries = normalizeCountriesGeoJson(cached.data);
+    return true;
+  }
+  
+  /**
+   * 詳細な国境データを取得済みかどうか
+   * @returns {boolean} - 取得済みの場合はtrue
+   */
+  hasDetailedCountries() {
+    return Boolean(this.geoDataCache.detailedCountries);
+  }
+  
+  /**
+   * 国の州・都道府県（第1級行政区画）の数を取得（同梱の集計表を使うため境界データは読み込まない）
+   * @param {string} countryCode - ISO 3166-1の国コード
+   * @returns {number} - 州・都道府県の数（データのない国は0）
+   */
+  getStateCount(countryCode) {
+    return Object.hasOwn(stateCounts, countryCode) ? stateCounts[countryCode] : 0;
+  }
+  
+  /**
+   * 国ごとの州・都道府県の数の一覧を取得
+   * @returns {Object<string, number>} - 国コードをキーとした州・都道府県の数
+   */
+  getStateCounts() {
+    return stateCounts;
+  }
+  
+  /**
+   * 国の州・都道府県（第1級行政区画）の境界データのGeoJSONを取得
+   * アプリに同梱した国ごとのデータを、使う時点で読み込む（通信しない）
+   * @param {string} countryCode - ISO 3166-1の国コード
+   * @returns {Promise<Object>} - GeoJSONデータ（州・都道府県のデータがない国は地物のないGeoJSON）
+   */
+  async getStatesGeoJson(countryCode) {
+    if (!this.getStateCount(countryCode)) {
+      return { type: 'FeatureCollection', features: [] };
+    }
+    
+    if (!this.statesCache.has(countryCode)) {
+      // 読み込みに失敗した場合は、次の要求で読み込み直す
+      const request = import(`../data/states/${countryCode}.json`)
+        .then(({ default: data }) => data)
+        .catch(error => {
+          this.statesCache.delete(countryCode);
+          throw error;
+        });
+      this.statesCache.set(countryCode, request);
+    }
+    
+    return this.statesCache.get(countryCode);
+  }
+  
+  /**
+   * 複数の国の州・都道府県の境界データを1つのGeoJSONにまとめて取得
+   * @param {Array<string>} countryCodes - ISO 3166-1の国コードの配列
+   * @returns {Promise<Object>} - GeoJSONデータ
+   */
+  async getStatesGeoJsonForCountries(countryCodes) {
+    const collections = await Promise.all(
+      [...new Set(countryCodes)].map(code => this.getStatesGeoJson(code))
+    );
+    
+    return {
+      type: 'FeatureCollection',
+      features: collections.flatMap(collection => collection.features)
+    };
+  }
+  
+  /**
+   * GeoJSONを取得してキャッシュに格納
+   * メモリ上のキャッシュ、ブラウザに保存したキャッシュ、ネットワークの順に参照し、
+   * 同じデータを同時に要求された場合は1回の取得結果を共有する
+   * @param {string} cacheKey - キャッシュのキー
+   * @param {string} url - 取得先のURL
+   * @param {Object} label - エラーメッセージに使うデータの名称（createMessageの形式）
+   * @returns {Promise<Object>} - GeoJSONデータ
+   */
+  async fetchGeoJsonWithRetry(cacheKey, url, label) {
     // キャッシュが有効ならキャッシュから返す
-    if (this.isCacheValid('countries')) {
-      return this.geoDataCache.countries;
+    if (this.isCacheValid(cacheKey)) {
+      return this.geoDataCache[cacheKey];
+    }
+    
+    if (!this.pendingRequests.has(cacheKey)) {
+      const request = this.loadGeoJson(cacheKey, url, label)
+        .finally(() => this.pendingRequests.delete(cacheKey));
+      this.pendingRequests.set(cacheKey, request);
     }
     
+    return this.pendingRequests.get(cacheKey);
+  }
+  
+  /**
+   * 保存済みのキャッシュを参照し、期限切れなら再検証してGeoJSONを取得
+   * @param {string} cacheKey - キャッシュのキー
+   * @param {string} url - 取得先のURL
+   * @param {Object} label - エラーメッセージに使うデータの名称（createMessageの形式）
+   * @returns {Promise<Object>} - GeoJSONデータ
+   */
+  async loadGeoJson(cacheKey, url, label) {
+    const cached = await geoCacheService.get(url);
+    
+    // 有効期限内なら通信しない
+    if (cached && Date.now() - cached.fetchedAt < this.cacheExpiration) {
+      return this.setMemoryCache(cacheKey, cached.data);
+    }
+    
+    try {
+      const fetched = await this.requestGeoJson(url, label, cached);
+      
+      if (!fetched) {
+        // 変更がなければ保存済みのデータを使い続ける
+        await geoCacheService.touch(url);
+        return this.setMemoryCache(cacheKey, cached.data);
+      }
+      
+      await geoCacheService.put(url, fetched.body, fetched);
+      return this.setMemoryCache(cacheKey, fetched.data);
+    } catch (error) {
+      // オフラインなどで再検証できない場合は、期限切れでも保存済みのデータを使う
+      if (cached) {
+        logError(error, { action: 'loadGeoJson', cacheKey, usingStaleCache: true });
+        return this.setMemoryCache(cacheKey, cached.data);
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * GeoJSONをネットワークから取得（リトライ機能付き）
+   * 保存済みのデータがあれば、ETag・Last-Modifiedで変更の有無を問い合わせる
+   * @param {string} url - 取得先のURL
+   * @param {Object} label - エラーメッセージに使うデータの名称（createMessageの形式）
+   * @param {Object|null} cached - 保存済みのデータ（etag、lastModified）
+   * @returns {Promise<Object|null>} - 取得したデータ（data、body、etag、lastModified）。変更がない場合はnull
+   */
+  async requestGeoJson(url, label, cached) {
+    const headers = {
+      'Accept': 'application/json',
+      'Cache-Control': 'no-cache'
+    };
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    
     let retries = 0;
     
     while (retries < this.maxRetries) {
       try {
-        // キャッシュが無効なら新しくデータを取得
-        const response = await fetch(this.countriesGeoJsonUrl, {
-          headers: {
-            'Accept': 'application/json',
-            'Cache-Control': 'no-cache'
-          },
-          signal: AbortSignal.timeout(10000) // 10秒でタイムアウト
+        const response = await fetch(url, {
+          headers,
+          signal: AbortSignal.timeout(this.fetchTimeout)
         });
         
+        if (response.status === 304 && cached) {
+          return null;
+        }
+        
         if (!response.ok) {
-          throw new Error(`地図データの取得に失敗しました: ${response.status} ${response.statusText}`);
+          throw new AppError('errors.map.httpError', { status: response.status, statusText: response.statusText });
         }
         
-        const data = await response.json();
+        const body = await response.text();
+        const data = JSON.parse(body);
         
         // データの検証
         if (!data || !data.features || !Array.isArray(data.features)) {
-          throw new Error('無効なGeoJSONデータです');
+          throw new AppError('errors.map.invalidGeoJson');
         }
         
-        // キャッシュを更新
-        this.geoDataCache.countries = data;
-        this.geoDataCache.lastFetched = new Date();
-        
-        return data;
+        return {
+          data,
+          body,
+          etag: response.headers.get('ETag'),
+          lastModified: response.headers.get('Last-Modified')
+        };
       } catch (error) {
         retries++;
         
         // 最後のリトライでエラーが発生した場合はエラーをスロー
         if (retries >= this.maxRetries) {
           logError(error, { 
-            action: 'getCountriesGeoJson', 
+            action: 'requestGeoJson', 
+            url,
             attempts: retries 
           });
           
-          throw new Error(`国境データの取得に${retries}回失敗しました: ${error.message}`);
+          throw new AppError('errors.map.fetchFailed', { data: label, attempts: retries, detail: error.message });
         }
         
         // 次のリトライの前に待機
@@ -81,6 +334,35 @@ class MapService {
     }
   }
   
+  /**
+   * メモリ上のキャッシュを更新
+   * @param {string} cacheKey - キャッシュのキー
+   * @param {Object} data - GeoJSONデータ
+   * @returns {Object} - 格納したデータ
+   */
+  setMemoryCache(cacheKey, data) {
+    this.geoDataCache[cacheKey] = data;
+    this.geoDataCache.lastFetched = new Date();
+    return data;
+  }
+  
+  /**
+   * ブラウザに保存した地理データの一覧と容量を取得
+   * @returns {Promise<Array<Object>>} - キャッシュのキー・名称・容量（バイト）・取得日時の配列
+   */
+  async getCacheUsage() {
+    const entries = await geoCacheService.getEntries();
+    
+    return entries.map(entry => {
+      const source = Object.entries(this.remoteGeoData).find(([, { url }]) => url === entry.url);
+      return {
+        ...entry,
+        cacheKey: source ? source[0] : null,
+        label: source ? source[1].label : entry.url
+      };
+    });
+  }
+  
   /**
    * キャッシュが有効かどうかをチェック
    * @param {string} cacheKey - チェックするキャッシュのキー
@@ -103,22 +385,34 @@ class MapService {
   }
   
   /**
-   * キャッシュを明示的にクリア
+   * キャッシュを明示的にクリア（ブラウザに保存したキャッシュも削除する）
    * @param {string} cacheKey - クリアするキャッシュのキー（指定がなければ全て）
+   * @returns {Promise<void>} - 保存したキャッシュの削除が完了するPromise
    */
   clearCache(cacheKey = null) {
     if (cacheKey && this.geoDataCache[cacheKey]) {
       this.geoDataCache[cacheKey] = null;
-    } else {
+    } else if (!cacheKey) {
       // 全てのキャッシュをクリア
       Object.keys(this.geoDataCache).forEach(key => {
         if (key !== 'lastFetched') {
           this.geoDataCache[key] = null;
         }
       });
+      this.statesCache.clear();
     }
     
     this.geoDataCache.lastFetched = null;
+    
+    const url = cacheKey && this.remoteGeoData[cacheKey]?.url;
+    const removal = cacheKey
+      ? (url ? geoCacheService.delete(url) : Promise.resolve())
+      : geoCacheService.clear();
+    
+    return removal
+      .catch(error => {
+        logError(error, { action: 'clearCache', cacheKey });
+      });
   }
   
   /**
@@ -128,13 +422,13 @@ class MapService {
   async getCurrentLocation() {
     return new Promise((resolve, reject) => {
       if (!('geolocation' in navigator)) {
-        reject(new Error('お使いのブラウザは位置情報をサポートしていません'));
+        reject(new AppError('errors.location.unsupported'));
         return;
       }
       
       // タイムアウト処理
       const timeoutId = setTimeout(() => {
-        reject(new Error('位置情報の取得がタイムアウトしました'));
+        reject(new AppError('errors.location.timeout'));
       }, 15000); // 15秒
       
       navigator.geolocation.getCurrentPosition(
@@ -154,20 +448,20 @@ class MapService {
           logError(error, { action: 'getCurrentLocation' });
           
           // エラーコードに基づいたメッセージ
-          let errorMessage = '現在地を取得できませんでした';
+          let messageKey = 'errors.location.failed';
           switch (error.code) {
             case 1: // PERMISSION_DENIED
-              errorMessage = '位置情報へのアクセスが拒否されました';
+              messageKey = 'errors.location.denied';
               break;
             case 2: // POSITION_UNAVAILABLE
-              errorMessage = '現在地を特定できませんでした';
+              messageKey = 'errors.location.unavailable';
               break;
             case 3: // TIMEOUT
-              errorMessage = '現在地の取得がタイムアウトしました';
+              messageKey = 'errors.location.timeout';
               break;
           }
           
-          reject(new Error(errorMessage));
+          reject(new AppError(messageKey));
         },
         {
           enableHighAccuracy: true,  // 高精度を有効
@@ -185,14 +479,14 @@ class MapService {
    */
   async getCountryByIsoCode(isoCode) {
     if (!isoCode || typeof isoCode !== 'string') {
-      throw new Error('無効な国コードです');
+      throw new AppError('errors.map.invalidCountryCode');
     }
     
     try {
       const geoJson = await this.getCountriesGeoJson();
       
       if (!geoJson || !geoJson.features) {
-        throw new Error('地図データが不正です');
+        throw new AppError('errors.map.invalidData');
       }
       
       const country = geoJson.features.find(feature => 
@@ -200,7 +494,7 @@ class MapService {
       );
       
       if (!country) {
-        throw new Error(`国コード "${isoCode}" に該当する国が見つかりませんでした`);
+        throw new AppError('errors.map.countryNotFound', { code: isoCode });
       }
       
       return country;
@@ -211,8 +505,10 @@ class MapService {
   }
   
   /**
-   * 国名から国データを検索
-   * @param {string} name - 検索する国名（部分一致）
+   * 国名・国コードから国データを検索
+   * 国境データの国名（ADMIN）と対訳表の各言語の国名は部分一致、ISOコード（2文字・3文字）は完全一致で照合し、
+   * 国コードの一致、国名の前方一致、部分一致の順に並べる
+   * @param {string} name - 検索する文字列
    * @returns {Promise<Array>} - 該当する国データの配列
    */
   async searchCountriesByName(name) {
@@ -224,47 +520,333 @@ class MapService {
       const geoJson = await this.getCountriesGeoJson();
       
       if (!geoJson || !geoJson.features) {
-        throw new Error('地図データが不正です');
+        throw new AppError('errors.map.invalidData');
       }
       
-      const searchTerm = name.toLowerCase();
+      const searchTerm = name.trim().toLowerCase();
       
-      // 名前に検索文字列を含む国を検索
-      return geoJson.features.filter(feature => 
-        feature.properties && 
-        feature.properties.ADMIN && 
-        feature.properties.ADMIN.toLowerCase().includes(searchTerm)
-      );
+      const matches = [];
+      geoJson.features.forEach(feature => {
+        const { ADMIN, ISO_A2, ISO_A3 } = feature.properties || {};
+        const names = [ADMIN, ...getAllCountryNames(ISO_A2)]
+          .filter(Boolean)
+          .map(value => value.toLowerCase());
+        const codes = [ISO_A2, ISO_A3]
+          .filter(code => code && code !== '-99')
+          .map(code => code.toLowerCase());
+        
+        let rank = null;
+        if (codes.includes(searchTerm)) {
+          rank = 0;
+        } else if (names.some(value => value.startsWith(searchTerm))) {
+          rank = 1;
+        } else if (names.some(value => value.includes(searchTerm))) {
+          rank = 2;
+        }
+        
+        if (rank !== null) matches.push({ feature, rank });
+      });
+      
+      return matches
+        .sort((a, b) => a.rank - b.rank)
+        .map(match => match.feature);
     } catch (error) {
       logError(error, { action: 'searchCountriesByName', name });
       throw error;
     }
   }
   
+  /**
+   * 世界の地域区分（国連のM49の地域とサブ地域）の一覧を取得
+   * 南極など、M49の地域に属さない国・地域は含まれない
+   * @returns {Array<Object>} - 地域（code、name、label、bounds、subRegions）の配列
+   */
+  getWorldRegions() {
+    return m49Regions.regions;
+  }
+  
+  /**
+   * 国コードから地域区分を取得
+   * @param {string} countryCode - ISO 3166-1 alpha-2の国コード
+   * @returns {Object|null} - 地域（region）とサブ地域（subRegion）のcode・name・label（不明な場合はnull）
+   */
+  getCountryRegion(countryCode) {
+    return regionsByCountry.get(countryCode) || null;
+  }
+  
+  /**
+   * 地域の表示範囲を取得
+   * 日付変更線をまたぐ地域（オセアニア）は東端を180度より大きい経度で表す
+   * @param {string} regionCode - M49の地域コード
+   * @returns {Array<number>|null} - [西端, 南端, 東端, 北端]（不明な場合はnull）
+   */
+  getRegionBounds(regionCode) {
+    const region = m49Regions.regions.find(r => r.code === regionCode);
+    return region ? region.bounds : null;
+  }
+  
+  /**
+   * 訪問済み地域の境界ジオメトリを取得
+   * 州・都道府県を記録した国の分だけ、州・都道府県の境界データも読み込む
+   * @param {Array<Object>} places - 訪問地域データの配列
+   * @returns {Promise<Map>} - ユニークIDをキーとしたGeoJSONのジオメトリ
+   */
+  async getPlaceGeometries(places) {
+    const stateCountryCodes = places
+      .filter(place => place.adminLevel === 'State')
+      .map(place => place.countryCodeISO);
+    
+    const [countriesGeoJson, statesGeoJson] = await Promise.all([
+      this.getCountriesGeoJson(),
+      // 州・都道府県の境界データが読み込めなくても、国の境界だけで続行する
+      stateCountryCodes.length > 0
+        ? this.getStatesGeoJsonForCountries(stateCountryCodes).catch(error => {
+          logError(error, { action: 'getPlaceGeometries' });
+          return null;
+        })
+        : null
+    ]);
+    
+    return this.joinPlaceGeometries(places, countriesGeoJson, statesGeoJson);
+  }
+  
+  /**
+   * 訪問地域と境界データのフィーチャーを突き合わせる
+   * 国はISO_A2（コードが未設定の「-99」の場合は国名）、州・都道府県はiso_3166_2で照合する
+   * @param {Array<Object>} places - 訪問地域データの配列
+   * @param {Object} countriesGeoJson - 国境データのGeoJSON
+   * @param {Object|null} statesGeoJson - 州・都道府県の境界データのGeoJSON
+   * @returns {Map} - ユニークIDをキーとしたGeoJSONのジオメトリ（見つからない地域は含まない）
+   */
+  joinPlaceGeometries(places, countriesGeoJson, statesGeoJson = null) {
+    const countriesByCode = new Map();
+    const countriesByName = new Map();
+    ((countriesGeoJson && countriesGeoJson.features) || []).forEach(feature => {
+      const { ISO_A2, ADMIN } = feature.properties || {};
+      if (ISO_A2 && ISO_A2 !== '-99' && !countriesByCode.has(ISO_A2)) countriesByCode.set(ISO_A2, feature);
+      if (ADMIN) countriesByName.set(ADMIN, feature);
+    });
+    
+    const statesByCode = new Map();
+    ((statesGeoJson && statesGeoJson.features) || []).forEach(feature => {
+      const code = feature.properties && feature.properties.iso_3166_2;
+      if (code) statesByCode.set(code, feature);
+    });
+    
+    const geometries = new Map();
+    places.forEach(place => {
+      const feature = place.adminLevel === 'State'
+        ? statesByCode.get(place.regionCodeISO || place.uniqueId)
+        : countriesByCode.get(place.countryCodeISO || place.uniqueId) || countriesByName.get(place.placeName);
+      
+      if (feature && feature.geometry) {
+        geometries.set(place.uniqueId, feature.geometry);
+      }
+    });
+    
+    return geometries;
+  }
+  
+  /**
+   * 位置情報の点が含まれる国を判定し、国ごとの最初と最後の時刻をまとめる
+   * 点が密なトラックでも処理が重くならないよう、直前に判定した点から一定距離以内の点は
+   * 同じ国にあるものとみなす
+   * @param {Array<Object>} points - 点の配列（coordinates: [経度, 緯度]、time: ISO形式またはnull）
+   * @param {Object} countriesGeoJson - 国境データのGeoJSON
+   * @param {number} minDistanceKm - 判定を省略する距離（km）
+   * @returns {Array<Object>} - 国ごとの結果（properties、firstTime、lastTime、pointCount）。通過した順
+   */
+  findCountriesForPoints(points, countriesGeoJson, minDistanceKm = 1) {
+    const countries = ((countriesGeoJson && countriesGeoJson.features) || [])
+      .map(feature => ({ feature, bbox: getBoundingBox(feature.geometry) }))
+      .filter(country => country.bbox);
+    
+    const contains = (country, [lng, lat]) => (
+      lng >= country.bbox[0] && lat >= country.bbox[1] && lng <= country.bbox[2] && lat <= country.bbox[3] &&
+      isPointInGeometry([lng, lat], country.feature.geometry)
+    );
+    
+    const results = new Map();
+    const record = (country, point) => {
+      if (!results.has(country)) {
+        results.set(country, { properties: country.feature.properties, firstTime: null, lastTime: null, pointCount: 0 });
+      }
+      
+      const result = results.get(country);
+      result.pointCount++;
+      if (point.time) {
+        if (!result.firstTime || point.time < result.firstTime) result.firstTime = point.time;
+        if (!result.lastTime || point.time > result.lastTime) result.lastTime = point.time;
+      }
+    };
+    
+    let current = null;
+    let lastTested = null;
+    
+    points.forEach(point => {
+      if (!lastTested || distanceKm(lastTested.coordinates, point.coordinates) >= minDistanceKm) {
+        lastTested = point;
+        // 多くの点は直前と同じ国にあるため、先に直前の国を調べる
+        current = current && contains(current, point.coordinates)
+          ? current
+          : countries.find(country => country !== current && contains(country, point.coordinates)) || null;
+      }
+      
+      if (current) {
+        record(current, point);
+      }
+    });
+    
+    return Array.from(results.values());
+  }
+  
   /**
    * 訪問済みの国のスタイルを生成
-   * @param {Array} visitedCountryCodes - 訪問済み国のISOコード配列
-   * @param {string} visitedColor - 訪問済み国の色
+   * ステータスごとに異なる色で塗り分ける`match`式を返す
+   * @param {Array} visitedCountries - 訪問済み国の配列（{ code, status }、またはISOコード文字列）
+   * @param {string} defaultColor - 未訪問の国の色
+   * @returns {Object} - 塗りつぶし色のスタイル設定
+   */
+  generateVisitedCountriesStyle(visitedCountries, defaultColor = 'rgba(0, 0, 0, 0)') {
+    if (!Array.isArray(visitedCountries)) {
+      console.warn('訪問済み国コードが配列ではありません', visitedCountries);
+      return defaultColor;
+    }
+    
+    return this.buildStatusMatchExpression('ISO_A2', visitedCountries, defaultColor);
+  }
+  
+  /**
+   * 訪問済みの州・都道府県のスタイルを生成
+   * @param {Array} visitedRegions - 訪問済み地域の配列（{ code, status }、またはISO 3166-2コード文字列）
+   * @param {string} defaultColor - 未訪問の地域の色（イベント検出のためほぼ透明）
    * @returns {Object} - 塗りつぶし色のスタイル設定
    */
-  generateVisitedCountriesStyle(visitedCountryCodes, visitedColor = '#ADD8E6') {
-    if (!Array.isArray(visitedCountryCodes)) {
-      console.warn('訪問済み国コードが配列ではありません', visitedCountryCodes);
-      return [
-        'case',
-        ['in', ['get', 'ISO_A2'], ['literal', []]],
-        visitedColor,
-        'rgba(0, 0, 0, 0)'
-      ];
+  generateVisitedStatesStyle(visitedRegions, defaultColor = 'rgba(0, 0, 0, 0.01)') {
+    if (!Array.isArray(visitedRegions)) {
+      console.warn('訪問済み地域コードが配列ではありません', visitedRegions);
+      return defaultColor;
     }
     
+    return this.buildStatusMatchExpression('iso_3166_2', visitedRegions, defaultColor);
+  }
+  
+  /**
+   * 州・都道府県レイヤーの定義を生成（塗りつぶしと境界線。どちらも'states'ソースを使う）
+   * @param {Array|string} fillColor - 塗りつぶし色のスタイル設定
+   * @param {number} minzoom - レイヤーを表示するズームレベルの下限
+   * @returns {Array<Object>} - MapLibreのレイヤー定義（塗りつぶし、境界線の順）
+   */
+  buildStatesLayers(fillColor, minzoom) {
     return [
-      'case',
-      ['in', ['get', 'ISO_A2'], ['literal', visitedCountryCodes]],
-      visitedColor,
-      'rgba(0, 0, 0, 0)'
+      {
+        id: 'states-fill',
+        type: 'fill',
+        source: 'states',
+        minzoom,
+        paint: {
+          'fill-color': fillColor,
+          'fill-opacity': 1
+        }
+      },
+      {
+        id: 'states-outline',
+        type: 'line',
+        source: 'states',
+        minzoom,
+        paint: {
+          'line-color': 'rgba(44, 62, 80, 0.35)',
+          'line-width': 0.5
+        }
+      }
     ];
   }
+  
+  /**
+   * 訪問地ごとの値で国を塗り分けるスタイルを生成（訪問回数・滞在日数などの階級区分図）
+   * @param {Array} entries - 国ごとの値の配列（{ code, value }）
+   * @param {Array<Object>} classes - 階級（min・color。minの昇順）
+   * @param {string} defaultColor - 値のない国の色
+   * @returns {Array|string} - 塗りつぶし色のスタイル設定
+   */
+  generateCountriesChoroplethStyle(entries, classes, defaultColor = 'rgba(0, 0, 0, 0)') {
+    return this.buildChoroplethMatchExpression('ISO_A2', entries, classes, defaultColor);
+  }
+  
+  /**
+   * 訪問地ごとの値で州・都道府県を塗り分けるスタイルを生成
+   * @param {Array} entries - 地域ごとの値の配列（{ code, value }）
+   * @param {Array<Object>} classes - 階級（min・color。minの昇順）
+   * @param {string} defaultColor - 値のない地域の色（イベント検出のためほぼ透明）
+   * @returns {Array|string} - 塗りつぶし色のスタイル設定
+   */
+  generateStatesChoroplethStyle(entries, classes, defaultColor = 'rgba(0, 0, 0, 0.01)') {
+    return this.buildChoroplethMatchExpression('iso_3166_2', entries, classes, defaultColor);
+  }
+  
+  /**
+   * 地域コードとステータスから`match`式を組み立てる
+   * @param {string} property - 地域コードを持つフィーチャーのプロパティ名
+   * @param {Array} entries - { code, status } またはコード文字列の配列
+   * @param {string} defaultColor - 該当しない地域の色
+   * @returns {Array|string} - MapLibreのスタイル式（該当がなければ色そのもの）
+   */
+  buildStatusMatchExpression(property, entries, defaultColor) {
+    // 同じコードが複数あると`match`式が不正になるため、後勝ちで1件にまとめる
+    const colorsByCode = new Map();
+    entries.forEach(entry => {
+      const code = typeof entry === 'string' ? entry : entry && entry.code;
+      if (!code) return;
+      
+      const status = typeof entry === 'string' ? DEFAULT_PLACE_STATUS : entry.status;
+      colorsByCode.set(code, STATUS_COLORS[status] || STATUS_COLORS[DEFAULT_PLACE_STATUS]);
+    });
+    
+    return this.buildMatchExpression(property, colorsByCode, defaultColor);
+  }
+  
+  /**
+   * 地域コードと値から、値の階級の色で塗り分ける`match`式を組み立てる
+   * @param {string} property - 地域コードを持つフィーチャーのプロパティ名
+   * @param {Array} entries - { code, value } の配列
+   * @param {Array<Object>} classes - 階級（min・color。minの昇順）
+   * @param {string} defaultColor - 該当しない地域の色
+   * @returns {Array|string} - MapLibreのスタイル式（該当がなければ色そのもの）
+   */
+  buildChoroplethMatchExpression(property, entries, classes, defaultColor) {
+    if (!Array.isArray(entries) || !Array.isArray(classes) || classes.length === 0) {
+      console.warn('塗り分けの値または階級が配列ではありません', { entries, classes });
+      return defaultColor;
+    }
+    
+    const colorsByCode = new Map();
+    entries.forEach(entry => {
+      if (!entry || !entry.code || typeof entry.value !== 'number') return;
+      colorsByCode.set(entry.code, findChoroplethClass(classes, entry.value).color);
+    });
+    
+    return this.buildMatchExpression(property, colorsByCode, defaultColor);
+  }
+  
+  /**
+   * 地域コードごとの色から`match`式を組み立てる
+   * @param {string} property - 地域コードを持つフィーチャーのプロパティ名
+   * @param {Map<string, string>} colorsByCode - 地域コードごとの色
+   * @param {string} defaultColor - 該当しない地域の色
+   * @returns {Array|string} - MapLibreのスタイル式（該当がなければ色そのもの）
+   */
+  buildMatchExpression(property, colorsByCode, defaultColor) {
+    if (colorsByCode.size === 0) {
+      return defaultColor;
+    }
+    
+    const branches = [];
+    colorsByCode.forEach((color, code) => {
+      branches.push(code, color);
+    });
+    
+    return ['match', ['get', property], ...branches, defaultColor];
+  }
 }
 
 // シングルトンインスタンスをエクスポート
@@ -0,0 +1,57 @@
+import { logError } from '../utils/errorHandling';
+
+// localStorageのキー
+const STORAGE_KEY = 'my-world-atlas:preferences';
+
+/**
+ * 表示設定のサービスクラス
+ * 背景地図などの端末ごとの表示設定をlocalStorageに保存する
+ * （訪問記録とは異なり、バックアップや移行の対象にはしない）
+ */
+class PreferencesService {
+  /**
+   * 保存済みの設定をすべて取得
+   * @returns {Object} - 設定（保存されていない・読み込めない場合は空のオブジェクト）
+   */
+  getAll() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      logError(error, { action: 'getPreferences' });
+      return {};
+    }
+  }
+
+  /**
+   * 設定を取得
+   * @param {string} key - 設定の名前
+   * @param {*} defaultValue - 保存されていない場合の値
+   * @returns {*} - 設定の値
+   */
+  get(key, defaultValue) {
+    const preferences = this.getAll();
+    return key in preferences ? preferences[key] : defaultValue;
+  }
+
+  /**
+   * 設定を保存
+   * @param {string} key - 設定の名前
+   * @param {*} value - 設定の値
+   */
+  set(key, value) {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...this.getAll(), [key]: value }));
+    } catch (error) {
+      // プライベートモードなどで保存できなくても、現在の画面では設定を反映する
+      logError(error, { action: 'setPreference', key });
+    }
+  }
+}
+
+// シングルトンインスタンスをエクスポート
+const preferencesService = new PreferencesService();
+export default preferencesService;
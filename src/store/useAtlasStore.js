@@ -1,29 +1,191 @@
 import { create } from 'zustand';
-import { formatErrorMessage, logError, withErrorHandling } from '../utils/errorHandling';
+import { AppError, formatErrorMessage, logError, withErrorHandling } from '../utils/errorHandling';
+import { createMessage } from '../utils/i18n';
 import dbService from '../services/dbService';
 import fileService from '../services/fileService';
 import mapService from '../services/mapService';
+import backupService from '../services/backupService';
+import preferencesService from '../services/preferencesService';
+import { createThumbnail } from '../utils/imageUtils';
+import { analyzeImport, buildTrackImport, resolveImport } from '../utils/importUtils';
+import { calculateStatistics } from '../utils/statsUtils';
+import { buildShareUrl, buildSharedImport, encodeSharedAtlas } from '../utils/shareUtils';
+import { getPlaceName, localizePlaceNames } from '../utils/placeNameUtils';
+import { DEFAULT_BASE_MAP, isValidBaseMap } from '../constants/baseMaps';
+import { DEFAULT_CHOROPLETH_MODE, isValidChoroplethMode } from '../constants/choroplethModes';
+import { DEFAULT_LANGUAGE, isValidLanguage } from '../constants/languages';
+import { DEFAULT_PLACE_STATUS, getPlaceStatus, isValidPlaceStatus } from '../constants/placeStatus';
+
+// 1つの訪問地に添付できる写真の上限
+export const MAX_PHOTOS_PER_PLACE = 10;
+
+// 元に戻せる操作の上限
+export const MAX_HISTORY_SIZE = 50;
+
+/**
+ * 操作履歴に1件追加（上限を超えた古い履歴から破棄）
+ * @param {Array} stack - 操作履歴
+ * @param {Object} entry - 追加する操作
+ * @param {number} limit - 保持する履歴の上限
+ * @returns {Array} - 追加後の操作履歴
+ */
+export const pushHistory = (stack, entry, limit = MAX_HISTORY_SIZE) => [...stack, entry].slice(-limit);
+
+/**
+ * 訪問データを変更し、変更前後の地域の状態を「元に戻す」履歴に記録
+ * 新しい操作を記録したら「やり直す」履歴は破棄する
+ * @param {Function} set - ストアの更新関数
+ * @param {Object} label - 操作の説明（トーストに表示するメッセージ）
+ * @param {Array<string>} uniqueIds - 変更対象の地域のユニークID
+ * @param {Function} change - 変更処理
+ * @returns {Promise<*>} - 変更処理の戻り値
+ */
+const recordUndoable = async (set, label, uniqueIds, change) => {
+  const before = await dbService.getPlaceSnapshots(uniqueIds);
+  const result = await change();
+  const after = await dbService.getPlaceSnapshots(uniqueIds);
+  
+  set(state => ({
+    undoStack: pushHistory(state.undoStack, { label, before, after }),
+    redoStack: []
+  }));
+  
+  return result;
+};
+
+/**
+ * トーストに表示する「元に戻す」ボタンの定義
+ * @param {Function} get - ストアの取得関数
+ * @returns {Object} - ボタンのラベルとクリック時の処理
+ */
+const undoToastAction = (get) => ({ label: createMessage('common.undo'), onClick: () => get().undo() });
+
+/**
+ * トラックファイル（GPX・KML）から通過した国を判定し、インポートの解析結果の形式にする
+ * @param {File} file - GPXまたはKMLファイル
+ * @returns {Promise<Object>} - インポートする地域データ（data）と訪問履歴（visits）
+ */
+const parseTrackFile = async (file) => {
+  const [points, countriesGeoJson] = await Promise.all([
+    fileService.parseTrack(file),
+    mapService.getCountriesGeoJson()
+  ]);
+  
+  const matches = mapService.findCountriesForPoints(points, countriesGeoJson);
+  if (matches.length === 0) {
+    throw new AppError('errors.noTrackCountries');
+  }
+  
+  return buildTrackImport(matches);
+};
+
+/**
+ * 写真のEXIFの撮影位置から訪問した国を判定し、インポートのプレビュー用の形式に変換
+ * 国ごとに最も古い撮影日時を記録日時とし、位置情報のない写真は無効な行としてまとめて表示する
+ * @param {Array<File>} files - 写真ファイル
+ * @returns {Promise<Object>} - インポートする地域データ（data）と訪問履歴（visits）
+ */
+const parsePhotoFiles = async (files) => {
+  const [{ points, skippedFiles }, countriesGeoJson] = await Promise.all([
+    fileService.parsePhotos(files),
+    mapService.getCountriesGeoJson()
+  ]);
+  
+  // 撮影順に並べて判定する（撮影日時のない写真は最後）
+  const sortedPoints = [...points].sort((a, b) => (
+    (a.time || '\uffff').localeCompare(b.time || '\uffff')
+  ));
+  
+  const matches = mapService.findCountriesForPoints(sortedPoints, countriesGeoJson);
+  if (matches.length === 0) {
+    throw new AppError('errors.noPhotoCountries');
+  }
+  
+  const parsed = buildTrackImport(matches);
+  if (skippedFiles.length > 0) {
+    // 行と理由は表示する言語で翻訳できるようメッセージにする
+    parsed.invalidRows.push({
+      line: createMessage('importPreview.photoRow'),
+      reason: createMessage(
+        skippedFiles.length > 3 ? 'importPreview.photosWithoutLocationMore' : 'importPreview.photosWithoutLocation',
+        { count: skippedFiles.length, files: skippedFiles.slice(0, 3).join(', ') }
+      )
+    });
+  }
+  
+  return parsed;
+};
+
+/**
+ * 保存済みの表示設定を取得
+ * @param {string} key - 設定の名前
+ * @param {string} defaultValue - 保存されていない・不正な値の場合の値
+ * @param {Function} isValid - 有効な値かどうかを判定する関数
+ * @returns {string} - 設定の値
+ */
+const getSavedPreference = (key, defaultValue, isValid) => {
+  const saved = preferencesService.get(key, defaultValue);
+  return isValid(saved) ? saved : defaultValue;
+};
+
+/**
+ * 旅行IDを生成
+ * @returns {string} - 旅行のユニークID
+ */
+const generateTripId = () => `trip-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 旅行に含まれる訪問地だけに絞り込む
+ * @param {Array} visitedPlaces - 訪問済み地域の配列
+ * @param {Array} trips - 旅行の配列
+ * @param {string|null} tripId - 絞り込む旅行のID（未指定ならすべての訪問地を返す）
+ * @returns {Array} - 絞り込み後の訪問済み地域の配列
+ */
+export const filterPlacesByTrip = (visitedPlaces, trips, tripId) => {
+  if (!tripId) return visitedPlaces;
+  
+  const trip = trips.find(t => t.tripId === tripId);
+  if (!trip) return visitedPlaces;
+  
+  const tripPlaceIds = new Set(trip.places);
+  return visitedPlaces.filter(place => tripPlaceIds.has(place.uniqueId));
+};
 
 // Zustandストア
 const useAtlasStore = create((set, get) => ({
   // 状態
   visitedPlaces: [],
+  trips: [],
+  highlightedTripId: null, // 地図上で強調表示する旅行のID（nullの場合はすべての訪問地を表示）
+  timelineDate: null, // タイムラインで表示中の時刻（ミリ秒。nullの場合は現在までのすべての訪問地を表示）
   selectedPlace: null,
   isLoading: false,
   error: null,
-  toast: { show: false, message: '', type: 'info' },
+  toast: { show: false, message: '', type: 'info', action: null },
+  undoStack: [], // 元に戻せる操作（変更前後の地域の状態）
+  redoStack: [], // やり直せる操作
+  hasDetailedBorders: false, // 詳細な国境データを取得済みか（未取得の場合は同梱の簡易データで表示）
+  baseMap: getSavedPreference('baseMap', DEFAULT_BASE_MAP, isValidBaseMap), // 背景地図の表示方法（auto・raster・vector）
+  choroplethMode: getSavedPreference('choroplethMode', DEFAULT_CHOROPLETH_MODE, isValidChoroplethMode), // 地図の塗り分け方法
+  language: getSavedPreference('language', DEFAULT_LANGUAGE, isValidLanguage), // 表示言語（画面の文言と国名）
 
   // アクション：初期化
   initializeStore: withErrorHandling(async () => {
     set({ isLoading: true });
     
     try {
-      const visitedPlaces = await dbService.getAllVisitedPlaces();
+      const [visitedPlaces, trips] = await Promise.all([
+        dbService.getAllVisitedPlaces(),
+        dbService.getAllTrips()
+      ]);
       console.log('データベースから訪問済みの場所を取得しました:', visitedPlaces);
-      set({ visitedPlaces, isLoading: false });
+      set({ visitedPlaces, trips, isLoading: false });
+      
+      // 以前取得した詳細な国境データがブラウザに保存されていれば、再読み込み後もそれで表示する
+      get().restoreDetailedBorders();
     } catch (error) {
       logError(error, { action: 'initializeStore' });
-      const errorMessage = formatErrorMessage(error, 'データの読み込みに失敗しました');
+      const errorMessage = formatErrorMessage(error, 'errors.loadData');
       
       set({ 
         error: errorMessage, 
@@ -38,18 +200,18 @@ const useAtlasStore = create((set, get) => ({
   }, (error) => {
     set({ 
       isLoading: false,
-      error: formatErrorMessage(error, 'データ初期化中にエラーが発生しました')
+      error: formatErrorMessage(error, 'errors.initialize')
     });
   }),
 
   // アクション：地域の訪問をマーク
   markPlaceAsVisited: withErrorHandling(async (placeData) => {
-    const { uniqueId, placeName, adminLevel, countryCodeISO, regionCodeISO } = placeData;
+    const { uniqueId, placeName, adminLevel, countryCodeISO, regionCodeISO, status } = placeData;
     
     console.log('訪問済みにマークします:', placeData);
     
     if (!uniqueId || !placeName || !adminLevel) {
-      const errorMsg = '必須情報が不足しています';
+      const errorMsg = createMessage('errors.missingPlaceInfo');
       console.error(errorMsg, placeData);
       set({ 
         error: errorMsg,
@@ -62,30 +224,58 @@ const useAtlasStore = create((set, get) => ({
     
     try {
       // 新規データ作成
+      const visitDate = new Date().toISOString();
+      const existingPlace = get().visitedPlaces.find(place => place.uniqueId === uniqueId);
+      const newStatus = isValidPlaceStatus(status)
+        ? status
+        : (existingPlace && existingPlace.status) || DEFAULT_PLACE_STATUS;
       const newPlace = {
         uniqueId,
         placeName,
         adminLevel,
-        dateMarked: new Date().toISOString(),
+        dateMarked: visitDate,
         countryCodeISO: countryCodeISO || uniqueId,
-        regionCodeISO: regionCodeISO || uniqueId
+        regionCodeISO: regionCodeISO || uniqueId,
+        status: newStatus
       };
+      const name = getPlaceName(newPlace, get().language);
       
       console.log('保存するデータ:', newPlace);
       
-      // データ保存
-      await dbService.saveVisitedPlace(newPlace);
+      let savedPlace;
+      let message;
+      
+      await recordUndoable(set, createMessage('undo.mark', { name }), [uniqueId], async () => {
+        if (newStatus === 'wishlist') {
+          // 「行きたい」は訪問ではないため、訪問履歴には追加しない
+          savedPlace = existingPlace
+            ? { ...existingPlace, status: newStatus }
+            : { ...newPlace, visitCount: 0, firstVisitDate: null, lastVisitDate: null };
+          await dbService.saveVisitedPlace(savedPlace);
+          message = createMessage('toast.placeStatusSet', { name, status: createMessage(`placeStatus.${newStatus}`) });
+        } else {
+          // 訪問を履歴に追加（既に記録済みの地域は訪問回数が増える）
+          savedPlace = await dbService.addVisit(newPlace, visitDate, { status: newStatus });
+          message = savedPlace.visitCount > 1
+            ? createMessage('toast.visitAdded', { name, count: savedPlace.visitCount })
+            : createMessage('toast.placeMarked', { name });
+        }
+      });
       
       // 状態更新
-      const visitedPlaces = [...get().visitedPlaces, newPlace];
+      const visitedPlaces = [
+        ...get().visitedPlaces.filter(place => place.uniqueId !== uniqueId),
+        savedPlace
+      ];
       set({ 
         visitedPlaces, 
         isLoading: false,
-        selectedPlace: newPlace,
+        selectedPlace: savedPlace,
         toast: {
           show: true,
-          message: `${placeName}を訪問済みに登録しました`,
-          type: 'success'
+          message,
+          type: 'success',
+          action: undoToastAction(get)
         }
       });
       
@@ -100,7 +290,7 @@ const useAtlasStore = create((set, get) => ({
       
     } catch (error) {
       logError(error, { action: 'markPlaceAsVisited', placeData });
-      const errorMessage = formatErrorMessage(error, '訪問地域の保存に失敗しました');
+      const errorMessage = formatErrorMessage(error, 'errors.savePlace');
       
       set({ 
         error: errorMessage, 
@@ -115,10 +305,10 @@ const useAtlasStore = create((set, get) => ({
   }, (error) => {
     set({ 
       isLoading: false,
-      error: formatErrorMessage(error, '訪問記録中にエラーが発生しました'),
+      error: formatErrorMessage(error, 'errors.markPlace'),
       toast: {
         show: true,
-        message: formatErrorMessage(error, '訪問記録中にエラーが発生しました'),
+        message: formatErrorMessage(error, 'errors.markPlace'),
         type: 'error'
       }
     });
@@ -129,8 +319,11 @@ const useAtlasStore = create((set, get) => ({
     set({ isLoading: true });
     
     try {
-      // データ削除
-      await dbService.deleteVisitedPlace(uniqueId);
+      // データ削除（訪問履歴と写真も含めて元に戻せるよう記録）
+      const place = get().visitedPlaces.find(p => p.uniqueId === uniqueId);
+      await recordUndoable(set, createMessage('undo.delete', { name: place ? getPlaceName(place, get().language) : uniqueId }), [uniqueId], () => (
+        dbService.deleteVisitedPlace(uniqueId)
+      ));
       
       // 状態更新
       const visitedPlaces = get().visitedPlaces.filter(place => place.uniqueId !== uniqueId);
@@ -139,8 +332,9 @@ const useAtlasStore = create((set, get) => ({
         isLoading: false,
         toast: {
           show: true,
-          message: '訪問記録を削除しました',
-          type: 'info'
+          message: createMessage('toast.placeDeleted'),
+          type: 'info',
+          action: undoToastAction(get)
         }
       });
       
@@ -153,7 +347,7 @@ const useAtlasStore = create((set, get) => ({
       
     } catch (error) {
       logError(error, { action: 'removePlaceVisit', uniqueId });
-      const errorMessage = formatErrorMessage(error, '訪問記録の削除に失敗しました');
+      const errorMessage = formatErrorMessage(error, 'errors.deletePlace');
       
       set({ 
         error: errorMessage, 
@@ -168,24 +362,350 @@ const useAtlasStore = create((set, get) => ({
   }, (error) => {
     set({ 
       isLoading: false,
-      error: formatErrorMessage(error, '削除中にエラーが発生しました'),
+      error: formatErrorMessage(error, 'errors.deletePlaceUnexpected'),
       toast: {
         show: true,
-        message: formatErrorMessage(error, '削除中にエラーが発生しました'),
+        message: formatErrorMessage(error, 'errors.deletePlaceUnexpected'),
         type: 'error'
       }
     });
   }),
   
+  // アクション：訪問履歴の取得
+  getVisitHistory: withErrorHandling(async (uniqueId) => {
+    return await dbService.getVisitsByPlace(uniqueId);
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.loadVisits'), 'error');
+  }),
+  
+  // アクション：国名・国コードで国を検索
+  searchCountries: withErrorHandling(async (query) => {
+    return await mapService.searchCountriesByName(query);
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.searchCountries'), 'error');
+  }),
+  
+  // アクション：すべての訪問履歴を取得（滞在日数での塗り分けに使用）
+  getAllVisits: withErrorHandling(async () => {
+    return await dbService.getAllVisits();
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.loadVisits'), 'error');
+  }),
+  
+  // アクション：統計の計算（州・都道府県の全体数は同梱の集計表から求める）
+  loadStatistics: withErrorHandling(async () => {
+    const { visitedPlaces, language } = get();
+    
+    const [visits, countriesGeoJson] = await Promise.all([
+      dbService.getAllVisits(),
+      mapService.getCountriesGeoJson()
+    ]);
+    
+    return calculateStatistics({
+      visitedPlaces: localizePlaceNames(visitedPlaces, language),
+      visits,
+      countriesGeoJson,
+      stateCounts: mapService.getStateCounts(),
+      worldRegions: mapService.getWorldRegions(),
+      getCountryRegion: code => mapService.getCountryRegion(code),
+      language
+    });
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.statistics'), 'error');
+  }),
+  
+  // アクション：訪問地のステータスを変更
+  updatePlaceStatus: withErrorHandling(async (uniqueId, status) => {
+    const place = get().visitedPlaces.find(p => p.uniqueId === uniqueId);
+    
+    if (!place) {
+      throw new AppError('errors.placeNotFound');
+    }
+    
+    if (!isValidPlaceStatus(status)) {
+      throw new AppError('errors.unknownStatus', { status });
+    }
+    
+    const updatedPlace = { ...place, status };
+    await recordUndoable(set, createMessage('undo.status', { name: getPlaceName(place, get().language) }), [uniqueId], () => (
+      dbService.saveVisitedPlace(updatedPlace)
+    ));
+    
+    set({
+      visitedPlaces: get().visitedPlaces.map(p => (p.uniqueId === uniqueId ? updatedPlace : p))
+    });
+    get().showToast(
+      createMessage('toast.placeStatusChanged', {
+        name: getPlaceName(place, get().language),
+        status: createMessage(`placeStatus.${status}`)
+      }),
+      'success',
+      undoToastAction(get)
+    );
+    
+    return updatedPlace;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.updateStatus'), 'error');
+  }),
+  
+  // アクション：訪問地のメモを更新
+  updatePlaceNotes: withErrorHandling(async (uniqueId, notes) => {
+    const place = get().visitedPlaces.find(p => p.uniqueId === uniqueId);
+    
+    if (!place) {
+      throw new AppError('errors.placeNotFound');
+    }
+    
+    const updatedPlace = { ...place, notes: notes.trim() };
+    await recordUndoable(set, createMessage('undo.notes', { name: getPlaceName(place, get().language) }), [uniqueId], () => (
+      dbService.saveVisitedPlace(updatedPlace)
+    ));
+    
+    set({
+      visitedPlaces: get().visitedPlaces.map(p => (p.uniqueId === uniqueId ? updatedPlace : p))
+    });
+    get().showToast(createMessage('toast.notesSaved'), 'success', undoToastAction(get));
+    
+    return updatedPlace;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.saveNotes'), 'error');
+  }),
+  
+  // アクション：訪問地の添付ファイル（写真）を取得
+  getPlaceAttachments: withErrorHandling(async (uniqueId) => {
+    return await dbService.getAttachmentsByPlace(uniqueId);
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.loadPhotos'), 'error');
+  }),
+  
+  // アクション：訪問地に写真を追加（サムネイルはブラウザ内で生成）
+  addPlacePhotos: withErrorHandling(async (uniqueId, files) => {
+    const imageFiles = Array.from(files || []).filter(file => file.type && file.type.startsWith('image/'));
+    
+    if (imageFiles.length === 0) {
+      get().showToast(createMessage('toast.selectImage'), 'warning');
+      return [];
+    }
+    
+    const existing = await dbService.getAttachmentsByPlace(uniqueId);
+    const available = MAX_PHOTOS_PER_PLACE - existing.length;
+    
+    if (available <= 0) {
+      get().showToast(createMessage('toast.photoLimit', { max: MAX_PHOTOS_PER_PLACE }), 'warning');
+      return [];
+    }
+    
+    const added = [];
+    for (const file of imageFiles.slice(0, available)) {
+      const attachment = {
+        uniqueId,
+        fileName: file.name,
+        type: file.type,
+        blob: file,
+        thumbnail: await createThumbnail(file),
+        createdAt: new Date().toISOString()
+      };
+      const attachmentId = await dbService.addAttachment(attachment);
+      added.push({ ...attachment, attachmentId });
+    }
+    
+    get().showToast(
+      imageFiles.length > available
+        ? createMessage('toast.photosAddedOverLimit', { count: added.length, skipped: imageFiles.length - available })
+        : createMessage('toast.photosAdded', { count: added.length }),
+      imageFiles.length > available ? 'warning' : 'success'
+    );
+    
+    return added;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.addPhotos'), 'error');
+  }),
+  
+  // アクション：訪問地の写真を削除
+  removePlacePhoto: withErrorHandling(async (attachmentId) => {
+    await dbService.deleteAttachment(attachmentId);
+    get().showToast(createMessage('toast.photoDeleted'), 'info');
+    return true;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.deletePhoto'), 'error');
+  }),
+  
+  // アクション：旅行の作成
+  createTrip: withErrorHandling(async (tripData) => {
+    const name = tripData.name ? tripData.name.trim() : '';
+    
+    if (!name) {
+      get().showToast(createMessage('toast.tripNameRequired'), 'warning');
+      return null;
+    }
+    
+    const newTrip = {
+      tripId: generateTripId(),
+      name,
+      startDate: tripData.startDate || '',
+      endDate: tripData.endDate || '',
+      notes: tripData.notes || '',
+      places: tripData.places || []
+    };
+    
+    await dbService.saveTrip(newTrip);
+    set({ trips: [...get().trips, newTrip] });
+    get().showToast(createMessage('toast.tripCreated', { name }), 'success');
+    
+    return newTrip;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.createTrip'), 'error');
+  }),
+  
+  // アクション：旅行の編集
+  updateTrip: withErrorHandling(async (tripId, changes) => {
+    const trip = get().trips.find(t => t.tripId === tripId);
+    
+    if (!trip) {
+      throw new AppError('errors.tripNotFound');
+    }
+    
+    const updatedTrip = { ...trip, ...changes, tripId };
+    
+    await dbService.saveTrip(updatedTrip);
+    set({ trips: get().trips.map(t => (t.tripId === tripId ? updatedTrip : t)) });
+    
+    return updatedTrip;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.updateTrip'), 'error');
+  }),
+  
+  // アクション：旅行の削除
+  deleteTrip: withErrorHandling(async (tripId) => {
+    await dbService.deleteTrip(tripId);
+    
+    set({
+      trips: get().trips.filter(t => t.tripId !== tripId),
+      highlightedTripId: get().highlightedTripId === tripId ? null : get().highlightedTripId
+    });
+    get().showToast(createMessage('toast.tripDeleted'), 'info');
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.deleteTrip'), 'error');
+  }),
+  
+  // アクション：旅行に訪問地を追加（旅行内の順序の末尾に追加）
+  addPlaceToTrip: async (tripId, uniqueId) => {
+    const trip = get().trips.find(t => t.tripId === tripId);
+    if (!trip || trip.places.includes(uniqueId)) return trip || null;
+    
+    return get().updateTrip(tripId, { places: [...trip.places, uniqueId] });
+  },
+  
+  // アクション：旅行から訪問地を除外
+  removePlaceFromTrip: async (tripId, uniqueId) => {
+    const trip = get().trips.find(t => t.tripId === tripId);
+    if (!trip) return null;
+    
+    return get().updateTrip(tripId, { places: trip.places.filter(id => id !== uniqueId) });
+  },
+  
+  // アクション：地図上で強調表示する旅行の設定
+  setHighlightedTripId: (tripId) => set({ highlightedTripId: tripId || null }),
+  
+  // アクション：タイムラインで表示する時刻の設定（nullで現在の表示に戻す）
+  setTimelineDate: (time) => set({ timelineDate: typeof time === 'number' ? time : null }),
+  
+  // アクション：背景地図の表示方法を変更（端末に保存し、次回以降も使う）
+  setBaseMap: (baseMap) => {
+    if (!isValidBaseMap(baseMap)) return;
+    
+    preferencesService.set('baseMap', baseMap);
+    set({ baseMap });
+  },
+  
+  // アクション：地図の塗り分け方法を変更（端末に保存し、次回以降も使う）
+  setChoroplethMode: (choroplethMode) => {
+    if (!isValidChoroplethMode(choroplethMode)) return;
+    
+    preferencesService.set('choroplethMode', choroplethMode);
+    set({ choroplethMode });
+  },
+  
+  // アクション：表示言語を変更（端末に保存し、次回以降も使う）
+  setLanguage: (language) => {
+    if (!isValidLanguage(language)) return;
+    
+    preferencesService.set('language', language);
+    set({ language });
+  },
+  
   // アクション：選択地域の設定
   setSelectedPlace: (place) => set({ selectedPlace: place }),
   
   // アクション：エラーのクリア
   clearError: () => set({ error: null }),
   
-  // アクション：トーストの表示
-  showToast: (message, type = 'info') => {
-    set({ toast: { show: true, message, type } });
+  // アクション：元に戻す（直前の変更前の状態に地域を戻す）
+  undo: withErrorHandling(async () => {
+    const { undoStack } = get();
+    if (undoStack.length === 0) {
+      get().showToast(createMessage('toast.nothingToUndo'), 'info');
+      return false;
+    }
+    
+    // 連続で呼ばれても同じ操作を二重に戻さないよう、先に履歴から取り出す
+    const entry = undoStack[undoStack.length - 1];
+    set(state => ({ undoStack: state.undoStack.slice(0, -1) }));
+    
+    try {
+      await dbService.restorePlaceSnapshots(entry.before);
+    } catch (error) {
+      set(state => ({ undoStack: [...state.undoStack, entry] }));
+      throw error;
+    }
+    
+    const visitedPlaces = await dbService.getAllVisitedPlaces();
+    set(state => ({
+      visitedPlaces,
+      selectedPlace: null,
+      redoStack: pushHistory(state.redoStack, entry)
+    }));
+    get().showToast(createMessage('toast.undone', { label: entry.label }), 'info');
+    
+    return true;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.undo'), 'error');
+  }),
+  
+  // アクション：やり直す（元に戻した変更を再度適用）
+  redo: withErrorHandling(async () => {
+    const { redoStack } = get();
+    if (redoStack.length === 0) {
+      get().showToast(createMessage('toast.nothingToRedo'), 'info');
+      return false;
+    }
+    
+    const entry = redoStack[redoStack.length - 1];
+    set(state => ({ redoStack: state.redoStack.slice(0, -1) }));
+    
+    try {
+      await dbService.restorePlaceSnapshots(entry.after);
+    } catch (error) {
+      set(state => ({ redoStack: [...state.redoStack, entry] }));
+      throw error;
+    }
+    
+    const visitedPlaces = await dbService.getAllVisitedPlaces();
+    set(state => ({
+      visitedPlaces,
+      selectedPlace: null,
+      undoStack: pushHistory(state.undoStack, entry)
+    }));
+    get().showToast(createMessage('toast.redone', { label: entry.label }), 'info', undoToastAction(get));
+    
+    return true;
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.redo'), 'error');
+  }),
+  
+  // アクション：トーストの表示（messageはcreateMessageで作成したメッセージで、表示時に翻訳する。actionを指定するとボタンを表示）
+  showToast: (message, type = 'info', action = null) => {
+    set({ toast: { show: true, message, type, action } });
     
     // 3秒後に自動で閉じる
     setTimeout(() => {
@@ -195,44 +715,204 @@ const useAtlasStore = create((set, get) => ({
     }, 3000);
   },
   
-  // アクション：CSVエクスポート
-  exportToCSV: withErrorHandling(() => {
+  // アクション：CSVエクスポート（1行1訪問の形式で出力）
+  exportToCSV: withErrorHandling(async () => {
     const visitedPlaces = get().visitedPlaces;
     
     if (visitedPlaces.length === 0) {
-      get().showToast('エクスポートするデータがありません', 'warning');
+      get().showToast(createMessage('toast.noExportData'), 'warning');
       return;
     }
     
     try {
-      fileService.exportToCSV(visitedPlaces);
-      get().showToast('CSVファイルをエクスポートしました', 'success');
+      const visits = await dbService.getAllVisits();
+      fileService.exportToCSV(fileService.expandVisitRows(localizePlaceNames(visitedPlaces, get().language), visits));
+      get().showToast(createMessage('toast.csvExported'), 'success');
     } catch (error) {
       logError(error, { action: 'exportToCSV' });
-      const errorMessage = formatErrorMessage(error, 'エクスポートに失敗しました');
+      const errorMessage = formatErrorMessage(error, 'errors.export');
       
       get().showToast(errorMessage, 'error');
       throw error; // エラーを再スロー
     }
   }, (error) => {
-    get().showToast(formatErrorMessage(error, 'エクスポート中にエラーが発生しました'), 'error');
+    get().showToast(formatErrorMessage(error, 'errors.exportUnexpected'), 'error');
+  }),
+
+  // アクション：GeoJSONエクスポート（境界ジオメトリ付き。QGISやgeojson.ioで開ける形式）
+  exportToGeoJSON: withErrorHandling(async () => {
+    const visitedPlaces = get().visitedPlaces;
+
+    if (visitedPlaces.length === 0) {
+      get().showToast(createMessage('toast.noExportData'), 'warning');
+      return;
+    }
+
+    set({ isLoading: true });
+
+    try {
+      const [visits, geometries] = await Promise.all([
+        dbService.getAllVisits(),
+        mapService.getPlaceGeometries(visitedPlaces)
+      ]);
+      fileService.exportToGeoJSON(localizePlaceNames(visitedPlaces, get().language), visits, geometries);
+      set({ isLoading: false });
+
+      const missing = visitedPlaces.length - geometries.size;
+      if (missing > 0) {
+        get().showToast(
+          createMessage('toast.geoJsonExportedWithoutGeometry', { count: missing }),
+          'warning'
+        );
+      } else {
+        get().showToast(createMessage('toast.geoJsonExported'), 'success');
+      }
+    } catch (error) {
+      logError(error, { action: 'exportToGeoJSON' });
+      set({ isLoading: false });
+      get().showToast(formatErrorMessage(error, 'errors.export'), 'error');
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.exportUnexpected'), 'error');
   }),
   
-  // アクション：CSVインポート
-  importFromCSV: withErrorHandling(async (file) => {
+  // アクション：共有リンクの作成（訪問した地域のコードとステータス、指定があれば最初の訪問日だけを含める）
+  createShareLink: withErrorHandling(async ({ includeDates = false } = {}) => {
+    const { visitedPlaces } = get();
+    
+    if (visitedPlaces.length === 0) {
+      get().showToast(createMessage('toast.noShareData'), 'warning');
+      return null;
+    }
+    
+    const fragment = await encodeSharedAtlas(visitedPlaces, { includeDates });
+    return buildShareUrl(fragment, window.location);
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.share'), 'error');
+  }),
+
+  // アクション：インポートのプレビュー（ファイルを解析し、既存の記録との競合を判定。まだ書き込まない）
+  // CSVのほか、GPX・KMLのトラックファイルは通過した国を訪問候補として扱う
+  previewImport: withErrorHandling(async (file) => {
     if (!file) {
-      get().showToast('ファイルを選択してください', 'warning');
-      return;
+      get().showToast(createMessage('toast.selectFile'), 'warning');
+      return null;
     }
     
     set({ isLoading: true });
     
     try {
-      // CSVファイルのパース
-      const { data } = await fileService.parseCSV(file);
+      const [parsed, existingPlaces] = await Promise.all([
+        fileService.getTrackFormat(file)
+          ? parseTrackFile(file)
+          : fileService.parseCSV(file),
+        dbService.getAllVisitedPlaces()
+      ]);
       
-      // データベースへの一括保存
-      const { success, skipped } = await dbService.bulkSaveVisitedPlaces(data);
+      set({ isLoading: false });
+      return analyzeImport(parsed, existingPlaces);
+    } catch (error) {
+      logError(error, { action: 'previewImport' });
+      const errorMessage = formatErrorMessage(error, 'errors.readFile');
+      
+      set({ 
+        error: errorMessage, 
+        isLoading: false,
+        toast: {
+          show: true,
+          message: errorMessage,
+          type: 'error'
+        }
+      });
+      return null;
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.readFileUnexpected'), 'error');
+  }),
+  
+  // アクション：写真のEXIFから訪問した国を判定してインポートのプレビューを作成（写真は外部に送信しない）
+  previewPhotoImport: withErrorHandling(async (files) => {
+    if (!files || files.length === 0) {
+      get().showToast(createMessage('toast.selectPhotos'), 'warning');
+      return null;
+    }
+    
+    set({ isLoading: true });
+    
+    try {
+      const [parsed, existingPlaces] = await Promise.all([
+        parsePhotoFiles(files),
+        dbService.getAllVisitedPlaces()
+      ]);
+      
+      set({ isLoading: false });
+      return analyzeImport(parsed, existingPlaces);
+    } catch (error) {
+      logError(error, { action: 'previewPhotoImport' });
+      set({ isLoading: false });
+      get().showToast(formatErrorMessage(error, 'errors.readPhotos'), 'error');
+      return null;
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.readPhotosUnexpected'), 'error');
+  }),
+  
+  // アクション：共有された地図を取り込むプレビューを作成（ファイルのインポートと同じく既存の記録との競合を判定）
+  previewSharedImport: withErrorHandling(async (sharedPlaces) => {
+    set({ isLoading: true });
+    
+    try {
+      const [countriesGeoJson, existingPlaces] = await Promise.all([
+        mapService.getCountriesGeoJson(),
+        dbService.getAllVisitedPlaces()
+      ]);
+      
+      // 国名は国境データの名前で保存する
+      const countryNames = new Map(countriesGeoJson.features.map(feature => [
+        feature.properties.ISO_A2,
+        feature.properties.ADMIN
+      ]));
+      
+      set({ isLoading: false });
+      return analyzeImport(buildSharedImport(sharedPlaces, countryNames), existingPlaces);
+    } catch (error) {
+      logError(error, { action: 'previewSharedImport' });
+      set({ isLoading: false });
+      get().showToast(formatErrorMessage(error, 'errors.sharedImport'), 'error');
+      return null;
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.sharedImport'), 'error');
+  }),
+  
+  // アクション：プレビューで選んだ解決方法に従ってインポート
+  applyImport: withErrorHandling(async (analysis, defaultPolicy, rowPolicies = {}) => {
+    const { places, visits, replaceVisitsFor, added, updated, skipped } = resolveImport(
+      analysis,
+      defaultPolicy,
+      rowPolicies
+    );
+    
+    if (places.length === 0) {
+      get().showToast(createMessage('toast.nothingToImport'), 'warning');
+      return false;
+    }
+    
+    set({ isLoading: true });
+    
+    try {
+      // データベースへの一括保存（訪問履歴を含む）
+      // インポート全体を1回の操作として元に戻せるよう記録
+      await recordUndoable(
+        set,
+        createMessage('undo.import'),
+        places.map(place => place.uniqueId),
+        () => dbService.bulkSaveVisitedPlaces(places, visits, { replaceVisitsFor })
+      );
       
       // 更新された全データを取得
       const visitedPlaces = await dbService.getAllVisitedPlaces();
@@ -243,14 +923,16 @@ const useAtlasStore = create((set, get) => ({
         isLoading: false,
         toast: {
           show: true,
-          message: `インポート完了: ${success}件成功、${skipped}件スキップ`,
-          type: 'success'
+          message: createMessage('toast.importCompleted', { added, updated, skipped }),
+          type: 'success',
+          action: undoToastAction(get)
         }
       });
       
+      return true;
     } catch (error) {
-      logError(error, { action: 'importFromCSV' });
-      const errorMessage = formatErrorMessage(error, 'インポートに失敗しました');
+      logError(error, { action: 'applyImport' });
+      const errorMessage = formatErrorMessage(error, 'errors.import');
       
       set({ 
         error: errorMessage, 
@@ -261,19 +943,94 @@ const useAtlasStore = create((set, get) => ({
           type: 'error'
         }
       });
+      return false;
     }
   }, (error) => {
     set({ 
       isLoading: false,
-      error: formatErrorMessage(error, 'インポート中にエラーが発生しました'),
+      error: formatErrorMessage(error, 'errors.importUnexpected'),
       toast: {
         show: true,
-        message: formatErrorMessage(error, 'インポート中にエラーが発生しました'),
+        message: formatErrorMessage(error, 'errors.importUnexpected'),
         type: 'error'
       }
     });
   }),
   
+  // アクション：全データのJSONバックアップをダウンロード
+  exportBackup: withErrorHandling(async () => {
+    set({ isLoading: true });
+
+    try {
+      await backupService.exportBackup();
+      set({ isLoading: false });
+      get().showToast(createMessage('toast.backupDownloaded'), 'success');
+    } catch (error) {
+      logError(error, { action: 'exportBackup' });
+      set({ isLoading: false });
+      get().showToast(formatErrorMessage(error, 'errors.backup'), 'error');
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.backupUnexpected'), 'error');
+  }),
+
+  // アクション：バックアップファイルの読み込みと検証（まだ書き込まない）
+  readBackup: withErrorHandling(async (file) => {
+    try {
+      return await backupService.readBackupFile(file);
+    } catch (error) {
+      logError(error, { action: 'readBackup' });
+      get().showToast(formatErrorMessage(error, 'errors.readBackup'), 'error');
+      return null;
+    }
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.readBackupUnexpected'), 'error');
+  }),
+
+  // アクション：バックアップから復元（'replace'はすべて置き換え、'merge'は既存の記録に統合）
+  restoreBackup: withErrorHandling(async (backup, mode = 'replace') => {
+    set({ isLoading: true });
+
+    try {
+      const counts = await backupService.restoreBackup(backup, mode);
+      const [visitedPlaces, trips] = await Promise.all([
+        dbService.getAllVisitedPlaces(),
+        dbService.getAllTrips()
+      ]);
+
+      // 復元前の操作は元に戻せないため履歴を破棄
+      set({
+        visitedPlaces,
+        trips,
+        selectedPlace: null,
+        highlightedTripId: null,
+        timelineDate: null,
+        undoStack: [],
+        redoStack: [],
+        isLoading: false
+      });
+
+      get().showToast(
+        createMessage('toast.restored', {
+          places: counts.visitedPlaces || 0,
+          visits: counts.visits || 0,
+          trips: counts.trips || 0
+        }),
+        'success'
+      );
+      return true;
+    } catch (error) {
+      logError(error, { action: 'restoreBackup', mode });
+      set({ isLoading: false });
+      get().showToast(formatErrorMessage(error, 'errors.restore'), 'error');
+      return false;
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.restoreUnexpected'), 'error');
+  }),
+
   // アクション：現在地を取得
   getCurrentLocation: withErrorHandling(async () => {
     try {
@@ -295,24 +1052,77 @@ const useAtlasStore = create((set, get) => ({
       return await mapService.getCountriesGeoJson();
     } catch (error) {
       logError(error, { action: 'getCountriesData' });
-      const errorMessage = formatErrorMessage(error, '地図データの取得に失敗しました');
+      const errorMessage = formatErrorMessage(error, 'errors.loadMapData');
       
       get().showToast(errorMessage, 'error');
       throw error;
     }
   }, (error) => {
-    get().showToast(formatErrorMessage(error, '地図データの取得に失敗しました'), 'error');
+    get().showToast(formatErrorMessage(error, 'errors.loadMapData'), 'error');
     return null;
   }),
   
-  // アクション：訪問国のスタイル生成
+  // アクション：詳細な国境データをリモートから取得（失敗しても同梱の簡易データで使い続けられる）
+  loadDetailedBorders: withErrorHandling(async () => {
+    set({ isLoading: true });
+    
+    try {
+      await mapService.loadDetailedCountriesGeoJson();
+      set({ hasDetailedBorders: true, isLoading: false });
+      get().showToast(createMessage('toast.detailedBordersLoaded'), 'success');
+      return true;
+    } catch (error) {
+      logError(error, { action: 'loadDetailedBorders' });
+      set({ isLoading: false });
+      // 通信エラーの詳細はログに残し、利用者には使い続けられることを伝える
+      get().showToast(createMessage('toast.detailedBordersFailed'), 'warning');
+      return false;
+    }
+  }, (error) => {
+    set({ isLoading: false });
+    get().showToast(formatErrorMessage(error, 'errors.detailedBorders'), 'error');
+    return false;
+  }),
+  
+  // アクション：ブラウザに保存した詳細な国境データを読み込む（通信しない。読み込めなければ同梱の簡易データのまま）
+  restoreDetailedBorders: withErrorHandling(async () => {
+    if (get().hasDetailedBorders) return true;
+    
+    const restored = await mapService.restoreDetailedCountriesGeoJson();
+    if (restored) {
+      set({ hasDetailedBorders: true });
+    }
+    return restored;
+  }),
+  
+  // アクション：ブラウザに保存した地図データのキャッシュの一覧と容量を取得
+  getGeoCacheUsage: withErrorHandling(async () => {
+    return mapService.getCacheUsage();
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.geoCacheUsage'), 'error');
+  }),
+  
+  // アクション：地図データのキャッシュを削除（キーを指定しなければすべて）
+  clearGeoCache: withErrorHandling(async (cacheKey = null) => {
+    await mapService.clearCache(cacheKey);
+    
+    if (!cacheKey || cacheKey === 'detailedCountries') {
+      set({ hasDetailedBorders: false });
+    }
+    
+    get().showToast(createMessage('toast.geoCacheCleared'), 'success');
+  }, (error) => {
+    get().showToast(formatErrorMessage(error, 'errors.clearGeoCache'), 'error');
+  }),
+  
+  // アクション：訪問国のスタイル生成（州・都道府県の記録は国の塗りつぶしに含めない）
   getVisitedCountriesStyle: () => {
     const visitedPlaces = get().visitedPlaces;
-    const visitedCountryCodes = visitedPlaces
-      .filter(place => place.countryCodeISO)
-      .map(place => place.countryCodeISO);
+    const visitedCountries = visitedPlaces
+      .filter(place => place.adminLevel === 'Country' && place.countryCodeISO)
+      .map(place => ({ code: place.countryCodeISO, status: getPlaceStatus(place) }));
     
-    return mapService.generateVisitedCountriesStyle(visitedCountryCodes);
+    return mapService.generateVisitedCountriesStyle(visitedCountries);
   }
 }));
 
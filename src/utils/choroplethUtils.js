@@ -0,0 +1,95 @@
+import { isVisitedPlace } from '../constants/placeStatus';
+
+// 1日（ミリ秒）
+const DAY = 24 * 60 * 60 * 1000;
+
+// 1つの旅行から数える日数の上限（期間の入力ミスで極端な値にならないように）
+const MAX_TRIP_DAYS = 366;
+
+/**
+ * 値が属する階級を取得
+ * @param {Array<Object>} classes - 階級（minの昇順）
+ * @param {number} value - 値
+ * @returns {Object} - 値がmin以上となる最後の階級（どれにも満たない場合は最初の階級）
+ */
+export const findChoroplethClass = (classes, value) => (
+  [...classes].reverse().find(choroplethClass => value >= choroplethClass.min) || classes[0]
+);
+
+/**
+ * 旅行の期間に含まれる日付（YYYY-MM-DD）を列挙
+ * @param {Object} trip - 旅行データ
+ * @returns {Array<string>} - 日付の配列（期間が未設定・不正な場合は空）
+ */
+const getTripDays = (trip) => {
+  const start = Date.parse(trip.startDate);
+  const end = Date.parse(trip.endDate || trip.startDate);
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) return [];
+
+  const days = [];
+  for (let time = start; time <= end && days.length < MAX_TRIP_DAYS; time += DAY) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return days;
+};
+
+/**
+ * 訪問地ごとの滞在日数を計算
+ * 訪問履歴の日付と、訪問地を含む旅行の期間の日付を合わせた日数（同じ日は1日として数える）
+ * @param {Array<Object>} places - 訪問地の配列
+ * @param {Array<Object>} visits - すべての訪問履歴
+ * @param {Array<Object>} trips - 旅行の配列
+ * @returns {Map<string, number>} - ユニークIDごとの日数
+ */
+const calculateDaysSpent = (places, visits, trips) => {
+  const daysByPlace = new Map(places.map(place => [place.uniqueId, new Set()]));
+
+  visits.forEach(visit => {
+    const days = daysByPlace.get(visit.uniqueId);
+    if (days && visit.visitDate) days.add(String(visit.visitDate).slice(0, 10));
+  });
+
+  trips.forEach(trip => {
+    const tripDays = getTripDays(trip);
+    (trip.places || []).forEach(uniqueId => {
+      const days = daysByPlace.get(uniqueId);
+      if (days) tripDays.forEach(day => days.add(day));
+    });
+  });
+
+  // 日付の記録がない訪問地も、訪れた以上は1日とする
+  return new Map([...daysByPlace].map(([uniqueId, days]) => [uniqueId, Math.max(1, days.size)]));
+};
+
+/**
+ * 塗り分けに使う訪問地ごとの値を計算（「行きたい」の記録は含めない）
+ * @param {string} mode - 塗り分け方法（visitCount・daysSpent・recency）
+ * @param {Array<Object>} places - 訪問地の配列
+ * @param {Object} options - 滞在日数に使う訪問履歴（visits）と旅行（trips）、経過日数の基準時刻（now）
+ * @returns {Map<string, number>} - ユニークIDごとの値
+ */
+export const calculatePlaceValues = (mode, places, { visits = [], trips = [], now = Date.now() } = {}) => {
+  const visitedPlaces = places.filter(isVisitedPlace);
+
+  switch (mode) {
+    case 'visitCount':
+      return new Map(visitedPlaces.map(place => [place.uniqueId, place.visitCount || 1]));
+
+    case 'daysSpent':
+      return calculateDaysSpent(visitedPlaces, visits, trips);
+
+    case 'recency': {
+      const values = new Map();
+      visitedPlaces.forEach(place => {
+        const lastVisit = Date.parse(place.lastVisitDate || place.dateMarked);
+        if (!Number.isNaN(lastVisit)) {
+          values.set(place.uniqueId, Math.max(0, Math.floor((now - lastVisit) / DAY)));
+        }
+      });
+      return values;
+    }
+
+    default:
+      return new Map();
+  }
+};
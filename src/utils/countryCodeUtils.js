@@ -0,0 +1,20 @@
+import unassignedCountryCodes from '../data/unassigned-country-codes.json';
+
+/**
+ * 国コードのユーティリティ関数
+ * Natural EarthではISOコードのない地域（ソマリランド・北キプロスなど）のコードがすべて「-99」になり、
+ * 訪問記録や地図の塗り分けで区別できないため、地域名から固有のコードを割り当てる。
+ * コソボは広く使われているユーザー割当コード（XK）、それ以外はNatural EarthのADM0_A3（3文字）を使う
+ */
+
+// 地域名ごとのコード
+const codesByName = new Map(
+  unassignedCountryCodes.countries.flatMap(({ names, ...codes }) => names.map(name => [name, codes]))
+);
+
+/**
+ * ISOコードのない地域のコードを地域名から取得
+ * @param {string} name - 国境データの地域名（ADMIN）
+ * @returns {Object|null} - コード（ISO_A2・ISO_A3）。割り当てがない場合はnull
+ */
+export const getUnassignedCountryCodes = (name) => codesByName.get(name) || null;
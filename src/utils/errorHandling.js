@@ -1,44 +1,73 @@
+import { createMessage, translate } from './i18n';
+
 /**
  * エラー処理のユーティリティ関数
  */
 
+/**
+ * 画面に表示するメッセージをキーで持つエラー
+ * messageには既定の言語（日本語）の文言を入れ、ログやテストではそのまま読めるようにする
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} messageKey - メッセージカタログのキー
+   * @param {Object} params - 文言に埋め込むパラメータ
+   */
+  constructor(messageKey, params = {}) {
+    super(translate(createMessage(messageKey, params)));
+    this.name = 'AppError';
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
 /**
  * エラーをフォーマットしてユーザーに表示するためのメッセージを生成
+ * 表示する言語で翻訳できるよう、メッセージのキーとパラメータで返す（キーのない例外はそのメッセージを返す）
  * @param {Error} error - 発生したエラーオブジェクト
- * @param {string} defaultMessage - デフォルトのメッセージ
- * @returns {string} - ユーザーに表示するエラーメッセージ
+ * @param {string} defaultMessageKey - デフォルトのメッセージのキー
+ * @returns {Object|string} - ユーザーに表示するエラーメッセージ（createMessageの形式）
  */
-export const formatErrorMessage = (error, defaultMessage = 'エラーが発生しました') => {
-  if (!error) return defaultMessage;
+export const formatErrorMessage = (error, defaultMessageKey = 'errors.default') => {
+  if (!error) return createMessage(defaultMessageKey);
+  
+  // キーを持つエラーはそのメッセージを返す
+  if (error.messageKey) {
+    return createMessage(error.messageKey, error.params);
+  }
   
   // エラーの種類によって適切なメッセージを返す
   if (error.name === 'TypeError') {
-    return '値の型に問題があります。入力内容を確認してください。';
+    return createMessage('errors.typeError');
   }
   
   if (error.name === 'SyntaxError') {
-    return 'データの形式が正しくありません。';
+    return createMessage('errors.syntaxError');
   }
   
   if (error.name === 'NetworkError' || error.message.includes('network')) {
-    return 'ネットワークに接続できませんでした。インターネット接続を確認してください。';
+    return createMessage('errors.network');
   }
   
   if (error.message.includes('permission') || error.message.includes('denied')) {
-    return 'アクセス権限がありません。';
+    return createMessage('errors.permission');
   }
   
   // IndexedDBエラー
   if (error.name === 'QuotaExceededError') {
-    return 'ストレージの容量が不足しています。不要なデータを削除してください。';
+    return createMessage('errors.quotaExceeded');
   }
   
   if (error.name === 'VersionError') {
-    return 'アプリケーションのバージョンに問題があります。ページをリロードしてください。';
+    // データベースのマイグレーション失敗（dbMigrationsのMigrationError）
+    if (error.toVersion) {
+      return createMessage('errors.migrationFailed', { from: error.fromVersion, to: error.toVersion });
+    }
+    return createMessage('errors.version');
   }
   
   // その他のエラー
-  return error.message || defaultMessage;
+  return error.message || createMessage(defaultMessageKey);
 };
 
 /**
@@ -0,0 +1,216 @@
+/**
+ * JPEGのEXIFから撮影位置と撮影日時を読み取るユーティリティ関数
+ * 写真はすべてブラウザ内で処理し、外部には送信しない
+ */
+
+// EXIFはファイルの先頭にあるため、この範囲だけを読み込めば十分（APP1セグメントの上限は64KB）
+export const EXIF_READ_BYTES = 128 * 1024;
+
+// 使用するタグ
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// 型ごとの1要素のバイト数（BYTE, ASCII, SHORT, LONG, RATIONAL, UNDEFINED, SLONG, SRATIONAL）
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * JPEGのセグメントからEXIF（TIFF構造）の開始位置を探す
+ * @param {DataView} view - ファイル先頭のデータ
+ * @returns {number|null} - TIFFヘッダーの位置（EXIFがない場合はnull）
+ */
+const findTiffOffset = (view) => {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    // 画像データの開始（SOS）以降にEXIFはない
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null;
+
+    const length = view.getUint16(offset + 2);
+    // APP1セグメントの先頭が「Exif\0\0」ならEXIF
+    const isExif = marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+      view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0;
+    if (isExif) {
+      return offset + 10;
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+};
+
+/**
+ * TIFF構造のIFDを読み取るリーダーを作成
+ * @param {DataView} view - ファイル先頭のデータ
+ * @param {number} tiff - TIFFヘッダーの位置
+ * @returns {Object|null} - IFD0の位置と、IFDのタグを読み取る関数（不正な形式の場合はnull）
+ */
+const createTiffReader = (view, tiff) => {
+  const byteOrder = view.getUint16(tiff);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+
+  const little = byteOrder === 0x4949;
+  if (view.getUint16(tiff + 2, little) !== 42) return null;
+
+  /**
+   * IFDのエントリーの値を読み取る
+   * @param {number} entry - エントリーの位置
+   * @returns {*} - 文字列、数値、または数値の配列
+   */
+  const readValue = (entry) => {
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const size = TYPE_SIZES[type];
+    if (!size) return null;
+
+    // 4バイト以下の値はエントリー内に直接格納される
+    const start = size * count <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little);
+    const values = [];
+
+    for (let i = 0; i < count; i++) {
+      const position = start + i * size;
+      switch (type) {
+        case 3:
+          values.push(view.getUint16(position, little));
+          break;
+        case 4:
+          values.push(view.getUint32(position, little));
+          break;
+        case 9:
+          values.push(view.getInt32(position, little));
+          break;
+        case 5:
+          values.push(view.getUint32(position, little) / view.getUint32(position + 4, little));
+          break;
+        case 10:
+          values.push(view.getInt32(position, little) / view.getInt32(position + 4, little));
+          break;
+        default:
+          values.push(view.getUint8(position));
+      }
+    }
+
+    if (type === 2) {
+      return String.fromCharCode(...values).replace(/\0+$/, '');
+    }
+    return count === 1 ? values[0] : values;
+  };
+
+  /**
+   * IFDのタグの位置を読み取る
+   * MakerNoteなどの大きな値を読まないよう、値は取得時に読み取る
+   * @param {number} ifdOffset - TIFFヘッダーからのIFDの位置
+   * @returns {Object} - タグの有無を調べるhasと、値を取得するget
+   */
+  const readIfd = (ifdOffset) => {
+    const entries = new Map();
+    const base = tiff + ifdOffset;
+    const entryCount = view.getUint16(base, little);
+
+    for (let i = 0; i < entryCount; i++) {
+      const entry = base + 2 + i * 12;
+      entries.set(view.getUint16(entry, little), entry);
+    }
+
+    return {
+      has: (tag) => entries.has(tag),
+      get: (tag) => (entries.has(tag) ? readValue(entries.get(tag)) : undefined)
+    };
+  };
+
+  return { ifd0: view.getUint32(tiff + 4, little), readIfd };
+};
+
+/**
+ * 度・分・秒の値と方位から十進の度に変換
+ * @param {Array<number>} dms - [度, 分, 秒]
+ * @param {string} ref - 方位（N・S・E・W）
+ * @returns {number|null} - 十進の度（変換できない場合はnull）
+ */
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+
+  const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(value)) return null;
+
+  return ref === 'S' || ref === 'W' ? -value : value;
+};
+
+/**
+ * EXIFの日時（YYYY:MM:DD HH:MM:SS）をISO形式に変換
+ * 時差の記録がない場合は端末のタイムゾーンの時刻として扱う
+ * @param {string} value - EXIFの日時
+ * @param {string} offset - 時差（+09:00など）
+ * @returns {string|null} - ISO形式の日時（解釈できない場合はnull）
+ */
+export const parseExifDateTime = (value, offset) => {
+  const match = typeof value === 'string'
+    ? value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/)
+    : null;
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  // 日時を記録しないカメラは0で埋めるため除外
+  if (year === 0 || month === 0 || day === 0) return null;
+
+  const date = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset)
+    ? new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${offset}`)
+    : new Date(year, month - 1, day, hour, minute, second);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * EXIF IFDから撮影日時を取得
+ * @param {Object} reader - createTiffReaderで作成したリーダー
+ * @param {Object} ifd0 - IFD0
+ * @returns {string|null} - ISO形式の撮影日時（記録がない・読み取れない場合はnull）
+ */
+const readOriginalTime = (reader, ifd0) => {
+  try {
+    if (!ifd0.has(TAG_EXIF_IFD)) return null;
+
+    const exif = reader.readIfd(ifd0.get(TAG_EXIF_IFD));
+    return parseExifDateTime(exif.get(TAG_DATE_TIME_ORIGINAL), exif.get(TAG_OFFSET_TIME_ORIGINAL));
+  } catch (error) {
+    // 撮影日時が読み取れなくても位置情報は使う
+    return null;
+  }
+};
+
+/**
+ * JPEGのEXIFから撮影位置と撮影日時を取得
+ * @param {ArrayBuffer} buffer - ファイル先頭のデータ（EXIF_READ_BYTES程度）
+ * @returns {Object|null} - 点（coordinates: [経度, 緯度]、time: ISO形式またはnull）。位置情報がない場合はnull
+ */
+export const readExifLocation = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    const tiff = findTiffOffset(view);
+    if (tiff === null) return null;
+
+    const reader = createTiffReader(view, tiff);
+    if (!reader) return null;
+
+    const ifd0 = reader.readIfd(reader.ifd0);
+    if (!ifd0.has(TAG_GPS_IFD)) return null;
+
+    const gps = reader.readIfd(ifd0.get(TAG_GPS_IFD));
+    const lat = toDecimalDegrees(gps.get(TAG_GPS_LATITUDE), gps.get(TAG_GPS_LATITUDE_REF));
+    const lng = toDecimalDegrees(gps.get(TAG_GPS_LONGITUDE), gps.get(TAG_GPS_LONGITUDE_REF));
+    if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { coordinates: [lng, lat], time: readOriginalTime(reader, ifd0) };
+  } catch (error) {
+    // 途中で切れたデータや壊れたEXIFは位置情報なしとして扱う
+    return null;
+  }
+};
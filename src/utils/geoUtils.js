@@ -0,0 +1,136 @@
+/**
+ * 地理計算のユーティリティ関数
+ * 座標はGeoJSONと同じ[経度, 緯度]の順で扱う
+ */
+
+/**
+ * ジオメトリをポリゴン（リングの配列）の配列に揃える
+ * @param {Object} geometry - GeoJSONのジオメトリ
+ * @returns {Array} - ポリゴンの配列（Polygon・MultiPolygon以外は空配列）
+ */
+const getPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+/**
+ * ジオメトリの外接矩形を計算
+ * @param {Object} geometry - GeoJSONのPolygonまたはMultiPolygon
+ * @returns {Array<number>|null} - [最小経度, 最小緯度, 最大経度, 最大緯度]
+ */
+export const getBoundingBox = (geometry) => {
+  const polygons = getPolygons(geometry);
+  if (polygons.length === 0) return null;
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  polygons.forEach(polygon => {
+    // 外周だけで十分
+    polygon[0].forEach(([lng, lat]) => {
+      if (lng < bbox[0]) bbox[0] = lng;
+      if (lat < bbox[1]) bbox[1] = lat;
+      if (lng > bbox[2]) bbox[2] = lng;
+      if (lat > bbox[3]) bbox[3] = lat;
+    });
+  });
+
+  return bbox;
+};
+
+/**
+ * 地図の表示範囲に使う外接矩形を計算
+ * 日付変更線をまたぐ国（フィジーやロシアなど）は、西経を360度ずらした方が狭くなる場合にそちらを使う
+ * @param {Object} geometry - GeoJSONのPolygonまたはMultiPolygon
+ * @returns {Array<number>|null} - [西端, 南端, 東端, 北端]（東端は180度を超える場合がある）
+ */
+export const getDisplayBounds = (geometry) => {
+  const bbox = getBoundingBox(geometry);
+  if (!bbox || bbox[2] - bbox[0] <= 180) return bbox;
+
+  const shifted = [Infinity, bbox[1], -Infinity, bbox[3]];
+  getPolygons(geometry).forEach(polygon => {
+    polygon[0].forEach(([lng]) => {
+      const shiftedLng = lng < 0 ? lng + 360 : lng;
+      if (shiftedLng < shifted[0]) shifted[0] = shiftedLng;
+      if (shiftedLng > shifted[2]) shifted[2] = shiftedLng;
+    });
+  });
+
+  return shifted[2] - shifted[0] < bbox[2] - bbox[0] ? shifted : bbox;
+};
+
+/**
+ * 点がリングの内側にあるか（レイキャスティング法）
+ * @param {Array<number>} point - [経度, 緯度]
+ * @param {Array<Array<number>>} ring - リングの座標
+ * @returns {boolean} - 内側の場合はtrue
+ */
+const isInRing = ([x, y], ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * 点がジオメトリの内側にあるか（穴の部分は外側として扱う）
+ * @param {Array<number>} point - [経度, 緯度]
+ * @param {Object} geometry - GeoJSONのPolygonまたはMultiPolygon
+ * @returns {boolean} - 内側の場合はtrue
+ */
+export const isPointInGeometry = (point, geometry) => getPolygons(geometry).some(([outer, ...holes]) => (
+  isInRing(point, outer) && !holes.some(hole => isInRing(point, hole))
+));
+
+/**
+ * 2点間のおおよその距離（km、球面上の大円距離）
+ * @param {Array<number>} a - [経度, 緯度]
+ * @param {Array<number>} b - [経度, 緯度]
+ * @returns {number} - 距離（km）
+ */
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * 経緯線（グラティキュール）のGeoJSONを生成
+ * @param {number} step - 線の間隔（度）
+ * @returns {Object} - 経線・緯線のLineStringのFeatureCollection
+ */
+export const createGraticule = (step = 15) => {
+  const features = [];
+  const line = (coordinates) => ({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates } });
+
+  // 経線（メルカトル図法で表示できる範囲まで）
+  for (let lng = -180; lng <= 180; lng += step) {
+    const coordinates = [];
+    for (let lat = -85; lat <= 85; lat += 5) {
+      coordinates.push([lng, lat]);
+    }
+    features.push(line(coordinates));
+  }
+
+  // 緯線
+  for (let lat = -90 + step; lat < 90; lat += step) {
+    const coordinates = [];
+    for (let lng = -180; lng <= 180; lng += 5) {
+      coordinates.push([lng, lat]);
+    }
+    features.push(line(coordinates));
+  }
+
+  return { type: 'FeatureCollection', features };
+};
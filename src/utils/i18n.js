@@ -0,0 +1,93 @@
+import ja from '../locales/ja.json';
+import en from '../locales/en.json';
+import { DEFAULT_LANGUAGE, getLocale } from '../constants/languages';
+
+/**
+ * 画面の文言の翻訳のユーティリティ関数
+ * メッセージはメッセージカタログ（src/locales）のキー（「toast.csvExported」のようなドット区切り）で指定する。
+ * ストアのアクションなどで表示する文言を決める場合は、createMessageでキーとパラメータを渡し、表示するときに翻訳する。
+ */
+
+// 言語ごとのメッセージカタログ
+const CATALOGUES = { ja, en };
+
+/**
+ * メッセージ（キーとパラメータ）を作成
+ * パラメータには別のメッセージを渡すこともでき、その場合は翻訳してから埋め込む
+ * @param {string} key - メッセージのキー
+ * @param {Object} params - 文言に埋め込むパラメータ（件数はcountとすると単数・複数形を切り替える）
+ * @returns {Object} - メッセージ（key、params）
+ */
+export const createMessage = (key, params = {}) => ({ key, params });
+
+/**
+ * メッセージかどうかを判定
+ * @param {*} value - 判定する値
+ * @returns {boolean} - createMessageで作成したメッセージであればtrue
+ */
+export const isMessage = (value) => Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+
+/**
+ * カタログからキーに対応する文言を取得
+ * @param {Object} catalogue - メッセージカタログ
+ * @param {string} key - ドット区切りのキー
+ * @returns {string|Object|undefined} - 文言（単数・複数形がある場合はその定義）
+ */
+const lookup = (catalogue, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalogue
+);
+
+/**
+ * 単数・複数形の定義から件数に合う文言を選ぶ（Intl.PluralRulesの分類を使う）
+ * @param {Object} forms - 分類（one・otherなど）ごとの文言
+ * @param {number} count - 件数
+ * @param {string} language - 言語コード
+ * @returns {string} - 文言
+ */
+const selectPluralForm = (forms, count, language) => {
+  const category = new Intl.PluralRules(getLocale(language)).select(Number(count) || 0);
+  return forms[category] ?? forms.other;
+};
+
+/**
+ * メッセージを指定した言語の文言に翻訳
+ * 表示中の言語に文言がない場合は既定の言語（日本語）の文言を使い、
+ * キーがカタログにない文字列（例外のメッセージなど）はそのまま返す
+ * @param {string|Object} message - メッセージのキー、createMessageで作成したメッセージ、または表示する文字列
+ * @param {string} language - 言語コード
+ * @returns {string} - 翻訳した文言
+ */
+export const translate = (message, language = DEFAULT_LANGUAGE) => {
+  if (message === null || message === undefined) return '';
+
+  const { key, params = {} } = isMessage(message) ? message : { key: String(message) };
+  let template = lookup(CATALOGUES[language], key) ?? lookup(CATALOGUES[DEFAULT_LANGUAGE], key);
+
+  if (template === undefined) return key;
+  if (typeof template === 'object') {
+    template = selectPluralForm(template, params.count, language);
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return isMessage(value) ? translate(value, language) : String(value ?? '');
+  });
+};
+
+/**
+ * 日時を表示言語の書式で表示
+ * @param {string|number|Date} value - 日時（ISO形式の文字列・エポックミリ秒・Date）
+ * @param {string} language - 言語コード
+ * @param {Object} options - Intl.DateTimeFormatのオプション
+ * @returns {string} - 表示用の文字列（解釈できない場合は空文字）
+ */
+export const formatDate = (value, language = DEFAULT_LANGUAGE, options = { year: 'numeric', month: 'short', day: 'numeric' }) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+
+  return date.toLocaleString(getLocale(language), options);
+};
@@ -0,0 +1,43 @@
+import { AppError } from './errorHandling';
+
+/**
+ * 画像処理のユーティリティ関数
+ * 写真はすべてブラウザ内で処理し、外部には送信しない
+ */
+
+/**
+ * 画像ファイルからサムネイルを生成
+ * 縦横比を保ったまま、長辺がmaxSize以下になるよう縮小する
+ * @param {Blob} file - 元の画像ファイル
+ * @param {number} maxSize - サムネイルの長辺の最大ピクセル数
+ * @returns {Promise<Blob>} - JPEG形式のサムネイル
+ */
+export const createThumbnail = async (file, maxSize = 240) => {
+  if (!file || !file.type || !file.type.startsWith('image/')) {
+    throw new AppError('errors.image.notImage');
+  }
+
+  const bitmap = await createImageBitmap(file);
+
+  try {
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new AppError('errors.image.thumbnailFailed'))),
+        'image/jpeg',
+        0.8
+      );
+    });
+  } finally {
+    bitmap.close();
+  }
+};
+
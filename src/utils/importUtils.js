@@ -0,0 +1,197 @@
+import { getPlaceName } from './placeNameUtils';
+
+/**
+ * インポート時の既存データとの競合判定と解決のユーティリティ関数
+ * 書き込み前のプレビューで使うため、データベースには依存しない
+ */
+
+// 既存の記録と競合したときの解決方法
+export const IMPORT_POLICIES = [
+  { value: 'skip', labelKey: 'importPreview.policies.skip' },
+  { value: 'overwrite', labelKey: 'importPreview.policies.overwrite' },
+  { value: 'newer', labelKey: 'importPreview.policies.newer' },
+  { value: 'merge', labelKey: 'importPreview.policies.merge' }
+];
+
+export const DEFAULT_IMPORT_POLICY = 'skip';
+
+// 差分を表示する項目
+export const COMPARED_FIELDS = [
+  'placeName',
+  'adminLevel',
+  'dateMarked',
+  'countryCodeISO',
+  'regionCodeISO',
+  'status',
+  'notes'
+];
+
+/**
+ * 値が空かどうか
+ * @param {*} value - 判定する値
+ * @returns {boolean} - null・undefined・空文字の場合はtrue
+ */
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+/**
+ * 差分の比較に使う値を取得
+ * 国名は国コードから表示名を引くため、別の言語でエクスポートした名前の違いは差分として扱わない
+ * @param {Object} place - 訪問地域データ
+ * @param {string} field - 項目名
+ * @returns {string} - 比較用の文字列
+ */
+const getComparableValue = (place, field) => (
+  field === 'placeName' ? getPlaceName(place) : String(place[field] ?? '')
+);
+
+/**
+ * 既存の記録とインポートする記録の項目ごとの差分を取得
+ * インポート側が空の項目は差分として扱わない
+ * @param {Object} existing - 既存の訪問地域データ
+ * @param {Object} incoming - インポートする訪問地域データ
+ * @returns {Array<Object>} - 差分のある項目（field、current、incoming）
+ */
+export const diffPlaceFields = (existing, incoming) => COMPARED_FIELDS
+  .filter(field => !isEmptyValue(incoming[field]) && getComparableValue(incoming, field) !== getComparableValue(existing, field))
+  .map(field => ({ field, current: existing[field] ?? null, incoming: incoming[field] }));
+
+/**
+ * インポートするデータを新規・既存と競合・無効に分類
+ * @param {Object} parsed - fileService.parseCSVの結果（data、visits、invalidRows）
+ * @param {Array<Object>} existingPlaces - 保存済みの訪問地域データ
+ * @returns {Object} - 新規（newRows）、競合（conflicts）、無効（invalidRows）の行
+ */
+export const analyzeImport = ({ data, visits = [], invalidRows = [] }, existingPlaces) => {
+  const existingById = new Map(existingPlaces.map(place => [place.uniqueId, place]));
+  const newRows = [];
+  const conflicts = [];
+
+  data.forEach(place => {
+    const placeVisits = visits.filter(visit => visit.uniqueId === place.uniqueId);
+    const existing = existingById.get(place.uniqueId);
+
+    if (existing) {
+      conflicts.push({ place, visits: placeVisits, existing, diff: diffPlaceFields(existing, place) });
+    } else {
+      newRows.push({ place, visits: placeVisits });
+    }
+  });
+
+  return { newRows, conflicts, invalidRows };
+};
+
+/**
+ * 記録日時を比較用の数値に変換
+ * @param {string} value - ISO形式の日時
+ * @returns {number} - エポックミリ秒（解釈できない場合は-Infinity）
+ */
+const toTime = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+/**
+ * 既存の値を優先して2つの記録を統合（既存側が空の項目だけインポートの値で補う）
+ * @param {Object} existing - 既存の訪問地域データ
+ * @param {Object} incoming - インポートする訪問地域データ
+ * @returns {Object} - 統合した訪問地域データ
+ */
+const mergePlaces = (existing, incoming) => {
+  const merged = { ...existing };
+
+  Object.entries(incoming).forEach(([field, value]) => {
+    if (isEmptyValue(merged[field]) && !isEmptyValue(value)) {
+      merged[field] = value;
+    }
+  });
+
+  // 最初に記録した日時を残す
+  if (toTime(incoming.dateMarked) < toTime(existing.dateMarked)) {
+    merged.dateMarked = incoming.dateMarked;
+  }
+
+  return merged;
+};
+
+/**
+ * 解決方法に従って、実際に書き込む訪問地域データと訪問履歴を決定
+ * @param {Object} analysis - analyzeImportの結果
+ * @param {string} defaultPolicy - 競合した行に適用する解決方法
+ * @param {Object} rowPolicies - 行ごとに指定した解決方法（uniqueIdをキーとする）
+ * @returns {Object} - 書き込むデータ（places、visits、replaceVisitsFor）と件数
+ */
+export const resolveImport = (analysis, defaultPolicy = DEFAULT_IMPORT_POLICY, rowPolicies = {}) => {
+  const places = [];
+  const visits = [];
+  const replaceVisitsFor = [];
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  analysis.newRows.forEach(row => {
+    places.push(row.place);
+    visits.push(...row.visits);
+    added++;
+  });
+
+  analysis.conflicts.forEach(({ place, visits: placeVisits, existing }) => {
+    let policy = rowPolicies[place.uniqueId] || defaultPolicy;
+
+    if (policy === 'newer') {
+      policy = toTime(place.dateMarked) > toTime(existing.dateMarked) ? 'overwrite' : 'skip';
+    }
+
+    switch (policy) {
+      case 'overwrite':
+        // CSVにない項目（メモなど）は既存の値を残し、訪問履歴はインポートした内容で置き換える
+        places.push({ ...existing, ...place });
+        visits.push(...placeVisits);
+        replaceVisitsFor.push(place.uniqueId);
+        updated++;
+        break;
+      case 'merge':
+        places.push(mergePlaces(existing, place));
+        visits.push(...placeVisits);
+        updated++;
+        break;
+      default:
+        skipped++;
+    }
+  });
+
+  return { places, visits, replaceVisitsFor, added, updated, skipped };
+};
+
+/**
+ * トラックファイルから判定した国を、CSVの解析結果と同じ形式に変換
+ * 国ごとに、トラックの最初の時刻を訪問日とする1回の訪問として扱う
+ * @param {Array<Object>} matches - mapService.findCountriesForPointsの結果
+ * @param {string} fallbackDate - トラックに時刻がない場合の訪問日（ISO形式）
+ * @returns {Object} - インポートする地域データ（data）と訪問履歴（visits）
+ */
+export const buildTrackImport = (matches, fallbackDate = new Date().toISOString()) => {
+  const data = [];
+  const visits = [];
+
+  matches.forEach(({ properties, firstTime, lastTime }) => {
+    const code = properties.ISO_A2;
+    if (!code || data.some(place => place.uniqueId === code)) return;
+
+    const visitDate = firstTime || fallbackDate;
+    data.push({
+      uniqueId: code,
+      placeName: properties.ADMIN,
+      adminLevel: 'Country',
+      dateMarked: visitDate,
+      countryCodeISO: code,
+      regionCodeISO: code,
+      status: 'visited',
+      // プレビューでトラックの期間を表示するため（保存時は訪問履歴から再計算される）
+      firstVisitDate: firstTime,
+      lastVisitDate: lastTime
+    });
+    visits.push({ uniqueId: code, visitDate });
+  });
+
+  return { data, visits, invalidRows: [] };
+};
@@ -0,0 +1,113 @@
+/**
+ * 地図画面へのリンク（URLパラメータ）のユーティリティ関数
+ * 例：#/?place=JP、#/?center=139.6917,35.6895&zoom=5
+ */
+
+// ISO 3166-1の国コード（ISOコードのない地域は3文字の独自コード）、またはISO 3166-2の州・都道府県コード
+const PLACE_CODE_PATTERN = /^[A-Z]{2,3}(-[A-Z0-9]{1,3})?$/;
+
+// 地図のズームレベルの範囲
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+
+/**
+ * 数値を指定した桁数に丸めて文字列にする（末尾の0は付けない）
+ * @param {number} value - 数値
+ * @param {number} digits - 小数点以下の桁数
+ * @returns {string} - 丸めた数値の文字列
+ */
+const formatNumber = (value, digits) => String(Number(value.toFixed(digits)));
+
+/**
+ * 訪問地のリンクに使う地域コードを取得
+ * @param {Object} place - 訪問地データ
+ * @returns {string} - 州・都道府県はISO 3166-2、国はISO 3166-1のコード
+ */
+export const getPlaceCode = (place) => (
+  place.adminLevel === 'State'
+    ? place.regionCodeISO || place.uniqueId
+    : place.countryCodeISO || place.uniqueId
+);
+
+/**
+ * URLパラメータから地図の表示状態を読み取る（不正な値は無視する）
+ * @param {string|URLSearchParams} search - URLのクエリ文字列
+ * @returns {Object} - 地域コード（place）、中心の[経度, 緯度]（center）、ズームレベル（zoom）。ない場合はそれぞれnull
+ */
+export const parseMapLink = (search) => {
+  const params = new URLSearchParams(search);
+  const link = { place: null, center: null, zoom: null };
+
+  const place = (params.get('place') || '').trim().toUpperCase();
+  if (PLACE_CODE_PATTERN.test(place)) {
+    link.place = place;
+  }
+
+  const center = (params.get('center') || '').split(',');
+  if (center.length === 2 && center.every(value => value.trim() !== '')) {
+    const [lng, lat] = center.map(Number);
+    if (Math.abs(lng) <= 180 && Math.abs(lat) <= 90) {
+      link.center = [lng, lat];
+    }
+  }
+
+  const zoom = params.get('zoom');
+  if (zoom !== null && zoom.trim() !== '') {
+    const value = Number(zoom);
+    if (value >= MIN_ZOOM && value <= MAX_ZOOM) {
+      link.zoom = value;
+    }
+  }
+
+  return link;
+};
+
+/**
+ * 地図の表示状態をURLパラメータにする
+ * 共有しやすいよう、カンマはエンコードせず座標は小数点以下4桁（約10m）に丸める
+ * @param {Object} link - 地域コード（place）、中心の[経度, 緯度]（center）、ズームレベル（zoom）
+ * @returns {string} - 先頭の「?」を除いたクエリ文字列（表示状態がなければ空文字）
+ */
+export const formatMapLink = ({ place = null, center = null, zoom = null }) => {
+  const params = [];
+
+  if (place) {
+    params.push(`place=${encodeURIComponent(place)}`);
+  }
+  if (center) {
+    params.push(`center=${formatNumber(center[0], 4)},${formatNumber(center[1], 4)}`);
+  }
+  if (zoom !== null && zoom !== undefined) {
+    params.push(`zoom=${formatNumber(zoom, 2)}`);
+  }
+
+  return params.join('&');
+};
+
+/**
+ * GitHub Pagesで開かれたURLを、アプリのハッシュルーティングのURLに直す
+ * 404.htmlは「/my-world-atlas/list?place=JP」を「/my-world-atlas/?/list&place=JP」の形（クエリの&は~and~）に変えて
+ * リダイレクトするため、これを「/my-world-atlas/#/list?place=JP」に戻す。
+ * ハッシュのない「/my-world-atlas/?place=JP」も「/my-world-atlas/#/?place=JP」にする。
+ * ルートではないハッシュ（「/my-world-atlas/view#データ」の共有リンクのデータなど）は、ルートのフラグメントとして残す
+ * @param {Object} location - window.locationと同じ形のオブジェクト（pathname、search、hash）
+ * @returns {string|null} - 書き換え後のURL（パス以降）。書き換えが不要な場合はnull
+ */
+export const resolveRedirectUrl = ({ pathname, search, hash }) => {
+  const hasRoute = hash.startsWith('#/');
+  const fragment = !hasRoute && hash.length > 1 ? hash : '';
+
+  if (search.startsWith('?/')) {
+    // ハッシュにルートがあればそちらを優先する
+    if (hasRoute) return `${pathname}${hash}`;
+
+    const [path, ...query] = search.slice(2).split('&').map(part => part.replace(/~and~/g, '&'));
+    return `${pathname}#/${path}${query.length > 0 ? `?${query.join('&')}` : ''}${fragment}`;
+  }
+
+  if (search.length > 1 && !hasRoute) {
+    return `${pathname}#/${search}${fragment}`;
+  }
+
+  return null;
+};
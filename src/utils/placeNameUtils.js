@@ -0,0 +1,68 @@
+import countryNames from '../data/country-names.json';
+import { DEFAULT_LANGUAGE } from '../constants/languages';
+
+/**
+ * 地名の表示名を解決するユーティリティ関数
+ * 訪問地データのplaceNameは記録時の国境データの名前（英語）のまま保存し、
+ * 国の表示名は国コードから同梱の対訳表を引いて、表示言語を切り替えると既存の記録の表示も切り替わるようにする
+ */
+
+/**
+ * 国コードから指定した言語の国名を取得
+ * @param {string} countryCode - ISO 3166-1 alpha-2の国コード
+ * @param {string} language - 言語コード
+ * @returns {string|null} - 国名（対訳表にない場合はnull）
+ */
+export const getCountryName = (countryCode, language = DEFAULT_LANGUAGE) => {
+  const names = countryNames.names[language];
+  return (names && names[countryCode]) || null;
+};
+
+/**
+ * 国コードに対応するすべての言語の国名を取得（検索用）
+ * @param {string} countryCode - ISO 3166-1 alpha-2の国コード
+ * @returns {Array<string>} - 国名の配列
+ */
+export const getAllCountryNames = (countryCode) => Object.values(countryNames.names)
+  .map(names => names[countryCode])
+  .filter(Boolean);
+
+/**
+ * 訪問地の表示名を取得
+ * 国は国コードから対訳表の名前を引き、州・都道府県や対訳表にない国は記録時の名前を使う
+ * @param {Object} place - 訪問地データ（adminLevel・countryCodeISO・placeNameを持つもの）
+ * @param {string} language - 言語コード
+ * @returns {string} - 表示名
+ */
+export const getPlaceName = (place, language = DEFAULT_LANGUAGE) => {
+  if (!place) return '';
+
+  if (place.adminLevel === 'Country') {
+    const name = getCountryName(place.countryCodeISO || place.uniqueId, language);
+    if (name) return name;
+  }
+
+  return place.placeName || place.uniqueId || '';
+};
+
+/**
+ * 訪問地の名前を表示言語の名前に置き換える（一覧の表示やエクスポート用）
+ * @param {Array<Object>} places - 訪問地データの配列
+ * @param {string} language - 言語コード
+ * @returns {Array<Object>} - placeNameを表示名にした訪問地データの配列
+ */
+export const localizePlaceNames = (places, language = DEFAULT_LANGUAGE) => places.map(place => ({
+  ...place,
+  placeName: getPlaceName(place, language)
+}));
+
+/**
+ * 地域区分（国連のM49の地域・サブ地域）の表示名を取得
+ * 日本語は同梱データのlabel、それ以外の言語は英語の正式名（name）を使う
+ * @param {Object} region - 地域区分（name・labelを持つもの）
+ * @param {string} language - 言語コード
+ * @returns {string} - 表示名
+ */
+export const getRegionName = (region, language = DEFAULT_LANGUAGE) => (
+  language === 'ja' ? region.label : region.name
+);
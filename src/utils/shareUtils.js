@@ -0,0 +1,218 @@
+import { AppError } from './errorHandling';
+import { getCountryName } from './placeNameUtils';
+import { DEFAULT_PLACE_STATUS, getPlaceStatus, isValidPlaceStatus } from '../constants/placeStatus';
+
+/**
+ * 共有リンクのユーティリティ関数
+ * 訪問した地域のコード・ステータス（指定があれば最初の訪問日）だけを圧縮してURLのフラグメントに入れるため、サーバーは不要。
+ * フラグメントの先頭1文字が形式を表す（z：deflate-rawで圧縮、j：圧縮なし）
+ */
+
+// 共有データの形式のバージョン
+const SHARE_VERSION = 1;
+
+// 地域コードの形式（国はISO 3166-1またはISOコードのない地域の3文字の独自コード、州・都道府県はISO 3166-2）
+const PLACE_CODE_PATTERN = /^[A-Z]{2,3}(-[A-Z0-9]{1,3})?$/;
+
+/**
+ * バイト列をURLで使えるBase64（base64url）にする
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string} - パディングなしのbase64url文字列
+ */
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * base64url文字列をバイト列に戻す
+ * @param {string} value - base64url文字列
+ * @returns {Uint8Array} - バイト列
+ */
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * 圧縮・展開のストリームにバイト列を通す
+ * @param {Uint8Array} bytes - 入力のバイト列
+ * @param {CompressionStream|DecompressionStream} stream - 変換ストリーム
+ * @returns {Promise<Uint8Array>} - 出力のバイト列
+ */
+const transformBytes = async (bytes, stream) => {
+  // 書き込みの失敗は読み取り側でも発生するため、ここでは無視する
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+/**
+ * 日時を日付（YYYY-MM-DD）にする
+ * @param {string} value - ISO形式の日時
+ * @returns {string|null} - 日付（解釈できない場合はnull）
+ */
+const toDateString = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+};
+
+/**
+ * 訪問地を共有データの行にする
+ * 行は[地域コード, ステータス, 最初の訪問日, 名前]で、州・都道府県だけ名前を含める（国名は国コードから引ける）
+ * @param {Object} place - 訪問地データ
+ * @param {boolean} includeDates - 最初の訪問日を含めるか
+ * @returns {Array} - 共有データの行（末尾の空の値は省く）
+ */
+const toSharedRow = (place, includeDates) => {
+  const isState = place.adminLevel === 'State';
+  const row = [
+    isState ? place.regionCodeISO || place.uniqueId : place.countryCodeISO || place.uniqueId,
+    getPlaceStatus(place),
+    includeDates ? toDateString(place.firstVisitDate || place.dateMarked) : null,
+    isState ? place.placeName : null
+  ];
+
+  while (row.length > 2 && row[row.length - 1] === null) {
+    row.pop();
+  }
+  return row;
+};
+
+/**
+ * 共有データの行を訪問地データにする
+ * @param {Array} row - 共有データの行
+ * @returns {Object|null} - 地図に表示する訪問地データ（不正な行はnull）
+ */
+const fromSharedRow = (row) => {
+  if (!Array.isArray(row) || typeof row[0] !== 'string' || !PLACE_CODE_PATTERN.test(row[0])) {
+    return null;
+  }
+
+  const [code, status, date = null, name = null] = row;
+  const isState = code.includes('-');
+  const visitDate = typeof date === 'string' && toDateString(date) ? `${toDateString(date)}T00:00:00.000Z` : null;
+
+  return {
+    uniqueId: code,
+    placeName: typeof name === 'string' && name ? name : code,
+    adminLevel: isState ? 'State' : 'Country',
+    countryCodeISO: code.split('-')[0],
+    regionCodeISO: code,
+    status: isValidPlaceStatus(status) ? status : DEFAULT_PLACE_STATUS,
+    dateMarked: visitDate,
+    firstVisitDate: visitDate
+  };
+};
+
+/**
+ * 訪問地を共有リンクのフラグメントに変換
+ * 圧縮に対応していないブラウザでは圧縮せずに変換する
+ * @param {Array<Object>} places - 訪問地データの配列
+ * @param {Object} options - オプション
+ * @param {boolean} options.includeDates - 最初の訪問日を含めるか
+ * @returns {Promise<string>} - フラグメント（先頭の「#」を除く）
+ */
+export const encodeSharedAtlas = async (places, { includeDates = false } = {}) => {
+  const json = JSON.stringify({
+    v: SHARE_VERSION,
+    p: places.map(place => toSharedRow(place, includeDates))
+  });
+  const bytes = new TextEncoder().encode(json);
+
+  if (typeof CompressionStream !== 'function') {
+    return `j${toBase64Url(bytes)}`;
+  }
+  return `z${toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')))}`;
+};
+
+/**
+ * 共有リンクのフラグメントから訪問地を取り出す（不正な行は除く）
+ * @param {string} fragment - フラグメント（先頭の「#」は除く）
+ * @returns {Promise<Array<Object>>} - 地図に表示する訪問地データの配列
+ */
+export const decodeSharedAtlas = async (fragment) => {
+  const format = fragment.charAt(0);
+  if (format === 'z' && typeof DecompressionStream !== 'function') {
+    throw new AppError('errors.shareUnsupported');
+  }
+  if (format !== 'z' && format !== 'j') {
+    throw new AppError('errors.invalidShareLink');
+  }
+
+  let data;
+  try {
+    const bytes = fromBase64Url(fragment.slice(1));
+    const json = new TextDecoder().decode(
+      format === 'z' ? await transformBytes(bytes, new DecompressionStream('deflate-raw')) : bytes
+    );
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new AppError('errors.invalidShareLink');
+  }
+
+  if (!data || data.v !== SHARE_VERSION || !Array.isArray(data.p)) {
+    throw new AppError('errors.invalidShareLink');
+  }
+
+  const places = new Map();
+  data.p.map(fromSharedRow).filter(Boolean).forEach(place => places.set(place.uniqueId, place));
+  return [...places.values()];
+};
+
+/**
+ * 共有リンクのURLを作成
+ * ハッシュルーティングのため「#/view#フラグメント」の形になる
+ * @param {string} fragment - encodeSharedAtlasの結果
+ * @param {Object} location - window.locationと同じ形のオブジェクト（origin、pathname）
+ * @returns {string} - 共有リンクのURL
+ */
+export const buildShareUrl = (fragment, { origin, pathname }) => `${origin}${pathname}#/view#${fragment}`;
+
+/**
+ * 共有された訪問地を、インポートのプレビュー用の形式に変換
+ * 国名は国境データの名前（なければ英語の国名）を使い、最初の訪問日があれば1回の訪問として扱う
+ * @param {Array<Object>} places - decodeSharedAtlasの結果
+ * @param {Map<string, string>} countryNames - 国コードごとの国境データの国名
+ * @param {string} fallbackDate - 日付がない場合の記録日時（ISO形式）
+ * @returns {Object} - インポートする地域データ（data）と訪問履歴（visits）
+ */
+export const buildSharedImport = (places, countryNames = new Map(), fallbackDate = new Date().toISOString()) => {
+  const data = [];
+  const visits = [];
+
+  places.forEach(place => {
+    const isCountry = place.adminLevel === 'Country';
+    data.push({
+      ...place,
+      placeName: isCountry
+        ? countryNames.get(place.uniqueId) || getCountryName(place.uniqueId, 'en') || place.placeName
+        : place.placeName,
+      dateMarked: place.dateMarked || fallbackDate
+    });
+    if (place.firstVisitDate) {
+      visits.push({ uniqueId: place.uniqueId, visitDate: place.firstVisitDate });
+    }
+  });
+
+  return { data, visits, invalidRows: [] };
+};
@@ -0,0 +1,157 @@
+import { isVisitedPlace } from '../constants/placeStatus';
+import { DEFAULT_LANGUAGE } from '../constants/languages';
+import { getCountryName } from './placeNameUtils';
+
+/**
+ * 割合（%）を計算
+ * @param {number} count - 件数
+ * @param {number|null} total - 全体の件数（不明な場合はnull）
+ * @returns {number|null} - 小数点以下1桁の割合（全体が不明な場合はnull）
+ */
+const toPercentage = (count, total) => (
+  total ? Math.round((count / total) * 1000) / 10 : null
+);
+
+/**
+ * GeoJSONの地物からコードごとの名前を集める（コードのない地物は除く）
+ * @param {Object|null} geoJson - GeoJSONデータ
+ * @param {Function} getCode - 地物のプロパティからコードを取り出す関数
+ * @returns {Map<string, Object>} - コードごとのプロパティ
+ */
+const collectFeatures = (geoJson, getCode) => {
+  const features = new Map();
+  ((geoJson && geoJson.features) || []).forEach(feature => {
+    const code = feature.properties && getCode(feature.properties);
+    if (code && code !== '-99' && !features.has(code)) {
+      features.set(code, feature.properties);
+    }
+  });
+  return features;
+};
+
+/**
+ * 訪問履歴を年ごとに集計（記録のない年も0件として含める）
+ * @param {Array<Object>} visits - 訪問履歴
+ * @returns {Array<Object>} - 年と訪問回数（year、count）の配列（古い順）
+ */
+export const countVisitsByYear = (visits) => {
+  const counts = new Map();
+  visits.forEach(visit => {
+    const year = new Date(visit.visitDate).getFullYear();
+    if (Number.isNaN(year)) return;
+    counts.set(year, (counts.get(year) || 0) + 1);
+  });
+  if (counts.size === 0) return [];
+
+  const years = [...counts.keys()];
+  const result = [];
+  for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+    result.push({ year, count: counts.get(year) || 0 });
+  }
+  return result;
+};
+
+/**
+ * 最初と最後の訪問を取得
+ * @param {Array<Object>} places - 訪問地の配列
+ * @returns {Object} - 最初（firstVisit）と最後（lastVisit）の訪問地名と日時（記録がない場合はnull）
+ */
+const findFirstAndLastVisits = (places) => {
+  let firstVisit = null;
+  let lastVisit = null;
+
+  places.forEach(place => {
+    const first = place.firstVisitDate || place.dateMarked;
+    const last = place.lastVisitDate || place.dateMarked;
+    if (first && (!firstVisit || first < firstVisit.date)) {
+      firstVisit = { placeName: place.placeName, date: first };
+    }
+    if (last && (!lastVisit || last > lastVisit.date)) {
+      lastVisit = { placeName: place.placeName, date: last };
+    }
+  });
+
+  return { firstVisit, lastVisit };
+};
+
+/**
+ * 訪問地の種類ごとに共通の集計を行う
+ * @param {Array<Object>} places - 集計対象の訪問地
+ * @param {Array<Object>} visits - すべての訪問履歴
+ * @param {number|null} total - 全体の件数（不明な場合はnull）
+ * @param {Array<Object>} groups - 内訳（id、label、visited、total）
+ * @returns {Object} - 集計結果
+ */
+const summarizePlaces = (places, visits, total, groups) => {
+  const uniqueIds = new Set(places.map(place => place.uniqueId));
+
+  return {
+    visited: places.length,
+    total,
+    percentage: toPercentage(places.length, total),
+    groups,
+    byYear: countVisitsByYear(visits.filter(visit => uniqueIds.has(visit.uniqueId))),
+    ...findFirstAndLastVisits(places)
+  };
+};
+
+/**
+ * 訪問記録の統計を計算
+ * 「行きたい」の記録は除き、国は地域（大陸）別、州・都道府県は国別に内訳を集計する
+ * 州・都道府県の数の一覧がない場合は、州・都道府県の全体数と割合をnullとする
+ * @param {Object} params - 集計に使うデータ
+ * @param {Array<Object>} params.visitedPlaces - 訪問済み地域の配列
+ * @param {Array<Object>} params.visits - すべての訪問履歴
+ * @param {Object} params.countriesGeoJson - 国境データ
+ * @param {Object<string, number>|null} params.stateCounts - 国コードごとの州・都道府県の数（mapService.getStateCounts）
+ * @param {Array<Object>} params.worldRegions - 地域区分の一覧（mapService.getWorldRegions）
+ * @param {Function} params.getCountryRegion - 国コードから地域区分を取得する関数（mapService.getCountryRegion）
+ * @param {string} params.language - 国名の表示言語
+ * @returns {Object} - 国（countries）と州・都道府県（regions）の集計結果
+ */
+export const calculateStatistics = ({
+  visitedPlaces,
+  visits,
+  countriesGeoJson,
+  stateCounts = null,
+  worldRegions,
+  getCountryRegion,
+  language = DEFAULT_LANGUAGE
+}) => {
+  const places = visitedPlaces.filter(isVisitedPlace);
+  const countryPlaces = places.filter(place => place.adminLevel === 'Country');
+  const regionPlaces = places.filter(place => place.adminLevel === 'State');
+
+  const countries = collectFeatures(countriesGeoJson, properties => properties.ISO_A2);
+  const regionTotal = stateCounts ? Object.values(stateCounts).reduce((sum, count) => sum + count, 0) : null;
+
+  // 地域（大陸）別の内訳
+  const getRegionCode = (countryCode) => {
+    const countryRegion = getCountryRegion(countryCode);
+    return countryRegion ? countryRegion.region.code : null;
+  };
+  const continentGroups = worldRegions
+    .map(({ code, label }) => ({
+      id: code,
+      label,
+      visited: countryPlaces.filter(place => getRegionCode(place.countryCodeISO) === code).length,
+      total: [...countries.keys()].filter(countryCode => getRegionCode(countryCode) === code).length
+    }))
+    .filter(group => group.total > 0 || group.visited > 0);
+
+  // 国別の内訳（州・都道府県を記録した国のみ、訪問数の多い順）
+  const regionCountryCodes = [...new Set(regionPlaces.map(place => place.countryCodeISO))];
+  const regionGroups = regionCountryCodes
+    .map(code => ({
+      id: code,
+      label: getCountryName(code, language) || (countries.has(code) ? countries.get(code).ADMIN : code),
+      visited: regionPlaces.filter(place => place.countryCodeISO === code).length,
+      total: stateCounts ? stateCounts[code] || 0 : null
+    }))
+    .sort((a, b) => b.visited - a.visited || a.label.localeCompare(b.label, language));
+
+  return {
+    countries: summarizePlaces(countryPlaces, visits, countries.size, continentGroups),
+    regions: summarizePlaces(regionPlaces, visits, regionTotal, regionGroups)
+  };
+};
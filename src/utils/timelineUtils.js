@@ -0,0 +1,49 @@
+/**
+ * 訪問地を地図に表示し始める時刻を取得（最初の訪問日時、なければ記録日時）
+ * @param {Object} place - 訪問地データ
+ * @returns {number} - ミリ秒の時刻（日時がない場合はNaN）
+ */
+export const getPlaceStartTime = (place) => Date.parse(place.firstVisitDate || place.dateMarked);
+
+/**
+ * 訪問地を表示し始める時刻の順に並べる（日時のない訪問地は除く）
+ * @param {Array<Object>} places - 訪問地の配列
+ * @returns {Array<Object>} - 訪問地と時刻（place、time）の配列（古い順）
+ */
+export const sortPlacesByStartTime = (places) => places
+  .map(place => ({ place, time: getPlaceStartTime(place) }))
+  .filter(entry => !Number.isNaN(entry.time))
+  .sort((a, b) => a.time - b.time);
+
+/**
+ * 指定した時刻までに訪れた訪問地の数を取得（二分探索）
+ * @param {Array<Object>} sortedEntries - sortPlacesByStartTimeで並べた配列
+ * @param {number} time - ミリ秒の時刻
+ * @returns {number} - 時刻以前に訪れた訪問地の数
+ */
+export const countPlacesUntil = (sortedEntries, time) => {
+  let low = 0;
+  let high = sortedEntries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedEntries[middle].time <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * タイムラインの範囲を取得（最初の訪問の日から今日まで）
+ * @param {Array<Object>} sortedEntries - sortPlacesByStartTimeで並べた配列
+ * @param {number} now - 現在の時刻（ミリ秒）
+ * @returns {Object|null} - 開始と終了の時刻（start、end）。訪問地がない場合はnull
+ */
+export const getTimelineRange = (sortedEntries, now = Date.now()) => {
+  if (sortedEntries.length === 0) return null;
+
+  const start = sortedEntries[0].time;
+  return { start, end: Math.max(now, sortedEntries[sortedEntries.length - 1].time) };
+};
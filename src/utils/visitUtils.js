@@ -0,0 +1,22 @@
+/**
+ * 訪問履歴のユーティリティ関数
+ * データベースの保存処理とスキーマ移行の両方で使うため、どちらにも依存しない
+ */
+
+/**
+ * 訪問履歴から地域レコードの集計値を算出
+ * @param {Array<Object>} visits - 1つの地域に対する訪問履歴
+ * @returns {Object} - 初回・最終訪問日と訪問回数
+ */
+export const summarizeVisits = (visits) => {
+  const dates = visits
+    .map(visit => visit.visitDate)
+    .filter(Boolean)
+    .sort();
+
+  return {
+    visitCount: visits.length,
+    firstVisitDate: dates[0] || null,
+    lastVisitDate: dates[dates.length - 1] || null
+  };
+};
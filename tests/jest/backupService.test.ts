@@ -0,0 +1,98 @@
+import 'fake-indexeddb/auto';
+import { createHash } from 'crypto';
+import backupService, { BACKUP_FORMAT } from '../../src/services/backupService';
+import dbService from '../../src/services/dbService';
+
+const withChecksum = (backup) => ({
+  ...backup,
+  checksum: createHash('sha256').update(JSON.stringify(backup.stores)).digest('hex')
+});
+
+describe('backupService', () => {
+  beforeEach(async () => {
+    await dbService.restoreAllStores({}, 'replace');
+  });
+
+  test('バックアップから写真を含めて全データを置き換えで復元できる', async () => {
+    await dbService.addVisit(
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country' },
+      '2020-01-01T00:00:00.000Z'
+    );
+    await dbService.addAttachment({
+      uniqueId: 'JP',
+      fileName: 'fuji.jpg',
+      blob: new Blob(['photo'], { type: 'image/jpeg' })
+    });
+
+    const backup = JSON.parse(JSON.stringify(await backupService.createBackup()));
+    await backupService.validateBackup(backup);
+
+    await dbService.deleteVisitedPlace('JP');
+    await dbService.addVisit(
+      { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country' },
+      '2021-05-01T00:00:00.000Z'
+    );
+
+    await backupService.restoreBackup(backup, 'replace');
+
+    expect(await dbService.getVisitedPlace('FR')).toBeUndefined();
+    expect(await dbService.getVisitedPlace('JP')).toMatchObject({ visitCount: 1 });
+    const [attachment] = await dbService.getAttachmentsByPlace('JP');
+    expect(attachment.blob.type).toBe('image/jpeg');
+    expect(await attachment.blob.text()).toBe('photo');
+  });
+
+  test('統合では既存の記録を残し、バックアップにしかない記録と訪問を追加する', async () => {
+    await dbService.addVisit(
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country' },
+      '2020-01-01T00:00:00.000Z'
+    );
+    const backup = await backupService.createBackup();
+
+    await dbService.restoreAllStores({}, 'replace');
+    await dbService.addVisit(
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country' },
+      '2023-03-01T00:00:00.000Z'
+    );
+
+    await backupService.restoreBackup(backup, 'merge');
+
+    expect(await dbService.getVisitsByPlace('JP')).toHaveLength(2);
+    expect(await dbService.getVisitedPlace('JP')).toMatchObject({ visitCount: 2 });
+  });
+
+  test('旧バージョンのバックアップは現在の形式に移行してから復元する', async () => {
+    const backup = withChecksum({
+      format: BACKUP_FORMAT,
+      formatVersion: 1,
+      appVersion: '0.1.0',
+      schemaVersion: 1,
+      exportedAt: '2024-01-01T00:00:00.000Z',
+      stores: {
+        visitedPlaces: [{
+          uniqueId: 'IT',
+          placeName: 'Italy',
+          adminLevel: 'Country',
+          dateMarked: '2019-08-01T00:00:00.000Z'
+        }]
+      }
+    });
+
+    await backupService.validateBackup(backup);
+    await backupService.restoreBackup(backup, 'replace');
+
+    expect(await dbService.getVisitedPlace('IT')).toMatchObject({ status: 'visited', visitCount: 1 });
+    expect(await dbService.getVisitsByPlace('IT')).toHaveLength(1);
+  });
+
+  test('改ざんされたバックアップや新しいバージョンのバックアップは拒否する', async () => {
+    const backup = await backupService.createBackup();
+
+    await expect(backupService.validateBackup({ ...backup, stores: { visitedPlaces: [{ uniqueId: 'XX' }] } }))
+      .rejects.toMatchObject({ messageKey: 'errors.backupFile.checksumMismatch' });
+    await expect(backupService.validateBackup({ ...backup, schemaVersion: backup.schemaVersion + 1 }))
+      .rejects.toMatchObject({ messageKey: 'errors.backupFile.newerVersion' });
+    await expect(backupService.validateBackup({ stores: {} }))
+      .rejects.toMatchObject({ messageKey: 'errors.backupFile.notBackup' });
+  });
+});
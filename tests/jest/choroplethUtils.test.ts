@@ -0,0 +1,41 @@
+import { calculatePlaceValues, findChoroplethClass } from '../../src/utils/choroplethUtils';
+import { getChoroplethMode } from '../../src/constants/choroplethModes';
+
+describe('choroplethUtils', () => {
+  const places = [
+    { uniqueId: 'JP', visitCount: 3, lastVisitDate: '2023-12-01T00:00:00.000Z', status: 'lived' },
+    { uniqueId: 'FR', visitCount: 1, lastVisitDate: '2015-06-01T00:00:00.000Z' },
+    { uniqueId: 'KE', visitCount: 1, dateMarked: '2023-01-01T00:00:00.000Z', status: 'wishlist' }
+  ];
+
+  test('訪問回数と最後の訪問からの経過日数を「行きたい」を除いて計算する', () => {
+    const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+    expect(calculatePlaceValues('visitCount', places)).toEqual(new Map([['JP', 3], ['FR', 1]]));
+    expect(calculatePlaceValues('recency', places, { now })).toEqual(new Map([['JP', 31], ['FR', 3136]]));
+  });
+
+  test('滞在日数は訪問履歴の日付と旅行の期間を重複なく数える', () => {
+    const visits = [
+      { uniqueId: 'JP', visitDate: '2023-04-01T09:00:00.000Z' },
+      { uniqueId: 'JP', visitDate: '2023-04-01T18:00:00.000Z' },
+      { uniqueId: 'JP', visitDate: '2023-12-01T00:00:00.000Z' }
+    ];
+    const trips = [{ tripId: 't1', startDate: '2023-04-01', endDate: '2023-04-05', places: ['JP'] }];
+
+    const values = calculatePlaceValues('daysSpent', places, { visits, trips });
+
+    expect(values.get('JP')).toBe(6);
+    expect(values.get('FR')).toBe(1);
+    expect(values.has('KE')).toBe(false);
+  });
+
+  test('値はmin以上となる最後の階級に分類される', () => {
+    const { classes } = getChoroplethMode('visitCount');
+
+    expect(findChoroplethClass(classes, 1).labelKey).toBe('choropleth.visitCount.one');
+    expect(findChoroplethClass(classes, 4).labelKey).toBe('choropleth.visitCount.threeToFour');
+    expect(findChoroplethClass(classes, 25).labelKey).toBe('choropleth.visitCount.tenOrMore');
+    expect(findChoroplethClass(classes, 0).labelKey).toBe('choropleth.visitCount.one');
+  });
+});
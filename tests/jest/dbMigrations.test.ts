@@ -0,0 +1,136 @@
+import 'fake-indexeddb/auto';
+import { openDB } from 'idb';
+import { migrations, runMigrations, snapshotStores } from '../../src/services/dbMigrations';
+
+let dbCounter = 0;
+
+/**
+ * 指定したバージョンまでマイグレーションを実行したテスト用データベースを開く
+ * @param name - データベース名
+ * @param version - 移行先のバージョン
+ * @param steps - 実行するマイグレーション
+ */
+const openMigratedDB = (name: string, version: number, steps = migrations) => openDB(name, version, {
+  upgrade: async (db, oldVersion, newVersion, transaction) => {
+    await runMigrations(db, oldVersion, newVersion as number, transaction, steps);
+  }
+});
+
+describe('dbMigrations', () => {
+  let dbName: string;
+
+  beforeEach(() => {
+    dbCounter++;
+    dbName = `migration-test-${dbCounter}`;
+  });
+
+  test('新規作成時はすべてのストアとインデックスが作成される', async () => {
+    const latest = migrations[migrations.length - 1].version;
+    const db = await openMigratedDB(dbName, latest);
+
+    expect(Array.from(db.objectStoreNames).sort()).toEqual(
+      ['attachments', 'trips', 'visitedPlaces', 'visits']
+    );
+    expect(Array.from(db.transaction('visitedPlaces').store.indexNames)).toContain('status');
+    db.close();
+  });
+
+  test('バージョン2で既存の記録が1回目の訪問として移行される', async () => {
+    const v1 = await openMigratedDB(dbName, 1);
+    await v1.put('visitedPlaces', {
+      uniqueId: 'JP',
+      placeName: 'Japan',
+      adminLevel: 'Country',
+      dateMarked: '2020-01-01T00:00:00.000Z'
+    });
+    v1.close();
+
+    const v2 = await openMigratedDB(dbName, 2);
+    const visits = await v2.getAll('visits');
+    const place = await v2.get('visitedPlaces', 'JP');
+
+    expect(visits).toHaveLength(1);
+    expect(visits[0]).toMatchObject({ uniqueId: 'JP', visitDate: '2020-01-01T00:00:00.000Z' });
+    expect(place).toMatchObject({ visitCount: 1, firstVisitDate: '2020-01-01T00:00:00.000Z' });
+    v2.close();
+  });
+
+  test('バージョン5でステータスのない記録にデフォルトのステータスが設定される', async () => {
+    const v4 = await openMigratedDB(dbName, 4);
+    await v4.put('visitedPlaces', { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country' });
+    v4.close();
+
+    const v5 = await openMigratedDB(dbName, 5);
+    expect(await v5.get('visitedPlaces', 'FR')).toMatchObject({ status: 'visited' });
+    v5.close();
+  });
+
+  test('バージョン6でコードのない国の記録が地域名から割り当てたコードに移行される', async () => {
+    const v5 = await openMigratedDB(dbName, 5);
+    await v5.put('visitedPlaces', { uniqueId: '-99', placeName: 'Kosovo', adminLevel: 'Country', countryCodeISO: '-99', status: 'visited' });
+    await v5.add('visits', { uniqueId: '-99', visitDate: '2019-06-01T00:00:00.000Z' });
+    await v5.put('trips', { tripId: 'balkans', name: 'バルカン', places: ['AL', '-99'] });
+    v5.close();
+
+    const v6 = await openMigratedDB(dbName, 6);
+    expect(await v6.get('visitedPlaces', '-99')).toBeUndefined();
+    expect(await v6.get('visitedPlaces', 'XK')).toMatchObject({ placeName: 'Kosovo', countryCodeISO: 'XK', status: 'visited' });
+    expect(await v6.getAll('visits')).toEqual([expect.objectContaining({ uniqueId: 'XK' })]);
+    expect((await v6.get('trips', 'balkans')).places).toEqual(['AL', 'XK']);
+    v6.close();
+  });
+
+  test('移行前の全ストアの内容をスナップショットとして取得できる', async () => {
+    const v1 = await openMigratedDB(dbName, 1);
+    await v1.put('visitedPlaces', { uniqueId: 'IT', placeName: 'Italy', adminLevel: 'Country' });
+    v1.close();
+
+    let snapshot: Record<string, unknown[]> = {};
+    const v2 = await openDB(dbName, 2, {
+      upgrade: async (db, oldVersion, newVersion, transaction) => {
+        snapshot = await snapshotStores(db, transaction);
+        await runMigrations(db, oldVersion, newVersion as number, transaction);
+      }
+    });
+
+    expect(snapshot.visitedPlaces).toEqual([{ uniqueId: 'IT', placeName: 'Italy', adminLevel: 'Country' }]);
+    v2.close();
+  });
+
+  test('失敗したステップはVersionErrorとして報告され、データは移行前のまま残る', async () => {
+    const v1 = await openMigratedDB(dbName, 1);
+    await v1.put('visitedPlaces', { uniqueId: 'DE', placeName: 'Germany', adminLevel: 'Country' });
+    v1.close();
+
+    const failingSteps = [
+      ...migrations.slice(0, 1),
+      {
+        version: 2,
+        description: '失敗するステップ',
+        migrate: async ({ transaction }) => {
+          await transaction.objectStore('visitedPlaces').clear();
+          throw new Error('変換エラー');
+        }
+      }
+    ];
+
+    let migrationError: any = null;
+    await expect(openDB(dbName, 2, {
+      upgrade: async (db, oldVersion, newVersion, transaction) => {
+        try {
+          await runMigrations(db, oldVersion, newVersion as number, transaction, failingSteps);
+        } catch (error) {
+          migrationError = error;
+        }
+      }
+    })).rejects.toBeDefined();
+
+    expect(migrationError.name).toBe('VersionError');
+    expect(migrationError).toMatchObject({ fromVersion: 1, toVersion: 2, failedVersion: 2 });
+
+    const reopened = await openDB(dbName);
+    expect(reopened.version).toBe(1);
+    expect(await reopened.get('visitedPlaces', 'DE')).toBeDefined();
+    reopened.close();
+  });
+});
@@ -0,0 +1,68 @@
+import 'fake-indexeddb/auto';
+import dbService from '../../src/services/dbService';
+
+describe('dbService', () => {
+  test('削除した地域をスナップショットから訪問履歴と写真ごと復元できる', async () => {
+    await dbService.addVisit(
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country' },
+      '2020-01-01T00:00:00.000Z'
+    );
+    await dbService.addAttachment({ uniqueId: 'JP', fileName: 'fuji.jpg' });
+
+    const [before] = await dbService.getPlaceSnapshots(['JP']);
+    await dbService.deleteVisitedPlace('JP');
+    expect(await dbService.getVisitedPlace('JP')).toBeUndefined();
+
+    await dbService.restorePlaceSnapshots([before]);
+
+    expect(await dbService.getVisitedPlace('JP')).toMatchObject({ visitCount: 1 });
+    expect(await dbService.getVisitsByPlace('JP')).toEqual(before.visits);
+    expect(await dbService.getAttachmentsByPlace('JP')).toEqual(before.attachments);
+  });
+
+  test('地域を削除すると添付した写真も削除される', async () => {
+    await dbService.addVisit(
+      { uniqueId: 'DE', placeName: 'Germany', adminLevel: 'Country' },
+      '2019-03-01T00:00:00.000Z'
+    );
+    await dbService.addAttachment({ uniqueId: 'DE', fileName: 'berlin.jpg' });
+    expect(await dbService.getAttachmentsByPlace('DE')).toHaveLength(1);
+
+    await dbService.deleteVisitedPlace('DE');
+
+    expect(await dbService.getAttachmentsByPlace('DE')).toEqual([]);
+  });
+
+  test('未登録だった地域のスナップショットを戻すと記録が消える', async () => {
+    const [before] = await dbService.getPlaceSnapshots(['FR']);
+    await dbService.addVisit(
+      { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country' },
+      '2021-05-01T00:00:00.000Z'
+    );
+
+    await dbService.restorePlaceSnapshots([before]);
+
+    expect(before.place).toBeNull();
+    expect(await dbService.getVisitedPlace('FR')).toBeUndefined();
+    expect(await dbService.getVisitsByPlace('FR')).toEqual([]);
+  });
+
+  test('旅行は作成・編集・削除でき、削除しても含まれていた地域の記録は残る', async () => {
+    await dbService.addVisit(
+      { uniqueId: 'IT', placeName: 'Italy', adminLevel: 'Country' },
+      '2022-08-01T00:00:00.000Z'
+    );
+    const trip = { tripId: 'trip-test', name: '欧州旅行', startDate: '2022-08-01', endDate: '', notes: '', places: [] };
+
+    expect(await dbService.saveTrip(trip)).toBe('trip-test');
+    expect(await dbService.getAllTrips()).toEqual([trip]);
+
+    const edited = { ...trip, name: '夏の欧州旅行', places: ['IT', 'FR'] };
+    await dbService.saveTrip(edited);
+    expect(await dbService.getAllTrips()).toEqual([edited]);
+
+    await dbService.deleteTrip('trip-test');
+    expect(await dbService.getAllTrips()).toEqual([]);
+    expect(await dbService.getVisitedPlace('IT')).toMatchObject({ visitCount: 1 });
+  });
+});
@@ -0,0 +1,112 @@
+import { parseExifDateTime, readExifLocation } from '../../src/utils/exifUtils';
+
+/**
+ * テスト用にEXIF付きのJPEG（先頭部分）を組み立てる
+ * ifds: { exif: [[tag, type, value]], gps: [[tag, type, value]] }（値はASCIIなら文字列、RATIONALなら数値の配列）
+ */
+const buildJpeg = ({ exif = [], gps = [] }, little = true) => {
+  const tiff = new DataView(new ArrayBuffer(1024));
+  let dataOffset = 512;
+
+  const writeEntry = (position, [tag, type, value]) => {
+    tiff.setUint16(position, tag, little);
+    tiff.setUint16(position + 2, type, little);
+
+    if (type === 2) {
+      const bytes = [...value].map(c => c.charCodeAt(0)).concat(0);
+      tiff.setUint32(position + 4, bytes.length, little);
+      const start = bytes.length <= 4 ? position + 8 : dataOffset;
+      if (bytes.length > 4) {
+        tiff.setUint32(position + 8, dataOffset, little);
+        dataOffset += bytes.length;
+      }
+      bytes.forEach((b, i) => tiff.setUint8(start + i, b));
+    } else if (type === 5) {
+      tiff.setUint32(position + 4, value.length, little);
+      tiff.setUint32(position + 8, dataOffset, little);
+      value.forEach(v => {
+        tiff.setUint32(dataOffset, Math.round(v * 100), little);
+        tiff.setUint32(dataOffset + 4, 100, little);
+        dataOffset += 8;
+      });
+    } else {
+      tiff.setUint32(position + 4, 1, little);
+      tiff.setUint32(position + 8, value, little);
+    }
+  };
+
+  const writeIfd = (position, entries) => {
+    tiff.setUint16(position, entries.length, little);
+    entries.forEach((entry, i) => writeEntry(position + 2 + i * 12, entry));
+    return position + 2 + entries.length * 12 + 4;
+  };
+
+  tiff.setUint16(0, little ? 0x4949 : 0x4D4D);
+  tiff.setUint16(2, 42, little);
+  tiff.setUint32(4, 8, little);
+
+  const ifd0 = [[0x8769, 4, 0], ...(gps.length > 0 ? [[0x8825, 4, 0]] : [])];
+  const exifOffset = 8 + 2 + ifd0.length * 12 + 4;
+  ifd0[0][2] = exifOffset;
+  const gpsOffset = writeIfd(exifOffset, exif);
+  if (gps.length > 0) {
+    ifd0[1][2] = gpsOffset;
+    writeIfd(gpsOffset, gps);
+  }
+  writeIfd(8, ifd0);
+
+  const jpeg = new Uint8Array(4 + 2 + 6 + 1024);
+  const view = new DataView(jpeg.buffer);
+  view.setUint16(0, 0xFFD8);
+  view.setUint16(2, 0xFFE1);
+  view.setUint16(4, 2 + 6 + 1024);
+  jpeg.set([0x45, 0x78, 0x69, 0x66, 0, 0], 6);
+  jpeg.set(new Uint8Array(tiff.buffer), 12);
+  return jpeg.buffer;
+};
+
+const tokyoGps = [
+  [0x0001, 2, 'N'],
+  [0x0002, 5, [35, 40, 30]],
+  [0x0003, 2, 'E'],
+  [0x0004, 5, [139, 45, 0]]
+];
+
+describe('exifUtils', () => {
+  test('撮影位置と時差付きの撮影日時を読み取る', () => {
+    const point = readExifLocation(buildJpeg({
+      exif: [[0x9003, 2, '2019:08:01 12:00:00'], [0x9011, 2, '+09:00']],
+      gps: tokyoGps
+    }));
+
+    expect(point.coordinates[0]).toBeCloseTo(139.75);
+    expect(point.coordinates[1]).toBeCloseTo(35.675);
+    expect(point.time).toBe('2019-08-01T03:00:00.000Z');
+  });
+
+  test('ビッグエンディアンと南半球・西半球の座標に対応する', () => {
+    const point = readExifLocation(buildJpeg({
+      gps: [
+        [0x0001, 2, 'S'],
+        [0x0002, 5, [34, 36, 0]],
+        [0x0003, 2, 'W'],
+        [0x0004, 5, [58, 22, 48]]
+      ]
+    }, false));
+
+    expect(point.coordinates[0]).toBeCloseTo(-58.38);
+    expect(point.coordinates[1]).toBeCloseTo(-34.6);
+    expect(point.time).toBeNull();
+  });
+
+  test('位置情報のない写真やJPEG以外のデータはnullを返す', () => {
+    expect(readExifLocation(buildJpeg({ exif: [[0x9003, 2, '2019:08:01 12:00:00']] }))).toBeNull();
+    expect(readExifLocation(new Uint8Array([0x89, 0x50, 0x4E, 0x47]).buffer)).toBeNull();
+    expect(readExifLocation(buildJpeg({ gps: tokyoGps }).slice(0, 40))).toBeNull();
+  });
+
+  test('未記録の撮影日時は無視する', () => {
+    expect(parseExifDateTime('0000:00:00 00:00:00')).toBeNull();
+    expect(parseExifDateTime('2020:01:02 03:04:05', '-05:00')).toBe('2020-01-02T08:04:05.000Z');
+  });
+});
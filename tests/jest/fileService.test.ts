@@ -1,10 +1,25 @@
-import FileService from '../../../src/services/fileService';
+import fileService from '../../src/services/fileService';
+
+// Node.jsにはFileReaderがないため、Blobのtext()で読み込む最小限の代替を使う
+class TestFileReader {
+  onload: ((e: { target: { result: string } }) => void) | null = null;
+  onerror: ((error: unknown) => void) | null = null;
+
+  readAsText(file: Blob) {
+    file.text().then(
+      result => this.onload && this.onload({ target: { result } }),
+      error => this.onerror && this.onerror(error)
+    );
+  }
+}
 
 describe('FileService', () => {
-  let fileService: FileService;
+  beforeAll(() => {
+    (globalThis as any).FileReader = TestFileReader;
+  });
 
-  beforeEach(() => {
-    fileService = new FileService();
+  afterAll(() => {
+    delete (globalThis as any).FileReader;
   });
 
   test('空ファイルの場合はエラーとなる', async () => {
@@ -35,4 +50,50 @@ describe('FileService', () => {
     expect(result.data.length).toBeGreaterThan(0);
     expect(result.data[0].uniqueId).toBe('1');
   });
+
+  test('同じ地域の複数行は1つの地域と複数の訪問履歴にまとめられる', () => {
+    const rows = [
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', dateMarked: '2020-01-01T00:00:00.000Z', visitDate: '2020-01-01T00:00:00.000Z' },
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', dateMarked: '2020-01-01T00:00:00.000Z', visitDate: '2023-05-01T00:00:00.000Z' },
+      { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country', dateMarked: '2019-08-01T00:00:00.000Z' }
+    ];
+    const { places, visits } = fileService.groupVisitRows(rows);
+    expect(places.map(place => place.uniqueId)).toEqual(['JP', 'FR']);
+    expect(visits).toHaveLength(3);
+    // visitDate列がない行はdateMarkedを訪問日として扱う
+    expect(visits[2]).toEqual({ uniqueId: 'FR', visitDate: '2019-08-01T00:00:00.000Z' });
+  });
+
+  test('訪問履歴は1行1訪問のCSV行に展開される', () => {
+    const places = [{ uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country' }];
+    const visits = [
+      { uniqueId: 'JP', visitDate: '2023-05-01T00:00:00.000Z' },
+      { uniqueId: 'JP', visitDate: '2020-01-01T00:00:00.000Z' }
+    ];
+    const rows = fileService.expandVisitRows(places, visits);
+    expect(rows.map(row => row.visitDate)).toEqual([
+      '2020-01-01T00:00:00.000Z',
+      '2023-05-01T00:00:00.000Z'
+    ]);
+  });
+
+  test('GeoJSONには境界ジオメトリと訪問情報が含まれ、境界のない地域はジオメトリがnullになる', () => {
+    const places = [
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', status: 'lived', visitCount: 2 },
+      { uniqueId: 'XX', placeName: 'Nowhere', adminLevel: 'Country' }
+    ];
+    const visits = [
+      { uniqueId: 'JP', visitDate: '2023-05-01T00:00:00.000Z' },
+      { uniqueId: 'JP', visitDate: '2020-01-01T00:00:00.000Z' }
+    ];
+    const geometry = { type: 'Point', coordinates: [139.7, 35.7] };
+    const geoJson = fileService.generateGeoJSON(places, visits, new Map([['JP', geometry]]));
+
+    expect(geoJson.type).toBe('FeatureCollection');
+    expect(geoJson.features[0]).toMatchObject({
+      geometry,
+      properties: { status: 'lived', visitCount: 2, visitDates: ['2020-01-01T00:00:00.000Z', '2023-05-01T00:00:00.000Z'] }
+    });
+    expect(geoJson.features[1].geometry).toBeNull();
+  });
 });
@@ -0,0 +1,25 @@
+import { createGraticule, getDisplayBounds } from '../../src/utils/geoUtils';
+
+describe('geoUtils', () => {
+  test('指定した間隔で経線と緯線を生成する', () => {
+    const graticule = createGraticule(30);
+    const lines = graticule.features.map(feature => feature.geometry.coordinates);
+
+    // 経線は-180〜180度の13本、緯線は-60〜60度の5本
+    expect(graticule.features).toHaveLength(13 + 5);
+    expect(lines[0][0]).toEqual([-180, -85]);
+    expect(lines[0][lines[0].length - 1]).toEqual([-180, 85]);
+    expect(lines[13].every(([, lat]) => lat === -60)).toBe(true);
+    expect(graticule.features.every(feature => feature.geometry.type === 'LineString')).toBe(true);
+  });
+
+  test('日付変更線をまたぐ国の表示範囲は狭い方の向きで計算する', () => {
+    const square = (west, east) => [[[west, -20], [east, -20], [east, -15], [west, -15], [west, -20]]];
+    const fiji = { type: 'MultiPolygon', coordinates: [square(177, 180), square(-180, -179)] };
+    const japan = { type: 'Polygon', coordinates: square(129, 146) };
+
+    expect(getDisplayBounds(fiji)).toEqual([177, -20, 181, -15]);
+    expect(getDisplayBounds(japan)).toEqual([129, -20, 146, -15]);
+    expect(getDisplayBounds(null)).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { createMessage, formatDate, translate } from '../../src/utils/i18n';
+import { AppError, formatErrorMessage } from '../../src/utils/errorHandling';
+import ja from '../../src/locales/ja.json';
+import en from '../../src/locales/en.json';
+
+/**
+ * メッセージカタログのキーを列挙（単数・複数形の定義は1つのキーとして扱う）
+ */
+const collectKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' && !('other' in value) ? collectKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('i18n', () => {
+  test('日本語と英語のメッセージカタログは同じキーを持つ', () => {
+    expect(collectKeys(en)).toEqual(collectKeys(ja));
+  });
+
+  test('キーとパラメータを表示言語の文言に翻訳し、パラメータのメッセージも翻訳して埋め込む', () => {
+    const message = createMessage('toast.placeStatusChanged', { name: 'France', status: createMessage('placeStatus.lived') });
+
+    expect(translate(message, 'ja')).toBe('Franceを「住んだ」に変更しました');
+    expect(translate(message, 'en')).toBe('Changed France to "Lived"');
+    expect(translate('header.list', 'en')).toBe('List');
+  });
+
+  test('件数に合わせて単数形・複数形を切り替える', () => {
+    expect(translate(createMessage('list.total', { count: 1 }), 'en')).toBe('Total: 1 place');
+    expect(translate(createMessage('list.total', { count: 3 }), 'en')).toBe('Total: 3 places');
+    expect(translate(createMessage('list.total', { count: 1 }), 'ja')).toBe('合計: 1件');
+  });
+
+  test('カタログにない文字列はそのまま表示し、未対応の言語は日本語の文言を使う', () => {
+    expect(translate('IndexedDBを開けませんでした', 'en')).toBe('IndexedDBを開けませんでした');
+    expect(translate('header.map', 'xx')).toBe('地図表示');
+    expect(translate(null)).toBe('');
+  });
+
+  test('日時は表示言語の書式で表示する', () => {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+
+    expect(formatDate('2024-03-05T00:00:00.000Z', 'ja', options)).toBe('2024年3月5日');
+    expect(formatDate('2024-03-05T00:00:00.000Z', 'en', options)).toBe('March 5, 2024');
+    expect(formatDate('invalid', 'en')).toBe('');
+  });
+
+  test('キーを持つエラーは日本語のメッセージを持ち、表示用にはキーとパラメータを返す', () => {
+    const error = new AppError('errors.file.unsupportedType', { type: 'image/png' });
+
+    expect(error.message).toBe('サポートされていないファイル形式です: image/png');
+    expect(formatErrorMessage(error, 'errors.import')).toEqual(
+      createMessage('errors.file.unsupportedType', { type: 'image/png' })
+    );
+    expect(formatErrorMessage(null, 'errors.import')).toEqual(createMessage('errors.import'));
+    expect(formatErrorMessage(new Error('想定外のエラー'), 'errors.import')).toBe('想定外のエラー');
+  });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import { createThumbnail } from '../../src/utils/imageUtils';
+
+/**
+ * ブラウザの画像APIの代わりに、指定した大きさの画像として振る舞うモックを用意する
+ * 描画したキャンバスの大きさと、toBlobに渡されたBlob（nullなら生成失敗）を確認できる
+ */
+const mockImageApis = ({ width, height, blob = new Blob(['jpeg'], { type: 'image/jpeg' }) }) => {
+  const bitmap = { width, height, close: jest.fn() };
+  const context = { drawImage: jest.fn() };
+  const canvas = {
+    width: 0,
+    height: 0,
+    getContext: () => context,
+    toBlob: jest.fn((callback: (result: Blob | null) => void) => callback(blob))
+  };
+
+  (global as any).createImageBitmap = jest.fn(async () => bitmap);
+  (global as any).document = { createElement: () => canvas };
+
+  return { bitmap, context, canvas };
+};
+
+describe('imageUtils', () => {
+  afterEach(() => {
+    delete (global as any).createImageBitmap;
+    delete (global as any).document;
+  });
+
+  const photo = { name: 'fuji.jpg', type: 'image/jpeg' } as any;
+
+  test('サムネイルは縦横比を保って長辺を指定の大きさに縮小したJPEGになる', async () => {
+    const { bitmap, context, canvas } = mockImageApis({ width: 1200, height: 600 });
+
+    const thumbnail = await createThumbnail(photo, 240);
+
+    expect(thumbnail.type).toBe('image/jpeg');
+    expect([canvas.width, canvas.height]).toEqual([240, 120]);
+    expect(context.drawImage).toHaveBeenCalledWith(bitmap, 0, 0, 240, 120);
+    expect(canvas.toBlob.mock.calls[0].slice(1)).toEqual(['image/jpeg', 0.8]);
+    expect(bitmap.close).toHaveBeenCalled();
+  });
+
+  test('指定より小さい画像は拡大しない', async () => {
+    const { canvas } = mockImageApis({ width: 100, height: 150 });
+
+    await createThumbnail(photo, 240);
+
+    expect([canvas.width, canvas.height]).toEqual([100, 150]);
+  });
+
+  test('画像以外のファイルやサムネイルを生成できない場合はメッセージのキー付きのエラーになる', async () => {
+    const { bitmap } = mockImageApis({ width: 100, height: 100, blob: null });
+
+    await expect(createThumbnail({ name: 'memo.txt', type: 'text/plain' } as any)).rejects.toMatchObject({
+      messageKey: 'errors.image.notImage'
+    });
+    await expect(createThumbnail(photo)).rejects.toMatchObject({
+      messageKey: 'errors.image.thumbnailFailed'
+    });
+    expect(bitmap.close).toHaveBeenCalled();
+  });
+});
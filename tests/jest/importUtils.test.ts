@@ -0,0 +1,79 @@
+import { analyzeImport, buildTrackImport, resolveImport } from '../../src/utils/importUtils';
+
+describe('importUtils', () => {
+  const existingPlaces = [
+    { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', dateMarked: '2020-01-01T00:00:00.000Z', status: 'visited', notes: '桜' }
+  ];
+  const parsed = {
+    data: [
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', dateMarked: '2023-01-01T00:00:00.000Z', status: 'lived' },
+      { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country', dateMarked: '2021-01-01T00:00:00.000Z', status: 'visited' }
+    ],
+    visits: [
+      { uniqueId: 'JP', visitDate: '2023-01-01T00:00:00.000Z' },
+      { uniqueId: 'FR', visitDate: '2021-01-01T00:00:00.000Z' }
+    ],
+    invalidRows: [{ line: 4, row: {}, reason: '必須項目が空です: uniqueId' }]
+  };
+
+  test('新規・既存の記録と重複・無効の行に分類され、重複には項目ごとの差分が付く', () => {
+    const analysis = analyzeImport(parsed, existingPlaces);
+
+    expect(analysis.newRows.map(row => row.place.uniqueId)).toEqual(['FR']);
+    expect(analysis.conflicts).toHaveLength(1);
+    expect(analysis.conflicts[0].diff).toEqual([
+      { field: 'dateMarked', current: '2020-01-01T00:00:00.000Z', incoming: '2023-01-01T00:00:00.000Z' },
+      { field: 'status', current: 'visited', incoming: 'lived' }
+    ]);
+    expect(analysis.invalidRows).toHaveLength(1);
+  });
+
+  test('別の言語でエクスポートした国名の違いは差分として扱わない', () => {
+    const analysis = analyzeImport({ data: [{ ...existingPlaces[0], placeName: '日本', countryCodeISO: 'JP' }] }, existingPlaces);
+
+    expect(analysis.conflicts[0].diff).toEqual([
+      { field: 'countryCodeISO', current: null, incoming: 'JP' }
+    ]);
+  });
+
+  test('スキップを選ぶと重複した記録は書き込まれない', () => {
+    const result = resolveImport(analyzeImport(parsed, existingPlaces), 'skip');
+
+    expect(result.places.map(place => place.uniqueId)).toEqual(['FR']);
+    expect(result).toMatchObject({ added: 1, updated: 0, skipped: 1 });
+  });
+
+  test('上書きはインポートの値を優先し、CSVにないメモは残して訪問履歴を置き換える', () => {
+    const result = resolveImport(analyzeImport(parsed, existingPlaces), 'overwrite');
+    const japan = result.places.find(place => place.uniqueId === 'JP');
+
+    expect(japan).toMatchObject({ status: 'lived', notes: '桜' });
+    expect(result.replaceVisitsFor).toEqual(['JP']);
+  });
+
+  test('統合は既存の値と最初の記録日時を残す', () => {
+    const result = resolveImport(analyzeImport(parsed, existingPlaces), 'merge');
+    const japan = result.places.find(place => place.uniqueId === 'JP');
+
+    expect(japan).toMatchObject({ status: 'visited', dateMarked: '2020-01-01T00:00:00.000Z' });
+    expect(result.replaceVisitsFor).toEqual([]);
+  });
+
+  test('行ごとの指定は全体の設定より優先され、新しい方を残す指定は記録日時で判断する', () => {
+    const analysis = analyzeImport(parsed, existingPlaces);
+
+    expect(resolveImport(analysis, 'skip', { JP: 'newer' })).toMatchObject({ updated: 1, skipped: 0 });
+    expect(resolveImport(analyzeImport(parsed, [{ ...existingPlaces[0], dateMarked: '2024-01-01T00:00:00.000Z' }]), 'newer'))
+      .toMatchObject({ updated: 0, skipped: 1 });
+  });
+
+  test('トラックから判定した国は、最初の時刻を訪問日とする訪問候補になる', () => {
+    const parsedTrack = buildTrackImport([
+      { properties: { ISO_A2: 'FR', ADMIN: 'France' }, firstTime: '2024-07-01T08:00:00.000Z', lastTime: '2024-07-05T18:00:00.000Z' }
+    ]);
+
+    expect(parsedTrack.data[0]).toMatchObject({ uniqueId: 'FR', adminLevel: 'Country', dateMarked: '2024-07-01T08:00:00.000Z' });
+    expect(parsedTrack.visits).toEqual([{ uniqueId: 'FR', visitDate: '2024-07-01T08:00:00.000Z' }]);
+    expect(analyzeImport(parsedTrack, existingPlaces).newRows).toHaveLength(1);
+  });
+});
@@ -0,0 +1,50 @@
+import { formatMapLink, getPlaceCode, parseMapLink, resolveRedirectUrl } from '../../src/utils/linkUtils';
+
+describe('linkUtils', () => {
+  test('地域コード・中心・ズームレベルを読み取る', () => {
+    expect(parseMapLink('?place=jp')).toEqual({ place: 'JP', center: null, zoom: null });
+    expect(parseMapLink('?place=SOL')).toEqual({ place: 'SOL', center: null, zoom: null });
+    expect(parseMapLink('?place=JP-13&center=139.6917,35.6895&zoom=7.5')).toEqual({
+      place: 'JP-13',
+      center: [139.6917, 35.6895],
+      zoom: 7.5
+    });
+  });
+
+  test('不正な値は無視する', () => {
+    expect(parseMapLink('?place=Japan&center=200,10&zoom=abc')).toEqual({ place: null, center: null, zoom: null });
+    expect(parseMapLink('?center=10&zoom=30')).toEqual({ place: null, center: null, zoom: null });
+    expect(parseMapLink('?center=,10&zoom=')).toEqual({ place: null, center: null, zoom: null });
+  });
+
+  test('表示状態を丸めてクエリ文字列にし、読み取ると元に戻る', () => {
+    const search = formatMapLink({ place: 'FR', center: [2.352222, 48.856613], zoom: 4.123 });
+
+    expect(search).toBe('place=FR&center=2.3522,48.8566&zoom=4.12');
+    expect(parseMapLink(search)).toEqual({ place: 'FR', center: [2.3522, 48.8566], zoom: 4.12 });
+    expect(formatMapLink({ place: null, center: null, zoom: null })).toBe('');
+  });
+
+  test('州・都道府県は地域コード、国は国コードをリンクに使う', () => {
+    expect(getPlaceCode({ uniqueId: 'JP', adminLevel: 'Country', countryCodeISO: 'JP' })).toBe('JP');
+    expect(getPlaceCode({ uniqueId: 'JP-13', adminLevel: 'State', countryCodeISO: 'JP', regionCodeISO: 'JP-13' })).toBe('JP-13');
+  });
+
+  test('404.htmlからのリダイレクトをハッシュルーティングのURLに直す', () => {
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '?/&place=JP~and~zoom=5', hash: '' }))
+      .toBe('/my-world-atlas/#/?place=JP&zoom=5');
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '?/list', hash: '' }))
+      .toBe('/my-world-atlas/#/list');
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '?/list', hash: '#/?place=JP' }))
+      .toBe('/my-world-atlas/#/?place=JP');
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '?/view', hash: '#zAbC-_' }))
+      .toBe('/my-world-atlas/#/view#zAbC-_');
+  });
+
+  test('ハッシュのないクエリはハッシュ側に移し、ハッシュのURLはそのままにする', () => {
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '?place=JP', hash: '' }))
+      .toBe('/my-world-atlas/#/?place=JP');
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '', hash: '#/?place=JP' })).toBeNull();
+    expect(resolveRedirectUrl({ pathname: '/my-world-atlas/', search: '', hash: '' })).toBeNull();
+  });
+});
@@ -1,10 +1,9 @@
-import MapService from '../../../src/services/mapService';
+import { jest } from '@jest/globals';
+import mapService from '../../src/services/mapService';
+import countriesData from '../../src/data/countries.json';
 
 describe('MapService', () => {
-  let mapService: MapService;
-
   beforeEach(() => {
-    mapService = new MapService();
     // ダミーキャッシュを準備
     mapService['geoDataCache'] = {
       key1: { some: 'data' },
@@ -29,4 +28,285 @@ describe('MapService', () => {
       expect(mapService['geoDataCache'][key]).toBeNull();
     });
   });
+
+  test('訪問済み国のスタイルはステータスごとの色のmatch式になる', () => {
+    const style = mapService.generateVisitedCountriesStyle([
+      { code: 'JP', status: 'lived' },
+      { code: 'FR', status: 'wishlist' },
+      'IT'
+    ]);
+    expect(style).toEqual([
+      'match', ['get', 'ISO_A2'],
+      'JP', '#1F78B4',
+      'FR', '#F6C26B',
+      'IT', '#ADD8E6',
+      'rgba(0, 0, 0, 0)'
+    ]);
+  });
+
+  test('値で塗り分けるスタイルは値の階級の色のmatch式になる', () => {
+    const classes = [
+      { min: 1, color: '#c6dbef' },
+      { min: 5, color: '#08519c' }
+    ];
+    const style = mapService.generateCountriesChoroplethStyle([
+      { code: 'JP', value: 7 },
+      { code: 'FR', value: 2 }
+    ], classes);
+    expect(style).toEqual([
+      'match', ['get', 'ISO_A2'],
+      'JP', '#08519c',
+      'FR', '#c6dbef',
+      'rgba(0, 0, 0, 0)'
+    ]);
+    expect(mapService.generateStatesChoroplethStyle([], classes, '#fff')).toBe('#fff');
+  });
+
+  test('訪問済み国がない場合は未訪問の色をそのまま返す', () => {
+    expect(mapService.generateVisitedCountriesStyle([], '#fff')).toBe('#fff');
+  });
+
+  test('訪問地域は国コードまたは国名・ISO 3166-2コードで境界ジオメトリと突き合わされる', () => {
+    const square = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+    const countries = {
+      features: [
+        { properties: { ISO_A2: 'JP', ADMIN: 'Japan' }, geometry: square },
+        { properties: { ISO_A2: '-99', ADMIN: 'France' }, geometry: square }
+      ]
+    };
+    const states = { features: [{ properties: { iso_3166_2: 'JP-13' }, geometry: square }] };
+    const places = [
+      { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', countryCodeISO: 'JP' },
+      { uniqueId: '-99', placeName: 'France', adminLevel: 'Country', countryCodeISO: '-99' },
+      { uniqueId: 'JP-13', placeName: 'Tokyo', adminLevel: 'State', regionCodeISO: 'JP-13' },
+      { uniqueId: 'XX', placeName: 'Nowhere', adminLevel: 'Country' }
+    ];
+
+    const geometries = mapService.joinPlaceGeometries(places, countries, states);
+    expect(Array.from(geometries.keys())).toEqual(['JP', '-99', 'JP-13']);
+  });
+
+  test('トラックの点が含まれる国ごとに、通過した順で最初と最後の時刻がまとめられる', () => {
+    const square = (x: number) => [[[x, 0], [x + 1, 0], [x + 1, 1], [x, 1], [x, 0]]];
+    const countries = {
+      features: [
+        { properties: { ISO_A2: 'AA', ADMIN: 'A' }, geometry: { type: 'Polygon', coordinates: square(1) } },
+        { properties: { ISO_A2: 'BB', ADMIN: 'B' }, geometry: { type: 'MultiPolygon', coordinates: [square(0)] } }
+      ]
+    };
+    const points = [
+      { coordinates: [0.5, 0.5], time: '2024-01-01T00:00:00.000Z' },
+      { coordinates: [0.6, 0.5], time: '2024-01-02T00:00:00.000Z' },
+      { coordinates: [1.5, 0.5], time: '2024-01-03T00:00:00.000Z' },
+      { coordinates: [5, 5], time: '2024-01-04T00:00:00.000Z' }
+    ];
+
+    const result = mapService.findCountriesForPoints(points, countries);
+    expect(result.map(country => [country.properties.ISO_A2, country.firstTime, country.lastTime])).toEqual([
+      ['BB', '2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z'],
+      ['AA', '2024-01-03T00:00:00.000Z', '2024-01-03T00:00:00.000Z']
+    ]);
+  });
+  test('国境データは通信せずに同梱の簡易データから読み込む', async () => {
+    const fetchMock = jest.fn(() => Promise.reject(new Error('offline')));
+    global.fetch = fetchMock as any;
+    mapService.clearCache();
+
+    const data = await mapService.getCountriesGeoJson();
+    const japan = data.features.find(feature => feature.properties.ISO_A2 === 'JP');
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(japan.properties.ADMIN).toBe('Japan');
+    expect(mapService.findCountriesForPoints([{ coordinates: [139.75, 35.68], time: null }], data)[0].properties.ISO_A2).toBe('JP');
+  });
+
+  test('州・都道府県の境界データは通信せずに国ごとの同梱データから読み込み、データのない国は空になる', async () => {
+    const fetchMock = jest.fn(() => Promise.reject(new Error('offline')));
+    global.fetch = fetchMock as any;
+
+    const japan = await mapService.getStatesGeoJson('JP');
+    const tokyo = japan.features.find(feature => feature.properties.iso_3166_2 === 'JP-13');
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(japan.features).toHaveLength(47);
+    expect(tokyo.properties).toEqual({ iso_3166_2: 'JP-13', iso_a2: 'JP', name: 'Tokyo' });
+    expect(await mapService.getStatesGeoJson('XX')).toEqual({ type: 'FeatureCollection', features: [] });
+
+    const merged = await mapService.getStatesGeoJsonForCountries(['JP', 'FR', 'JP']);
+    expect(merged.features).toHaveLength(47 + mapService.getStateCount('FR'));
+  });
+
+  test('国ごとの州・都道府県の数は同梱の境界データの地物数と一致し、地域コードは重複しない', async () => {
+    const counts = mapService.getStateCounts();
+    expect(counts.JP).toBe(47);
+    expect(mapService.getStateCount('XX')).toBe(0);
+
+    for (const [countryCode, count] of Object.entries(counts)) {
+      const { features } = await mapService.getStatesGeoJson(countryCode);
+      const codes = features.map(feature => feature.properties.iso_3166_2);
+
+      expect(features).toHaveLength(count);
+      expect(new Set(codes).size).toBe(count);
+      expect(features.every(feature => feature.properties.iso_a2 === countryCode && feature.geometry)).toBe(true);
+    }
+  });
+
+  test('州・都道府県のスタイルはiso_3166_2のmatch式になり、レイヤーは指定したズームから表示する', () => {
+    const style = mapService.generateVisitedStatesStyle([{ code: 'JP-13', status: 'lived' }, 'JP-27']);
+    expect(style).toEqual([
+      'match', ['get', 'iso_3166_2'],
+      'JP-13', '#1F78B4',
+      'JP-27', '#ADD8E6',
+      'rgba(0, 0, 0, 0.01)'
+    ]);
+
+    const [fill, outline] = mapService.buildStatesLayers(style, 4);
+    expect(fill).toMatchObject({ id: 'states-fill', type: 'fill', source: 'states', minzoom: 4, paint: { 'fill-color': style } });
+    expect(outline).toMatchObject({ id: 'states-outline', type: 'line', source: 'states', minzoom: 4 });
+  });
+
+  test('詳細な国境データのプロパティ名は同梱データと同じ名前に揃える', async () => {
+    global.fetch = jest.fn(() => Promise.resolve(new Response(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Japan', 'ISO3166-1-Alpha-2': 'JP' }, geometry: null },
+        { type: 'Feature', properties: { name: 'Northern Cyprus', 'ISO3166-1-Alpha-2': '-99', 'ISO3166-1-Alpha-3': '-99' }, geometry: null },
+        { type: 'Feature', properties: { name: 'Baikonur', 'ISO3166-1-Alpha-2': '-99', 'ISO3166-1-Alpha-3': '-99', ADM0_A3: 'KAB' }, geometry: null },
+        { type: 'Feature', properties: { name: 'Dhekelia', 'ISO3166-1-Alpha-2': '-99', 'ISO3166-1-Alpha-3': '-99' }, geometry: null }
+      ]
+    })))) as any;
+    mapService.clearCache();
+
+    await mapService.loadDetailedCountriesGeoJson();
+    const data = await mapService.getCountriesGeoJson();
+
+    expect(mapService.hasDetailedCountries()).toBe(true);
+    expect(data.features[0].properties).toMatchObject({ ISO_A2: 'JP', ADMIN: 'Japan' });
+    // ISOコードのない地域は同梱データと同じコードにする
+    expect(data.features[1].properties).toMatchObject({ ISO_A2: 'CYN', ISO_A3: 'CYN', ADMIN: 'Northern Cyprus' });
+    // 割り当てのない地域もADM0_A3か地域名で区別できるコードにする
+    expect(data.features[2].properties).toMatchObject({ ISO_A2: 'KAB', ISO_A3: 'KAB', ADMIN: 'Baikonur' });
+    expect(data.features[3].properties).toMatchObject({ ISO_A2: 'Dhekelia', ISO_A3: 'Dhekelia', ADMIN: 'Dhekelia' });
+  });
+
+  test('国は日本語名・英語名・ISOコードで検索でき、コードの一致と前方一致が先に並ぶ', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline'))) as any;
+    mapService.clearCache();
+
+    const byJapanese = await mapService.searchCountriesByName('日本');
+    const byCode = await mapService.searchCountriesByName('jpn');
+    const byName = await mapService.searchCountriesByName('indian');
+
+    expect(byJapanese[0].properties.ISO_A2).toBe('JP');
+    expect(byCode.map(feature => feature.properties.ISO_A2)).toEqual(['JP']);
+    // 前方一致の「Indian Ocean Ter.」が部分一致の「Br. Indian Ocean Ter.」より先に並ぶ
+    expect(byName.map(feature => feature.properties.ADMIN)).toEqual(['Indian Ocean Ter.', 'Br. Indian Ocean Ter.']);
+    expect(await mapService.searchCountriesByName('  ')).toEqual([]);
+  });
+
+  test('国コードから国連のM49の地域とサブ地域を引ける', () => {
+    expect(mapService.getCountryRegion('JP')).toEqual({
+      region: { code: '142', name: 'Asia', label: 'アジア' },
+      subRegion: { code: '030', name: 'Eastern Asia', label: '東アジア' }
+    });
+    expect(mapService.getCountryRegion('AQ')).toBeNull();
+    expect(mapService.getRegionBounds('002')).toHaveLength(4);
+
+    // 同梱の国境データの国はすべていずれかの地域に属する（南極とISOコードのない3文字のコードの地域を除く）
+    const unassigned = countriesData.features
+      .map(feature => feature.properties.ISO_A2)
+      .filter(code => code.length === 2 && code !== 'AQ' && !mapService.getCountryRegion(code));
+    expect(unassigned).toEqual([]);
+  });
+
+  test('同梱の国境データの国コードは重複せず、ISOコードのない地域にも固有のコードがある', () => {
+    const codes = countriesData.features.map(feature => feature.properties.ISO_A2);
+
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(codes).not.toContain('-99');
+    expect(codes).toEqual(expect.arrayContaining(['XK', 'SOL', 'CYN']));
+  });
+
+  describe('地図データの永続キャッシュ', () => {
+    const url = 'https://example.com/countries.geojson';
+    const geoJson = { type: 'FeatureCollection', features: [] };
+
+    beforeEach(() => {
+      // Cache Storageの代わりにメモリ上のストアを使う
+      const store = new Map();
+      const cache = {
+        match: async (key) => store.get(key)?.clone(),
+        put: async (key, response) => { store.set(key, response); },
+        delete: async (key) => store.delete(key),
+        keys: async () => [...store.keys()].map(key => ({ url: key }))
+      };
+      (global as any).caches = { open: async () => cache, delete: async () => store.clear() };
+
+      mapService.clearCache();
+      mapService['retryDelay'] = 0;
+      mapService['cacheExpiration'] = 1000 * 60;
+    });
+
+    afterEach(() => {
+      delete (global as any).caches;
+    });
+
+    const respond = (status, body = geoJson) => Promise.resolve(new Response(
+      status === 304 ? null : JSON.stringify(body),
+      { status, headers: { ETag: '"v1"' } }
+    ));
+
+    test('保存済みのデータは再読み込み後も通信せずに使い、同時の要求は1回の取得にまとめる', async () => {
+      global.fetch = jest.fn(() => respond(200)) as any;
+
+      const [first, second] = await Promise.all([
+        mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境'),
+        mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境')
+      ]);
+      expect(first).toEqual(geoJson);
+      expect(second).toBe(first);
+
+      // ページの再読み込み相当（メモリ上のキャッシュだけ消す）
+      mapService['geoDataCache'].detailedCountries = null;
+      await mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('期限切れのデータはETagで再検証し、オフラインなら保存済みのデータを使う', async () => {
+      global.fetch = jest.fn(() => respond(200)) as any;
+      await mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境');
+
+      mapService['cacheExpiration'] = -1;
+      mapService['geoDataCache'].detailedCountries = null;
+      global.fetch = jest.fn(() => respond(304)) as any;
+
+      expect(await mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境')).toEqual(geoJson);
+      expect((global.fetch as jest.Mock).mock.calls[0][1].headers['If-None-Match']).toBe('"v1"');
+
+      mapService['geoDataCache'].detailedCountries = null;
+      global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch'))) as any;
+
+      expect(await mapService.fetchGeoJsonWithRetry('detailedCountries', url, '国境')).toEqual(geoJson);
+    });
+
+    test('取得済みの詳細な国境データは再読み込み後も通信せずに復元する', async () => {
+      expect(await mapService.restoreDetailedCountriesGeoJson()).toBe(false);
+
+      global.fetch = jest.fn(() => respond(200, {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { name: 'Japan', 'ISO3166-1-Alpha-2': 'JP' }, geometry: null }]
+      })) as any;
+      await mapService.loadDetailedCountriesGeoJson();
+
+      // ページの再読み込み相当（メモリ上のキャッシュだけ消す）
+      mapService['geoDataCache'].detailedCountries = null;
+      global.fetch = jest.fn() as any;
+
+      expect(await mapService.restoreDetailedCountriesGeoJson()).toBe(true);
+      expect(mapService.hasDetailedCountries()).toBe(true);
+      expect((await mapService.getCountriesGeoJson()).features[0].properties).toMatchObject({ ISO_A2: 'JP', ADMIN: 'Japan' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,30 @@
+import { getAllCountryNames, getCountryName, getPlaceName, localizePlaceNames } from '../../src/utils/placeNameUtils';
+
+describe('placeNameUtils', () => {
+  const tanzania = { uniqueId: 'TZ', placeName: 'United Republic of Tanzania', adminLevel: 'Country', countryCodeISO: 'TZ' };
+  const tokyo = { uniqueId: 'JP-13', placeName: 'Tokyo', adminLevel: 'State', countryCodeISO: 'JP', regionCodeISO: 'JP-13' };
+
+  test('国名は国コードから表示言語の名前を引き、言語を切り替えると表示も切り替わる', () => {
+    expect(getPlaceName(tanzania, 'ja')).toBe('タンザニア');
+    expect(getPlaceName(tanzania, 'en')).toBe('United Republic of Tanzania');
+    expect(getCountryName('JP', 'en')).toBe('Japan');
+    expect(getAllCountryNames('JP')).toEqual(expect.arrayContaining(['日本', 'Japan']));
+  });
+
+  test('州・都道府県や対訳表にない国・言語は記録時の名前を使う', () => {
+    const kosovo = { uniqueId: '-99', placeName: 'Kosovo', adminLevel: 'Country', countryCodeISO: '-99' };
+
+    expect(getPlaceName(tokyo, 'ja')).toBe('Tokyo');
+    expect(getPlaceName(kosovo, 'ja')).toBe('Kosovo');
+    expect(getCountryName('JP', 'xx')).toBeNull();
+  });
+
+  test('一覧やエクスポート用に名前だけを置き換え、元の記録は変更しない', () => {
+    const places = [tanzania, tokyo];
+    const localized = localizePlaceNames(places, 'ja');
+
+    expect(localized.map(place => place.placeName)).toEqual(['タンザニア', 'Tokyo']);
+    expect(localized[0]).toMatchObject({ uniqueId: 'TZ', countryCodeISO: 'TZ' });
+    expect(places[0].placeName).toBe('United Republic of Tanzania');
+  });
+});
@@ -0,0 +1,92 @@
+import { buildShareUrl, buildSharedImport, decodeSharedAtlas, encodeSharedAtlas } from '../../src/utils/shareUtils';
+import { AppError } from '../../src/utils/errorHandling';
+
+describe('shareUtils', () => {
+  const places = [
+    {
+      uniqueId: 'JP',
+      placeName: 'Japan',
+      adminLevel: 'Country',
+      countryCodeISO: 'JP',
+      regionCodeISO: 'JP',
+      status: 'lived',
+      dateMarked: '2023-01-01T00:00:00.000Z',
+      firstVisitDate: '2018-04-01T09:30:00.000Z',
+      notes: '共有しないメモ'
+    },
+    {
+      uniqueId: 'US-CA',
+      placeName: 'California',
+      adminLevel: 'State',
+      countryCodeISO: 'US',
+      regionCodeISO: 'US-CA',
+      status: 'wishlist',
+      dateMarked: '2024-05-10T00:00:00.000Z'
+    }
+  ];
+
+  test('コードとステータスを圧縮して共有し、元に戻せる（メモは含めない）', async () => {
+    const fragment = await encodeSharedAtlas(places);
+
+    expect(fragment).toMatch(/^[zj][A-Za-z0-9_-]+$/);
+    expect(fragment).not.toContain('共有しないメモ');
+
+    const shared = await decodeSharedAtlas(fragment);
+    expect(shared).toEqual([
+      expect.objectContaining({ uniqueId: 'JP', adminLevel: 'Country', countryCodeISO: 'JP', status: 'lived', firstVisitDate: null }),
+      expect.objectContaining({ uniqueId: 'US-CA', placeName: 'California', adminLevel: 'State', countryCodeISO: 'US', status: 'wishlist' })
+    ]);
+    expect(shared[0]).not.toHaveProperty('notes');
+  });
+
+  test('指定した場合は最初の訪問日を日付だけ含める', async () => {
+    const shared = await decodeSharedAtlas(await encodeSharedAtlas(places, { includeDates: true }));
+
+    expect(shared[0].firstVisitDate).toBe('2018-04-01T00:00:00.000Z');
+    expect(shared[1].firstVisitDate).toBe('2024-05-10T00:00:00.000Z');
+  });
+
+  test('圧縮に対応していない環境でも共有できる', async () => {
+    const { CompressionStream } = globalThis as any;
+    delete (globalThis as any).CompressionStream;
+
+    try {
+      const fragment = await encodeSharedAtlas(places);
+      expect(fragment.charAt(0)).toBe('j');
+      expect((await decodeSharedAtlas(fragment)).map(place => place.uniqueId)).toEqual(['JP', 'US-CA']);
+    } finally {
+      (globalThis as any).CompressionStream = CompressionStream;
+    }
+  });
+
+  test('壊れたリンクはエラーにし、不正な行は除く', async () => {
+    await expect(decodeSharedAtlas('')).rejects.toBeInstanceOf(AppError);
+    await expect(decodeSharedAtlas('zAAAA')).rejects.toMatchObject({ messageKey: 'errors.invalidShareLink' });
+
+    const json = JSON.stringify({ v: 1, p: [['JP', 'unknown'], ['Japan', 'visited'], 'FR'] });
+    const fragment = `j${Buffer.from(json).toString('base64url')}`;
+    expect(await decodeSharedAtlas(fragment)).toEqual([
+      expect.objectContaining({ uniqueId: 'JP', status: 'visited' })
+    ]);
+  });
+
+  test('ハッシュルーティングの閲覧画面へのURLを作成する', () => {
+    expect(buildShareUrl('zAbC', { origin: 'https://20m61.github.io', pathname: '/my-world-atlas/' }))
+      .toBe('https://20m61.github.io/my-world-atlas/#/view#zAbC');
+  });
+
+  test('取り込む国の名前は国境データの名前にし、日付があれば訪問履歴にする', () => {
+    const shared = [
+      { uniqueId: 'JP', placeName: 'JP', adminLevel: 'Country', countryCodeISO: 'JP', regionCodeISO: 'JP', status: 'visited', dateMarked: '2018-04-01T00:00:00.000Z', firstVisitDate: '2018-04-01T00:00:00.000Z' },
+      { uniqueId: 'US-CA', placeName: 'California', adminLevel: 'State', countryCodeISO: 'US', regionCodeISO: 'US-CA', status: 'visited', dateMarked: null, firstVisitDate: null }
+    ];
+
+    const { data, visits } = buildSharedImport(shared, new Map([['JP', 'Japan']]), '2024-01-01T00:00:00.000Z');
+
+    expect(data.map(place => [place.placeName, place.dateMarked])).toEqual([
+      ['Japan', '2018-04-01T00:00:00.000Z'],
+      ['California', '2024-01-01T00:00:00.000Z']
+    ]);
+    expect(visits).toEqual([{ uniqueId: 'JP', visitDate: '2018-04-01T00:00:00.000Z' }]);
+  });
+});
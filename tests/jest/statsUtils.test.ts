@@ -0,0 +1,65 @@
+import { calculateStatistics, countVisitsByYear } from '../../src/utils/statsUtils';
+import mapService from '../../src/services/mapService';
+
+const country = (code, name) => ({ type: 'Feature', properties: { ISO_A2: code, ADMIN: name }, geometry: null });
+
+describe('statsUtils', () => {
+  const countriesGeoJson = {
+    type: 'FeatureCollection',
+    features: [country('JP', 'Japan'), country('FR', 'France'), country('DE', 'Germany'), country('KE', 'Kenya'), country('-99', 'Somaliland')]
+  };
+  const visitedPlaces = [
+    { uniqueId: 'JP', placeName: 'Japan', adminLevel: 'Country', countryCodeISO: 'JP', status: 'lived', firstVisitDate: '2018-04-01T00:00:00.000Z', lastVisitDate: '2022-01-01T00:00:00.000Z' },
+    { uniqueId: 'FR', placeName: 'France', adminLevel: 'Country', countryCodeISO: 'FR', status: 'visited', firstVisitDate: '2020-07-01T00:00:00.000Z', lastVisitDate: '2020-07-01T00:00:00.000Z' },
+    { uniqueId: 'KE', placeName: 'Kenya', adminLevel: 'Country', countryCodeISO: 'KE', status: 'wishlist', dateMarked: '2023-01-01T00:00:00.000Z' },
+    { uniqueId: 'JP-13', placeName: 'Tokyo', adminLevel: 'State', countryCodeISO: 'JP', regionCodeISO: 'JP-13', dateMarked: '2019-05-01T00:00:00.000Z' }
+  ];
+  const regionLookup = {
+    worldRegions: mapService.getWorldRegions(),
+    getCountryRegion: code => mapService.getCountryRegion(code)
+  };
+  const visits = [
+    { uniqueId: 'JP', visitDate: '2018-04-01T00:00:00.000Z' },
+    { uniqueId: 'JP', visitDate: '2022-01-01T00:00:00.000Z' },
+    { uniqueId: 'FR', visitDate: '2020-07-01T00:00:00.000Z' },
+    { uniqueId: 'KE', visitDate: '2023-01-01T00:00:00.000Z' },
+    { uniqueId: 'JP-13', visitDate: '2019-05-01T00:00:00.000Z' }
+  ];
+
+  test('「行きたい」を除いて国の訪問数・割合・地域別の内訳・最初と最近の訪問を集計する', () => {
+    const { countries } = calculateStatistics({ visitedPlaces, visits, countriesGeoJson, ...regionLookup });
+
+    expect(countries.visited).toBe(2);
+    expect(countries.total).toBe(4);
+    expect(countries.percentage).toBe(50);
+    expect(countries.groups).toEqual([
+      { id: '002', label: 'アフリカ', visited: 0, total: 1 },
+      { id: '142', label: 'アジア', visited: 1, total: 1 },
+      { id: '150', label: 'ヨーロッパ', visited: 1, total: 2 }
+    ]);
+    expect(countries.firstVisit).toEqual({ placeName: 'Japan', date: '2018-04-01T00:00:00.000Z' });
+    expect(countries.lastVisit).toEqual({ placeName: 'Japan', date: '2022-01-01T00:00:00.000Z' });
+    expect(countries.byYear.map(item => item.count)).toEqual([1, 0, 1, 0, 1]);
+  });
+
+  test('州・都道府県は数の一覧があれば国ごとの全体数も集計する', () => {
+    const withoutStates = calculateStatistics({ visitedPlaces, visits, countriesGeoJson, ...regionLookup });
+    expect(withoutStates.regions.visited).toBe(1);
+    expect(withoutStates.regions.total).toBeNull();
+    expect(withoutStates.regions.groups).toEqual([{ id: 'JP', label: '日本', visited: 1, total: null }]);
+
+    // 国別の内訳の国名は表示言語で表示する
+    const inEnglish = calculateStatistics({ visitedPlaces, visits, countriesGeoJson, ...regionLookup, language: 'en' });
+    expect(inEnglish.regions.groups[0].label).toBe('Japan');
+
+    const stateCounts = { JP: 2, FR: 1 };
+    const { regions } = calculateStatistics({ visitedPlaces, visits, countriesGeoJson, stateCounts, ...regionLookup });
+    expect(regions.total).toBe(3);
+    expect(regions.groups[0].total).toBe(2);
+    expect(regions.byYear).toEqual([{ year: 2019, count: 1 }]);
+  });
+
+  test('訪問履歴がなければ年ごとの集計は空になる', () => {
+    expect(countVisitsByYear([])).toEqual([]);
+  });
+});
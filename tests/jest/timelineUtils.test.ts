@@ -0,0 +1,32 @@
+import { countPlacesUntil, getTimelineRange, sortPlacesByStartTime } from '../../src/utils/timelineUtils';
+
+describe('timelineUtils', () => {
+  const places = [
+    { uniqueId: 'FR', dateMarked: '2023-01-01T00:00:00.000Z', firstVisitDate: '2019-07-01T00:00:00.000Z' },
+    { uniqueId: 'JP', dateMarked: '2018-04-01T00:00:00.000Z' },
+    { uniqueId: 'US', dateMarked: '2021-03-15T00:00:00.000Z' },
+    { uniqueId: 'XX', dateMarked: null }
+  ];
+
+  test('最初の訪問日時（なければ記録日時）の順に並べ、日時のない訪問地は除く', () => {
+    const entries = sortPlacesByStartTime(places);
+
+    expect(entries.map(entry => entry.place.uniqueId)).toEqual(['JP', 'FR', 'US']);
+  });
+
+  test('指定した時刻までに訪れた訪問地の数を数える', () => {
+    const entries = sortPlacesByStartTime(places);
+
+    expect(countPlacesUntil(entries, Date.parse('2017-01-01T00:00:00.000Z'))).toBe(0);
+    expect(countPlacesUntil(entries, Date.parse('2019-07-01T00:00:00.000Z'))).toBe(2);
+    expect(countPlacesUntil(entries, Date.parse('2030-01-01T00:00:00.000Z'))).toBe(3);
+  });
+
+  test('タイムラインは最初の訪問から現在までの範囲になる', () => {
+    const entries = sortPlacesByStartTime(places);
+    const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+    expect(getTimelineRange(entries, now)).toEqual({ start: Date.parse('2018-04-01T00:00:00.000Z'), end: now });
+    expect(getTimelineRange([], now)).toBeNull();
+  });
+});
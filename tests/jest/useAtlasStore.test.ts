@@ -1,4 +1,6 @@
-import useAtlasStore from '../../../src/store/useAtlasStore';
+import { jest } from '@jest/globals';
+import useAtlasStore, { filterPlacesByTrip, pushHistory, MAX_PHOTOS_PER_PLACE } from '../../src/store/useAtlasStore';
+import dbService from '../../src/services/dbService';
 
 describe('useAtlasStore', () => {
   beforeEach(() => {
@@ -15,4 +17,92 @@ describe('useAtlasStore', () => {
     useAtlasStore.getState().clearError();
     expect(useAtlasStore.getState().error).toBeNull();
   });
+
+  test('旅行IDを指定するとその旅行の訪問地だけに絞り込まれる', () => {
+    const places = [{ uniqueId: 'JP' }, { uniqueId: 'FR' }, { uniqueId: 'IT' }];
+    const trips = [{ tripId: 'trip-1', name: '欧州旅行', places: ['IT', 'FR'] }];
+
+    expect(filterPlacesByTrip(places, trips, 'trip-1').map(p => p.uniqueId)).toEqual(['FR', 'IT']);
+    expect(filterPlacesByTrip(places, trips, null)).toBe(places);
+  });
+
+  test('操作履歴は上限を超えると古いものから破棄される', () => {
+    const stack = pushHistory(pushHistory([{ label: '1' }], { label: '2' }, 2), { label: '3' }, 2);
+
+    expect(stack.map(entry => entry.label)).toEqual(['2', '3']);
+  });
+
+  test('アクションはトーストに文言ではなくメッセージのキーを渡す', async () => {
+    jest.useFakeTimers();
+    useAtlasStore.setState({ visitedPlaces: [] });
+
+    await useAtlasStore.getState().exportToCSV();
+
+    expect(useAtlasStore.getState().toast).toMatchObject({
+      show: true,
+      message: { key: 'toast.noExportData' },
+      type: 'warning'
+    });
+    jest.useRealTimers();
+  });
+
+  test('旅行の作成・訪問地の追加と除外・編集・削除がストアとデータベースの両方に反映される', async () => {
+    // IndexedDBの処理が止まらないよう、トーストを閉じるタイマーだけを偽物にする
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+    useAtlasStore.setState({ trips: [], highlightedTripId: null });
+    const { createTrip, addPlaceToTrip, removePlaceFromTrip, updateTrip, deleteTrip, setHighlightedTripId } = useAtlasStore.getState();
+
+    expect(await createTrip({ name: '  ' })).toBeNull();
+    expect(useAtlasStore.getState().toast.message).toEqual({ key: 'toast.tripNameRequired', params: {} });
+
+    const trip = await createTrip({ name: ' 欧州旅行 ', startDate: '2022-08-01' });
+    expect(trip).toMatchObject({ name: '欧州旅行', startDate: '2022-08-01', places: [] });
+
+    await addPlaceToTrip(trip.tripId, 'FR');
+    await addPlaceToTrip(trip.tripId, 'IT');
+    await addPlaceToTrip(trip.tripId, 'FR');
+    await removePlaceFromTrip(trip.tripId, 'FR');
+    await updateTrip(trip.tripId, { name: '夏の欧州旅行' });
+
+    const [saved] = useAtlasStore.getState().trips;
+    expect(saved).toMatchObject({ tripId: trip.tripId, name: '夏の欧州旅行', places: ['IT'] });
+    expect(await dbService.getAllTrips()).toEqual([saved]);
+
+    setHighlightedTripId(trip.tripId);
+    await deleteTrip(trip.tripId);
+
+    expect(useAtlasStore.getState().trips).toEqual([]);
+    expect(useAtlasStore.getState().highlightedTripId).toBeNull();
+    expect(await dbService.getAllTrips()).toEqual([]);
+    jest.useRealTimers();
+  });
+
+  test('写真は1つの地域に上限枚数まで追加でき、超えた分は追加しない', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick', 'queueMicrotask'] });
+    // サムネイルの生成に使うブラウザの画像APIの代わり
+    (global as any).createImageBitmap = async () => ({ width: 10, height: 10, close: () => {} });
+    (global as any).document = {
+      createElement: () => ({ getContext: () => ({ drawImage: () => {} }), toBlob: (callback) => callback({ type: 'image/jpeg' }) })
+    };
+    const photos = (count: number) => Array.from({ length: count }, (_, i) => ({ name: `photo-${i}.jpg`, type: 'image/jpeg' }));
+    const { addPlacePhotos } = useAtlasStore.getState();
+
+    expect(await addPlacePhotos('ES', photos(MAX_PHOTOS_PER_PLACE - 1))).toHaveLength(MAX_PHOTOS_PER_PLACE - 1);
+
+    const added = await addPlacePhotos('ES', photos(3));
+    expect(added).toHaveLength(1);
+    expect(added[0].thumbnail).toEqual({ type: 'image/jpeg' });
+    expect(useAtlasStore.getState().toast).toMatchObject({
+      message: { key: 'toast.photosAddedOverLimit', params: { count: 1, skipped: 2 } },
+      type: 'warning'
+    });
+
+    expect(await addPlacePhotos('ES', photos(1))).toEqual([]);
+    expect(useAtlasStore.getState().toast.message).toEqual({ key: 'toast.photoLimit', params: { max: MAX_PHOTOS_PER_PLACE } });
+    expect(await dbService.getAttachmentsByPlace('ES')).toHaveLength(MAX_PHOTOS_PER_PLACE);
+
+    delete (global as any).createImageBitmap;
+    delete (global as any).document;
+    jest.useRealTimers();
+  });
 });
@@ -1,9 +1,74 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // PWA：アプリ本体をプリキャッシュし、表示済みの地図タイルをキャッシュしてオフラインでも使えるようにする
+    VitePWA({
+      // 新しいバージョンは自動で切り替えず、利用者に再読み込みを促す
+      registerType: 'prompt',
+      manifest: {
+        name: 'My World Atlas',
+        short_name: 'World Atlas',
+        description: '旅行や生活の記録を、地理的に楽しく・視覚的に管理できるWebアプリケーション',
+        lang: 'ja',
+        start_url: '/my-world-atlas/',
+        scope: '/my-world-atlas/',
+        display: 'standalone',
+        theme_color: '#2c3e50',
+        background_color: '#ffffff',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+        ]
+      },
+      workbox: {
+        // ソースマップとGitHub Pages用の404ページ、国ごとの州・都道府県の境界データ（表示した国の分だけ下でキャッシュする）は含めない
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,woff2}'],
+        globIgnores: ['404.html', 'assets/states/**'],
+        navigateFallback: 'index.html',
+        runtimeCaching: [
+          {
+            // 表示済みの地図タイル（件数の上限を超えたら最も使われていないものから削除）
+            urlPattern: /^https:\/\/[abc]\.tile\.openstreetmap\.org\//,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'map-tiles',
+              expiration: {
+                maxEntries: 2000,
+                maxAgeSeconds: 30 * 24 * 60 * 60,
+                purgeOnQuotaError: true
+              },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          },
+          {
+            // 表示した国の州・都道府県の境界データ（ファイル名にハッシュを含むため更新されない）
+            urlPattern: /\/assets\/states\//,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'state-borders',
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          },
+          {
+            // アイコンフォント（Material Icons）
+            urlPattern: /^https:\/\/fonts\.(googleapis|gstatic)\.com\//,
+            handler: 'StaleWhileRevalidate',
+            options: {
+              cacheName: 'google-fonts',
+              expiration: { maxEntries: 20 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          }
+        ]
+      }
+    })
+  ],
   base: '/my-world-atlas/',
   build: {
     outDir: 'dist',
@@ -22,7 +87,12 @@ export default defineConfig({
           }
           return `assets/${ext}/[name]-[hash][extname]`;
         },
-        chunkFileNames: 'assets/js/[name]-[hash].js',
+        // 国ごとの州・都道府県の境界データは、プリキャッシュから除けるよう別のディレクトリに置く
+        chunkFileNames: (chunkInfo) => (
+          chunkInfo.facadeModuleId && chunkInfo.facadeModuleId.includes('/src/data/states/')
+            ? 'assets/states/[name]-[hash].js'
+            : 'assets/js/[name]-[hash].js'
+        ),
         entryFileNames: 'assets/js/[name]-[hash].js',
       },
     },